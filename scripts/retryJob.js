@@ -1,8 +1,8 @@
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import { connectRedis, getRedisClient } from '../src/config/redis.js';
-import { Queue } from '../src/config/queue.js';
 import JobRecord from '../src/models/JobRecord.js';
+import { requeueFailedJob } from '../src/services/deadLetter.js';
 
 dotenv.config();
 
@@ -28,22 +28,10 @@ async function retryJob(jobId) {
       userId: jobRecord.userId
     });
     
-    // Reset job status to queued
-    jobRecord.status = 'queued';
-    jobRecord.attempts = 0;
-    jobRecord.updatedAt = new Date();
-    await jobRecord.save();
+    // Reset the job and put it back on the generate queue (same path as the admin API)
+    await requeueFailedJob(jobRecord);
     
-    console.log('Job reset to queued status');
-    
-    // Add job to queue again
-    const queue = Queue;
-    const newJob = await queue.add('generate', {
-      jobId: jobRecord._id.toString(),
-      userId: jobRecord.userId
-    });
-    
-    console.log('Job added to queue:', newJob.id);
+    console.log('Job reset to queued status and added to queue:', jobRecord._id.toString());
     console.log('Job should now be processed by the worker');
     
   } catch (error) {
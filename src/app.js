@@ -32,6 +32,7 @@ import { connectRedis } from './config/redis.js';
 import { setupPassport } from './config/passport.js';
 import { setupSwagger } from './config/swagger.js';
 import { initQueues, getQueue } from './config/queue.js';
+import { setupSocketServer } from './config/socket.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -165,7 +166,8 @@ async function initializeApp() {
 
       const { addQueue } = createBullBoard({
         queues: [
-          new BullMQAdapter(getQueue('generate'))
+          new BullMQAdapter(getQueue('generate')),
+          new BullMQAdapter(getQueue('callbacks'))
         ],
         serverAdapter: serverAdapter,
       });
@@ -191,13 +193,17 @@ async function initializeApp() {
 
     // Start server
     console.log(`🌐 Starting server on 0.0.0.0:${PORT}...`);
-    app.listen(PORT, '0.0.0.0', () => {
+    const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
       console.log(`🔗 API Base URL: http://localhost:${PORT}/api/v1`);
       console.log(`🪝 Webhook URL: http://localhost:${PORT}/api/v1/webhooks/dodo`);
       console.log(`🔴 Redis Status: ${process.env.REDIS_URL || process.env.RAILWAY_REDIS_URL ? 'Configured' : 'Not Configured'}`);
     });
+
+    // Realtime gateway shares the HTTP server
+    setupSocketServer(server);
+    console.log('✅ Realtime gateway available at /socket.io');
   } catch (error) {
     console.error('❌ Failed to initialize application:', error);
     console.error('Stack trace:', error.stack);
@@ -0,0 +1,87 @@
+/**
+ * Per-plan generation limits and output features
+ */
+
+/**
+ * Output resolution tiers, lowest first (longest edge in pixels)
+ */
+export const RESOLUTION_TIERS = {
+  standard: { label: 'Standard', longEdge: 1024 },
+  hd: { label: 'HD', longEdge: 2048 },
+  '4k': { label: '4K', longEdge: 3840 }
+};
+
+/**
+ * queuePriority orders jobs within a scheduling round (1 runs first, as in BullMQ);
+ * maxConcurrentJobs caps how many of a user's jobs the workers run at once
+ */
+export const PLAN_LIMITS = {
+  free: {
+    maxVariants: 1,
+    maxBatchSize: 1,
+    watermark: true,
+    resolutionTier: 'standard',
+    queuePriority: 4,
+    maxConcurrentJobs: 1
+  },
+  basic: {
+    maxVariants: 2,
+    maxBatchSize: 10,
+    watermark: false,
+    resolutionTier: 'hd',
+    queuePriority: 3,
+    maxConcurrentJobs: 2
+  },
+  premium: {
+    maxVariants: 4,
+    maxBatchSize: 25,
+    watermark: false,
+    resolutionTier: 'hd',
+    queuePriority: 2,
+    maxConcurrentJobs: 3
+  },
+  pro: {
+    maxVariants: 4,
+    maxBatchSize: 50,
+    watermark: false,
+    resolutionTier: '4k',
+    queuePriority: 1,
+    maxConcurrentJobs: 4
+  }
+};
+
+/**
+ * Get the limits for a plan, falling back to the free plan
+ * @param {string} plan - User plan
+ * @returns {Object}
+ */
+export function getPlanLimits(plan) {
+  return PLAN_LIMITS[plan] || PLAN_LIMITS.free;
+}
+
+/**
+ * Compare two resolution tiers
+ * @returns {number} Negative when a is lower than b, 0 when equal, positive when higher
+ */
+export function compareTiers(a, b) {
+  const tiers = Object.keys(RESOLUTION_TIERS);
+  return tiers.indexOf(a) - tiers.indexOf(b);
+}
+
+/**
+ * Check whether a plan may render at a resolution tier
+ * @param {string} plan - User plan
+ * @param {string} tier - Resolution tier name
+ * @returns {boolean}
+ */
+export function isTierAllowed(plan, tier) {
+  return Boolean(RESOLUTION_TIERS[tier]) && compareTiers(tier, getPlanLimits(plan).resolutionTier) <= 0;
+}
+
+export default {
+  RESOLUTION_TIERS,
+  PLAN_LIMITS,
+  getPlanLimits,
+  compareTiers,
+  isTierAllowed
+};
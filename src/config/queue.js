@@ -1,6 +1,7 @@
 import { Queue as BullQueue, Worker } from 'bullmq';
 import { getRedisClient } from './redis.js';
 import { createLogger } from '../utils/logger.js';
+import { RETRY_BACKOFF_TYPE } from '../services/jobErrors.js';
 
 const logger = createLogger('queue');
 
@@ -20,7 +21,8 @@ export function initQueues() {
       defaultJobOptions: {
         attempts: 3,
         backoff: {
-          type: 'exponential',
+          // Exponential from 30 seconds, or the provider's Retry-After hint (see retryDelay)
+          type: RETRY_BACKOFF_TYPE,
           delay: 30000 // 30 seconds
         },
         removeOnComplete: {
@@ -39,7 +41,8 @@ export function initQueues() {
       defaultJobOptions: {
         attempts: 3,
         backoff: {
-          type: 'exponential',
+          // Same failure handling as the generate queue
+          type: RETRY_BACKOFF_TYPE,
           delay: 30000 // 30 seconds
         },
         removeOnComplete: {
@@ -52,8 +55,28 @@ export function initQueues() {
       }
     });
 
+    // Outbound job result callbacks to partner endpoints
+    const callbacksQueue = new BullQueue('callbacks', {
+      connection: redisClient,
+      defaultJobOptions: {
+        attempts: 8,
+        backoff: {
+          type: 'exponential',
+          delay: 10000 // 10 seconds, doubling up to ~21 minutes
+        },
+        removeOnComplete: {
+          age: 24 * 3600, // keep completed jobs for 24 hours
+          count: 1000 // keep up to 1000 completed jobs
+        },
+        removeOnFail: {
+          age: 7 * 24 * 3600 // keep failed jobs for 7 days
+        }
+      }
+    });
+
     queues.set('generate', generateQueue);
     queues.set('quilt-design', quiltDesignQueue);
+    queues.set('callbacks', callbacksQueue);
 
     // Add event listeners for queue events
     generateQueue.on('waiting', (jobId) => {
@@ -422,6 +445,13 @@ export const QuiltDesignQueue = {
   getJobCounts: () => getJobCounts('quilt-design')
 };
 
+export const CallbackQueue = {
+  add: (jobName, data, options) => add('callbacks', jobName, data, options),
+  getJob: (jobId) => getJob('callbacks', jobId),
+  getMetrics: () => getQueueMetrics('callbacks'),
+  getJobCounts: () => getJobCounts('callbacks')
+};
+
 export default {
   initQueues,
   getQueue,
@@ -435,5 +465,7 @@ export default {
   getJobCounts,
   createWorker,
   shutdownQueues,
-  Queue
+  Queue,
+  QuiltDesignQueue,
+  CallbackQueue
 };
\ No newline at end of file
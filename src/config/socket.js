@@ -0,0 +1,129 @@
+import { Server } from 'socket.io';
+import { getSubClient } from './redis.js';
+import { verifyJWTToken } from './passport.js';
+import { REALTIME_CHANNEL, userRoom } from '../services/realtime.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('socket');
+
+let io = null;
+
+/**
+ * Read the JWT a client sent with its handshake
+ * Browsers pass it in `auth.token`; other clients may use the Authorization header.
+ */
+function handshakeToken(handshake) {
+  if (handshake.auth?.token) {
+    return handshake.auth.token;
+  }
+
+  const authHeader = handshake.headers?.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7);
+  }
+
+  return null;
+}
+
+/**
+ * Attach the authenticated realtime gateway to the HTTP server
+ *
+ * Each connection joins its user's room. Events are published to Redis by
+ * workers and routes on any instance, and every API instance relays them to
+ * the sockets it holds, so users receive events wherever they are connected.
+ *
+ * @param {Object} httpServer - HTTP server returned by app.listen
+ * @returns {Server}
+ */
+export function setupSocketServer(httpServer) {
+  io = new Server(httpServer, {
+    path: '/socket.io',
+    cors: {
+      origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+      credentials: true
+    }
+  });
+
+  // Reject connections without a valid JWT
+  io.use(async (socket, next) => {
+    const token = handshakeToken(socket.handshake);
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    try {
+      const user = await verifyJWTToken(token);
+      socket.data.userId = user._id.toString();
+      next();
+    } catch (error) {
+      logger.warn('Socket authentication failed', {
+        error: error.message,
+        ip: socket.handshake.address
+      });
+      next(new Error('Authentication required'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { userId } = socket.data;
+    socket.join(userRoom(userId));
+
+    logger.debug('Socket connected', { userId, socketId: socket.id });
+
+    socket.on('disconnect', (reason) => {
+      logger.debug('Socket disconnected', { userId, socketId: socket.id, reason });
+    });
+  });
+
+  subscribeToEvents();
+
+  logger.info('Realtime gateway started');
+
+  return io;
+}
+
+/**
+ * Relay events published on Redis to the owning user's sockets
+ */
+function subscribeToEvents() {
+  let subClient;
+  try {
+    subClient = getSubClient();
+  } catch (error) {
+    logger.warn('Redis unavailable, realtime events are disabled', { error: error.message });
+    return;
+  }
+
+  subClient.subscribe(REALTIME_CHANNEL).catch(error => {
+    logger.error('Failed to subscribe to realtime events', { error: error.message });
+  });
+
+  subClient.on('message', (channel, message) => {
+    if (channel !== REALTIME_CHANNEL) {
+      return;
+    }
+
+    try {
+      const { userId, event, payload } = JSON.parse(message);
+      io.to(userRoom(userId)).emit(event, payload);
+    } catch (error) {
+      logger.warn('Dropping malformed realtime event', { error: error.message });
+    }
+  });
+}
+
+/**
+ * Get the Socket.IO server instance
+ * @returns {Server}
+ */
+export function getSocketServer() {
+  if (!io) {
+    throw new Error('Socket server not initialized');
+  }
+  return io;
+}
+
+export default {
+  setupSocketServer,
+  getSocketServer
+};
@@ -206,16 +206,17 @@ export async function generateUploadUrl(key, contentType, expiresIn = 300) {
  * Generate signed URL for download
  * @param {string} key - Storage key
  * @param {number} expiresIn - URL expiration in seconds (default: 3600)
+ * @param {Object} [options]
+ * @param {boolean} [options.isPrivate] - Object was uploaded with isPrivate
  * @returns {Promise<string>} - Signed download URL
  */
-export async function generateDownloadUrl(key, expiresIn = 3600) {
+export async function generateDownloadUrl(key, expiresIn = 3600, { isPrivate = false } = {}) {
   if (currentProvider === 'cloudinary') {
-    // For Cloudinary, generate a secure URL
+    // For Cloudinary, generate a secure URL; private objects are only served with a signature
     try {
-      const downloadUrl = cloudinary.url(key, {
-        secure: true,
-        type: 'upload'
-      });
+      const downloadUrl = cloudinary.url(key, isPrivate
+        ? { secure: true, type: 'authenticated', sign_url: true }
+        : { secure: true, type: 'upload' });
       
       logger.debug('Generated Cloudinary download URL', {
         key,
@@ -347,9 +348,11 @@ export async function getObjectMetadata(key) {
  * @param {Buffer} buffer - File buffer
  * @param {string} key - Storage key
  * @param {string} contentType - File content type
+ * @param {Object} [options]
+ * @param {boolean} [options.isPrivate] - Keep the object off public delivery URLs
  * @returns {Promise<boolean>} - Success status
  */
-export async function uploadBuffer(buffer, key, contentType) {
+export async function uploadBuffer(buffer, key, contentType, { isPrivate = false } = {}) {
   if (currentProvider === 'cloudinary') {
     try {
       // Convert buffer to base64 for Cloudinary upload
@@ -362,6 +365,8 @@ export async function uploadBuffer(buffer, key, contentType) {
       const result = await cloudinary.uploader.upload(dataUri, {
         public_id: key,
         resource_type: 'image',
+        // Authenticated assets are only reachable through signed URLs
+        type: isPrivate ? 'authenticated' : 'upload',
         format: format,
         overwrite: true,
         timeout: 30000 // 30 second timeout
@@ -371,6 +376,7 @@ export async function uploadBuffer(buffer, key, contentType) {
         key,
         size: buffer.length,
         contentType,
+        isPrivate,
         public_id: result.public_id
       });
       return true;
@@ -416,6 +422,35 @@ export async function uploadBuffer(buffer, key, contentType) {
   }
 }
 
+/**
+ * Move a private object onto public delivery URLs
+ * S3-compatible buckets are private and always served through signed URLs, so only Cloudinary needs this.
+ * @param {string} key - Storage key of an object uploaded with isPrivate
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function publishObject(key) {
+  if (currentProvider !== 'cloudinary') {
+    return true;
+  }
+
+  try {
+    await cloudinary.uploader.rename(key, key, {
+      resource_type: 'image',
+      type: 'authenticated',
+      to_type: 'upload',
+      overwrite: true
+    });
+    logger.info('Object published', { key });
+    return true;
+  } catch (error) {
+    logger.error('Failed to publish object', {
+      error: error.message,
+      key
+    });
+    throw new Error(`Failed to publish object: ${error.message}`);
+  }
+}
+
 /**
  * Get storage usage statistics (if supported by provider)
  * @returns {Promise<Object>} - Storage statistics
@@ -452,5 +487,6 @@ export default {
   objectExists,
   getObjectMetadata,
   uploadBuffer,
+  publishObject,
   getStorageStats
 };
\ No newline at end of file
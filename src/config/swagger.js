@@ -82,7 +82,11 @@ const swaggerDefinition = {
           mimeType: { type: 'string' },
           sizeBytes: { type: 'integer' },
           createdAt: { type: 'string', format: 'date-time' },
-          metadata: { type: 'object' }
+          metadata: { type: 'object' },
+          provenance: {
+            type: 'object',
+            description: 'Inputs, job, provider call and post-processing the output was made with'
+          }
         }
       },
       JobRecord: {
@@ -97,6 +101,10 @@ const swaggerDefinition = {
           options: { type: 'object' },
           attempts: { type: 'integer' },
           error: { type: 'string' },
+          errorCode: {
+            type: 'string',
+            enum: ['PROVIDER_UNAVAILABLE', 'PROVIDER_TIMEOUT', 'PROVIDER_RATE_LIMITED', 'PROVIDER_NO_IMAGE', 'PROVIDER_NOT_CONFIGURED', 'SAFETY_BLOCKED', 'INVALID_INPUT', 'INPUT_NOT_FOUND', 'STORAGE_ERROR', 'INTERNAL_ERROR']
+          },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' },
           completedAt: { type: 'string', format: 'date-time' },
@@ -124,40 +124,47 @@ export function quotaCheck() {
 }
 
 /**
- * Middleware to increment usage after successful operation
+ * Middleware to charge usage for a successful operation
+ * Generation credits are checked and held in one atomic step before the handler
+ * runs, then charged on a 2xx response or released otherwise, so concurrent
+ * requests cannot overspend the quota.
  */
 export function usageTracker(type = 'generation', amount = 1) {
   return async (req, res, next) => {
-    // Store original send function
-    const originalSend = res.send;
+    if (!req.user || type !== 'generation') {
+      return next();
+    }
     
-    // Override send function to track usage after response
-    res.send = function(body) {
-      try {
-        // Only track usage for successful responses
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          if (req.user && type === 'generation') {
-            // Increment user's usage counter
-            req.user.incrementUsage().catch(error => {
-              logger.error('Error incrementing usage', {
-                error: error.message,
-                userId: req.user.id
-              });
-            });
-          }
-          
-          // TODO: Log to audit system
-        }
-      } catch (error) {
-        logger.error('Error in usage tracker', {
-          error: error.message,
-          userId: req.user?.id
-        });
+    try {
+      const reserved = await req.user.reserveQuota(amount);
+      
+      if (!reserved) {
+        return next(new RateLimitError(
+          'Monthly generation quota exceeded. Please upgrade your plan or wait until next month.'
+        ));
       }
+    } catch (error) {
+      logger.error('Error reserving usage', {
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      return next(error);
+    }
+    
+    // 'close' also fires when the client disconnects before a response is sent
+    res.once('close', () => {
+      const succeeded = res.writableFinished && res.statusCode >= 200 && res.statusCode < 300;
+      const settle = succeeded ? req.user.commitQuota(amount) : req.user.releaseQuota(amount);
       
-      // Call original send function
-      return originalSend.call(this, body);
-    };
+      settle.catch(error => {
+        logger.error('Error settling usage', {
+          error: error.message,
+          userId: req.user.id,
+          succeeded
+        });
+      });
+    });
     
     next();
   };
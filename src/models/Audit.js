@@ -11,7 +11,7 @@ const auditSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['generation', 'download', 'upload', 'login', 'signup', 'quota_adjustment', 'subscription_change', 'outfits', 'settings', 'otp'],
+    enum: ['generation', 'download', 'upload', 'login', 'signup', 'quota_adjustment', 'quota', 'subscription_change', 'outfits', 'settings', 'otp', 'prompt_template'],
     required: true
   },
   action: {
@@ -29,7 +29,7 @@ const auditSchema = new mongoose.Schema({
   },
   resourceType: {
     type: String,
-    enum: ['image', 'job', 'project', 'user', 'outfits'],
+    enum: ['image', 'job', 'batch', 'project', 'user', 'outfits', 'prompt_template'],
     default: null
   },
   details: {
@@ -42,13 +42,22 @@ const auditSchema = new mongoose.Schema({
     fileSize: Number,
     imageType: String,
     jobStatus: String,
+    // Why a quota reservation was released
+    reason: String,
     error: String,
+    // Stable code of a failed job (see JOB_ERROR_CODES)
+    errorCode: String,
     quotaBefore: Number,
     quotaAfter: Number,
     planBefore: String,
     planAfter: String,
     cost: Number,
-    currency: String
+    currency: String,
+    // Admin who acted on the user's behalf
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   },
   metadata: {
     appVersion: String,
@@ -93,7 +102,7 @@ auditSchema.statics.logUsage = async function(data) {
     userId: data.userId,
     type: data.type,
     action: data.action,
-    amount: data.amount || 1,
+    amount: data.amount ?? 1,
     resourceId: data.resourceId,
     resourceType: data.resourceType,
     details: data.details || {},
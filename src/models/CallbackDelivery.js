@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+const deliveryAttemptSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  // First part of the response body, kept for debugging partner endpoints
+  responseBody: {
+    type: String,
+    maxlength: 1000
+  },
+  error: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  durationMs: Number,
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const callbackDeliverySchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRecord',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  event: {
+    type: String,
+    enum: ['job.succeeded', 'job.failed'],
+    required: true
+  },
+  // Exact body sent on every attempt; the signature covers it
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: [deliveryAttemptSchema],
+  // Set when this delivery was requested through the redelivery endpoint
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallbackDelivery',
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+callbackDeliverySchema.index({ jobId: 1, createdAt: -1 });
+callbackDeliverySchema.index({ userId: 1, createdAt: -1 });
+callbackDeliverySchema.index({ status: 1 });
+
+// Method to record one delivery attempt
+callbackDeliverySchema.methods.recordAttempt = function({ statusCode = null, responseBody, error, durationMs }) {
+  this.attempts.push({
+    attempt: this.attempts.length + 1,
+    statusCode,
+    responseBody: responseBody?.slice(0, 1000),
+    error: error?.slice(0, 1000),
+    durationMs
+  });
+
+  if (statusCode >= 200 && statusCode < 300) {
+    this.status = 'delivered';
+    this.deliveredAt = new Date();
+  }
+
+  return this.save();
+};
+
+// Method to mark the delivery as given up after the last retry
+callbackDeliverySchema.methods.markFailed = function() {
+  this.status = 'failed';
+  return this.save();
+};
+
+export default mongoose.model('CallbackDelivery', callbackDeliverySchema);
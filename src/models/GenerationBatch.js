@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+// Terminal job statuses; a batch is finished once every child job reaches one
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const generationBatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // 'outfits': one model across many outfits, 'models': one outfit across many models
+  mode: {
+    type: String,
+    enum: ['outfits', 'models'],
+    required: true
+  },
+  modelImageIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImageAsset'
+  }],
+  outfitImageIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImageAsset'
+  }],
+  // Child jobs in submission order
+  jobIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRecord'
+  }],
+  total: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Generations taken from the user's quota when the batch was created
+  quotaReserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'partial', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  counts: {
+    queued: { type: Number, default: 0 },
+    processing: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    cancelled: { type: Number, default: 0 }
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+generationBatchSchema.index({ userId: 1, createdAt: -1 });
+generationBatchSchema.index({ status: 1 });
+
+// Method to recompute counts and status from the child jobs
+generationBatchSchema.methods.applyProgress = function(jobs) {
+  const counts = { queued: 0, processing: 0, succeeded: 0, failed: 0, cancelled: 0 };
+  jobs.forEach(job => {
+    counts[job.status] += 1;
+  });
+
+  const finished = FINISHED_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+
+  if (finished < this.total) {
+    this.status = finished > 0 || counts.processing > 0 ? 'processing' : 'queued';
+  } else if (counts.succeeded === this.total) {
+    this.status = 'completed';
+  } else if (counts.succeeded > 0) {
+    this.status = 'partial';
+  } else if (counts.cancelled === this.total) {
+    this.status = 'cancelled';
+  } else {
+    this.status = 'failed';
+  }
+
+  if (finished >= this.total && !this.completedAt) {
+    const completedTimes = jobs.map(job => job.completedAt).filter(Boolean);
+    this.completedAt = completedTimes.length ? new Date(Math.max(...completedTimes)) : new Date();
+  }
+
+  this.counts = counts;
+
+  // Finished jobs count fully; running jobs contribute their reported stage percentage
+  const percentSum = jobs.reduce((sum, job) => (
+    sum + (FINISHED_STATUSES.includes(job.status) ? 100 : job.progress?.percent || 0)
+  ), 0);
+
+  return {
+    finished,
+    percent: Math.round(percentSum / this.total)
+  };
+};
+
+export default mongoose.model('GenerationBatch', generationBatchSchema);
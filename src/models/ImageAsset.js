@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 
+// Garment slots an outfit image can fill, in natural dressing order
+export const OUTFIT_SLOTS = ['top', 'bottom', 'shoes', 'outerwear', 'accessory'];
+
+// Derivative sizes written for every output and upload
+export const RENDITION_NAMES = ['thumbnail', 'medium', 'full'];
+
+// What an input asset contributed to an output: the person, a garment, an output it was derived from, or a photo its colours came from
+export const PROVENANCE_INPUT_ROLES = ['model', 'outfit', 'source', 'palette'];
+
 const imageAssetSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,7 +22,7 @@ const imageAssetSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['model', 'outfit', 'output', 'thumbnail', 'profile'],
+    enum: ['model', 'outfit', 'output', 'quilt-design', 'thumbnail', 'profile'],
     required: true
   },
   storageKey: {
@@ -58,7 +67,29 @@ const imageAssetSchema = new mongoose.Schema({
     exif: mongoose.Schema.Types.Mixed,
     processingTime: Number,
     aiModel: String,
+    provider: String,
+    source: String,
+    jobId: String,
+    slot: {
+      type: String,
+      enum: OUTFIT_SLOTS
+    },
+    variantIndex: Number,
+    seed: Number,
+    // Background mode applied in post-processing and the colour that was keyed out
+    background: String,
+    backgroundKeyColor: String,
+    resolutionTier: String,
+    // Output this one was re-rendered from at a higher resolution tier
+    renderedFrom: mongoose.Schema.Types.ObjectId,
+    // Job whose output this refined output was edited from
+    parentJobId: String,
     prompt: String,
+    promptTemplate: {
+      templateId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      version: Number
+    },
     options: mongoose.Schema.Types.Mixed
   },
   originalImageId: {
@@ -66,6 +97,72 @@ const imageAssetSchema = new mongoose.Schema({
     ref: 'ImageAsset',
     default: null
   },
+  // How an output was made, recorded when it is created so it can be explained and reproduced
+  provenance: {
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobRecord'
+    },
+    inputs: [{
+      _id: false,
+      imageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImageAsset'
+      },
+      role: {
+        type: String,
+        enum: PROVENANCE_INPUT_ROLES
+      },
+      slot: {
+        type: String,
+        enum: OUTFIT_SLOTS
+      }
+    }],
+    provider: String,
+    model: String,
+    promptTemplate: {
+      templateId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      version: Number
+    },
+    prompt: String,
+    seed: Number,
+    options: mongoose.Schema.Types.Mixed,
+    // Post-processing applied after the provider call, in order
+    steps: [{
+      _id: false,
+      name: String,
+      params: mongoose.Schema.Types.Mixed
+    }],
+    recordedAt: Date
+  },
+  // Outputs for watermarked plans are delivered watermarked; the clean original is kept for upgrades
+  watermark: {
+    applied: {
+      type: Boolean,
+      default: false
+    },
+    cleanStorageKey: String,
+    cleanMimeType: String,
+    cleanSizeBytes: Number,
+    // Stored as a private object, only readable through signed URLs
+    cleanPrivate: Boolean,
+    position: String,
+    kind: String,
+    appliedAt: Date,
+    removedAt: Date
+  },
+  // Set on rendition assets (type 'thumbnail') derived from originalImageId
+  rendition: {
+    name: {
+      type: String,
+      enum: RENDITION_NAMES
+    },
+    format: {
+      type: String,
+      enum: ['webp', 'avif']
+    }
+  },
   nanobananaJobId: {
     type: String,
     default: null
@@ -98,6 +195,9 @@ const imageAssetSchema = new mongoose.Schema({
       delete ret._id;
       delete ret.__v;
       delete ret.storageKey;
+      if (ret.watermark) {
+        delete ret.watermark.cleanStorageKey;
+      }
       return ret;
     }
   }
@@ -113,6 +213,7 @@ imageAssetSchema.index({ isDeleted: 1 });
 imageAssetSchema.index({ favorite: 1 });
 imageAssetSchema.index({ isPublic: 1, type: 1 });
 imageAssetSchema.index({ isPublic: 1, tags: 1 });
+imageAssetSchema.index({ originalImageId: 1, type: 1 });
 
 // Virtual for file extension
 imageAssetSchema.virtual('extension').get(function() {
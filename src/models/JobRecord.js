@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import { OUTFIT_SLOTS } from './ImageAsset.js';
+import { JOB_ERROR_CODES } from '../services/jobErrors.js';
+
+// Worker progress stages, in the order a job moves through them
+export const JOB_STAGES = ['queued', 'downloading', 'generating', 'post_processing', 'uploading', 'done'];
+
+export const JOB_KINDS = ['generation', 'refine', 'inpaint', 'quilt-design', 'rerender'];
 
 const jobRecordSchema = new mongoose.Schema({
   userId: {
@@ -6,21 +13,61 @@ const jobRecordSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Optional for edit jobs, which work on sourceImageId instead, and for quilt designs, which have no inputs
   inputModelImageId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ImageAsset',
-    required: true
+    required: function() { return !this.sourceImageId && this.kind !== 'quilt-design'; }
   },
   inputOutfitImageId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ImageAsset',
-    required: true
+    required: function() { return !this.sourceImageId && this.kind !== 'quilt-design'; }
   },
+  // Ordered garments for layered outfits; inputOutfitImageId is the first of these
+  outfitLayers: [{
+    _id: false,
+    imageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImageAsset',
+      required: true
+    },
+    slot: {
+      type: String,
+      enum: OUTFIT_SLOTS
+    }
+  }],
   prompt: {
     type: String,
     trim: true,
     maxlength: 1000
   },
+  // Final prompt sent to the provider: base prompt plus option instructions
+  composedPrompt: {
+    type: String,
+    trim: true,
+    maxlength: 4000
+  },
+  // Prompt template version the composed prompt was rendered from (version 0 = built-in)
+  promptTemplate: {
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate',
+      default: null
+    },
+    name: String,
+    version: Number
+  },
+  // Image provider the job runs on; null uses IMAGE_PROVIDER
+  provider: {
+    type: String,
+    default: null
+  },
+  // Times an admin put the job back on the queue after it failed
+  requeueCount: {
+    type: Number,
+    default: 0
+  },
   options: {
     strength: {
       type: Number,
@@ -44,8 +91,81 @@ const jobRecordSchema = new mongoose.Schema({
     seed: {
       type: Number,
       default: null
+    },
+    variants: {
+      type: Number,
+      min: 1,
+      max: 4,
+      default: 1
+    },
+    // Resolution tier for the outputs; null uses the plan's tier
+    resolution: {
+      type: String,
+      enum: ['standard', 'hd', '4k', null],
+      default: null
     }
   },
+  // Quota credit held for the job: reserved at creation, then committed or released
+  quota: {
+    status: {
+      type: String,
+      enum: ['reserved', 'committed', 'released', null],
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    reservedAt: Date,
+    settledAt: Date,
+    // Why a reservation was released: failed, cancelled, safety_blocked
+    releaseReason: String,
+    // When an admin refunded the failed job, which gives its owner a credit back at most once
+    refundedAt: Date
+  },
+  // Parent batch when the job was submitted through /generate/batch
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GenerationBatch',
+    default: null
+  },
+  // Edit jobs work on an existing image (sourceImageId) following `prompt` instead of generating from scratch:
+  // 'refine' edits a whole output, 'inpaint' only the region covered by `mask`.
+  // 'quilt-design' jobs render `prompt` as text-to-image on the quilt-design queue.
+  // 'rerender' jobs upscale an output to `options.resolution` without calling the provider.
+  kind: {
+    type: String,
+    enum: JOB_KINDS,
+    default: 'generation'
+  },
+  // Job whose output a refine job edits
+  parentJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRecord',
+    default: null
+  },
+  sourceImageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImageAsset',
+    default: null
+  },
+  // Style, palette and grid of a quilt-design job
+  quiltOptions: mongoose.Schema.Types.Mixed,
+  // Region an inpaint job may change: a greyscale PNG in storage, white = edit
+  mask: {
+    storageKey: String,
+    source: {
+      type: String,
+      enum: ['upload', 'polygons']
+    },
+    // Polygons the mask was rasterised from, as fractions of the image size
+    polygons: mongoose.Schema.Types.Mixed
+  },
+  // Seed used for each variant, in output order
+  seeds: [{
+    type: Number
+  }],
   nanobananaJobId: {
     type: String,
     trim: true
@@ -59,6 +179,27 @@ const jobRecordSchema = new mongoose.Schema({
     enum: ['queued', 'processing', 'succeeded', 'failed', 'cancelled'],
     default: 'queued'
   },
+  // Latest stage reported by the worker; mirrors the BullMQ job progress
+  progress: {
+    stage: {
+      type: String,
+      enum: JOB_STAGES,
+      default: 'queued'
+    },
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    // 1-based variant the stage applies to, null for job-wide stages
+    variant: {
+      type: Number,
+      default: null
+    },
+    message: String,
+    updatedAt: Date
+  },
   attempts: {
     type: Number,
     default: 0,
@@ -73,11 +214,27 @@ const jobRecordSchema = new mongoose.Schema({
     ref: 'ImageAsset',
     default: null
   },
+  // All outputs of a multi-variant job; outputImageId is the first of these
+  outputImageIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImageAsset'
+  }],
   error: {
     type: String,
     trim: true,
     maxlength: 2000
   },
+  // Machine-readable failure reason (see JOB_ERROR_CODES)
+  errorCode: {
+    type: String,
+    enum: [...Object.values(JOB_ERROR_CODES), null],
+    default: null
+  },
+  // Whether the worker will try the job again after this failure
+  retryable: {
+    type: Boolean,
+    default: null
+  },
   errorDetails: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -94,12 +251,18 @@ const jobRecordSchema = new mongoose.Schema({
     type: Number, // in seconds
     default: 45
   },
+  // BullMQ priority, 1 runs first; set from the owner's plan and queue round (see queueFairness)
   priority: {
     type: Number,
     min: 1,
-    max: 10,
+    max: 2097152,
     default: 5
   },
+  // Held out of the generate queue until the owner has a free concurrency slot (see queueFairness)
+  awaitingSlot: {
+    type: Boolean,
+    default: false
+  },
   callbackUrl: {
     type: String,
     trim: true
@@ -136,6 +299,10 @@ jobRecordSchema.index({ updatedAt: -1 });
 jobRecordSchema.index({ retryAt: 1 });
 jobRecordSchema.index({ userId: 1, createdAt: -1 });
 jobRecordSchema.index({ nanobananaJobId: 1 });
+jobRecordSchema.index({ batchId: 1 });
+jobRecordSchema.index({ parentJobId: 1 });
+jobRecordSchema.index({ status: 1, priority: 1 });
+jobRecordSchema.index({ userId: 1, awaitingSlot: 1, status: 1, priority: 1 });
 
 // Virtual for job duration
 jobRecordSchema.virtual('duration').get(function() {
@@ -164,11 +331,25 @@ jobRecordSchema.virtual('statusWithTime').get(function() {
   return statusInfo;
 });
 
-// Method to mark as processing
+// Method to mark as processing unless the job was cancelled before the worker got to it
+// Failed jobs move back to processing when retried, processing ones when a stalled attempt is picked up again.
 jobRecordSchema.methods.markProcessing = function() {
-  this.status = 'processing';
-  this.attempts += 1;
-  this.queueTime = Date.now() - this.createdAt;
+  return applyStatusTransition(this, ['queued', 'failed', 'processing'], {
+    status: 'processing',
+    attempts: this.attempts + 1,
+    queueTime: Date.now() - this.createdAt
+  });
+};
+
+// Method to record the worker's current progress stage
+jobRecordSchema.methods.setProgress = function({ stage, percent, variant = null, message }) {
+  this.progress = {
+    stage,
+    percent,
+    variant,
+    message,
+    updatedAt: new Date()
+  };
   return this.save();
 };
 
@@ -179,36 +360,55 @@ jobRecordSchema.methods.markSucceeded = function(outputImageId, processingTime)
   this.processingTime = processingTime;
   this.completedAt = new Date();
   this.error = null;
+  this.errorCode = null;
+  this.retryable = null;
   this.errorDetails = {};
   return this.save();
 };
 
 // Method to mark as failed
-jobRecordSchema.methods.markFailed = function(error, errorDetails = {}) {
+// `classification` comes from classifyJobError; permanent failures are never retried.
+jobRecordSchema.methods.markFailed = function(error, errorDetails = {}, classification = {}) {
+  const { code = JOB_ERROR_CODES.INTERNAL_ERROR, retryable = true, retryAfterMs = null } = classification;
+
   this.status = 'failed';
   this.error = error;
+  this.errorCode = code;
   this.errorDetails = errorDetails;
   this.completedAt = new Date();
+  this.retryable = retryable && this.attempts < this.maxAttempts;
   
-  if (this.attempts >= this.maxAttempts) {
+  if (!this.retryable) {
     this.retryAt = null;
   } else {
-    // Exponential backoff: 2^attempts * 30 seconds
-    const backoffMs = Math.pow(2, this.attempts) * 30000;
+    // Exponential backoff: 2^attempts * 30 seconds, unless the provider asked for longer
+    const backoffMs = retryAfterMs ?? Math.pow(2, this.attempts) * 30000;
     this.retryAt = new Date(Date.now() + backoffMs);
   }
   
   return this.save();
 };
 
-// Method to cancel job
+// Method to mark as succeeded unless the job was cancelled while it ran
+// Only a processing job moves to succeeded, so a cancel that lands first always wins.
+jobRecordSchema.methods.markSucceededIfProcessing = function(fields = {}) {
+  return applyStatusTransition(this, ['processing'], {
+    ...fields,
+    status: 'succeeded',
+    completedAt: new Date(),
+    error: null,
+    errorCode: null,
+    retryable: null
+  });
+};
+
+// Method to cancel job; processing jobs are aborted by the worker at its next stage
+// Only queued or processing jobs move to cancelled, so a job that just succeeded keeps its outputs.
 jobRecordSchema.methods.cancel = function() {
-  if (this.status === 'queued') {
-    this.status = 'cancelled';
-    this.completedAt = new Date();
-    return this.save();
-  }
-  return Promise.resolve(this);
+  return applyStatusTransition(this, ['queued', 'processing'], {
+    status: 'cancelled',
+    completedAt: new Date()
+  });
 };
 
 // Static method to get user's job statistics
@@ -265,4 +465,31 @@ jobRecordSchema.statics.cleanupOldJobs = async function(days = 30) {
   });
 };
 
+/**
+ * Move a job to a new status as a single conditional update and mirror it onto `jobRecord`
+ * The worker and the cancel route race for the final status; whichever update lands first wins.
+ * @param {Object} jobRecord - JobRecord document
+ * @param {string[]} fromStatuses - Statuses the job may move from
+ * @param {Object} update - Fields to set, including the new status
+ * @returns {Promise<boolean>} False when the job was no longer in one of fromStatuses
+ */
+async function applyStatusTransition(jobRecord, fromStatuses, update) {
+  const previous = await jobRecord.constructor.findOneAndUpdate(
+    { _id: jobRecord._id, status: { $in: fromStatuses } },
+    { $set: update }
+  );
+
+  if (!previous) {
+    return false;
+  }
+
+  // The database already holds these values, so a later save() must not write them back
+  for (const [path, value] of Object.entries(update)) {
+    jobRecord.set(path, value);
+    jobRecord.unmarkModified(path);
+  }
+
+  return true;
+}
+
 export default mongoose.model('JobRecord', jobRecordSchema);
\ No newline at end of file
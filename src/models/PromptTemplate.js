@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const promptTemplateVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 4000
+  },
+  variables: [{
+    type: String,
+    trim: true
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const promptTemplateSchema = new mongoose.Schema({
+  tool: {
+    type: String,
+    enum: ['generation', 'quilt-design'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 100,
+    default: 'default'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  versions: [promptTemplateVersionSchema],
+  activeVersion: {
+    type: Number,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One template per name within a tool
+promptTemplateSchema.index({ tool: 1, name: 1 }, { unique: true });
+
+// Virtual for the highest version number
+promptTemplateSchema.virtual('latestVersion').get(function() {
+  return this.versions.reduce((max, v) => Math.max(max, v.version), 0);
+});
+
+// Method to get a specific version
+promptTemplateSchema.methods.getVersion = function(version) {
+  return this.versions.find(v => v.version === Number(version)) || null;
+};
+
+// Method to get the active version
+promptTemplateSchema.methods.getActiveVersion = function() {
+  if (this.activeVersion === null) {
+    return null;
+  }
+  return this.getVersion(this.activeVersion);
+};
+
+// Method to append a new version (does not activate it)
+promptTemplateSchema.methods.addVersion = function({ body, notes, createdBy }) {
+  const version = {
+    version: this.latestVersion + 1,
+    body,
+    variables: extractVariables(body),
+    notes,
+    createdBy
+  };
+  this.versions.push(version);
+  return version;
+};
+
+// Method to point the template at an existing version
+promptTemplateSchema.methods.activate = function(version) {
+  if (!this.getVersion(version)) {
+    throw new Error(`Version ${version} does not exist`);
+  }
+  this.activeVersion = Number(version);
+  return this.save();
+};
+
+// Static method to resolve the active version for a tool
+promptTemplateSchema.statics.resolveActive = async function(tool, name = 'default') {
+  const template = await this.findOne({ tool, name });
+  const active = template?.getActiveVersion();
+
+  if (!active) {
+    return null;
+  }
+
+  return {
+    templateId: template._id,
+    name: template.name,
+    version: active.version,
+    body: active.body
+  };
+};
+
+/**
+ * List the {{placeholder}} names used in a template body
+ * @param {string} body - Template body
+ * @returns {string[]}
+ */
+export function extractVariables(body) {
+  const names = new Set();
+  for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(match[1]);
+  }
+  return [...names];
+}
+
+export default mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { createLogger } from '../utils/logger.js';
+import { publishUserEvent } from '../services/realtime.js';
+
+const logger = createLogger('user-model');
 
 const userSchema = new mongoose.Schema({
   googleId: {
@@ -26,6 +30,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false // Exclude from default queries for security
   },
+  // Key this user's job callbacks are signed with, issued on first use
+  callbackSigningSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
   plan: {
     type: String,
     enum: ['free', 'basic', 'premium', 'pro'],
@@ -81,6 +91,12 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Credits held by queued or running jobs; committed on success, released on failure
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     resetDate: {
       type: Date,
       default: function() {
@@ -153,25 +169,68 @@ const userSchema = new mongoose.Schema({
       delete ret.__v;
       delete ret.googleId;
       delete ret.passwordHash;
+      delete ret.callbackSigningSecret;
       return ret;
     }
   }
 });
 
+// Remember what changed so the post-save hooks can react to it
+userSchema.pre('save', function(next) {
+  this.$locals.planChanged = !this.isNew && this.isModified('plan');
+  this.$locals.subscriptionChanged = !this.isNew && (this.isModified('plan') || this.isModified('subscription'));
+  this.$locals.quotaChanged = !this.isNew && this.isModified('quota');
+  next();
+});
+
+// Push quota and subscription changes to the user's realtime connections
+userSchema.post('save', function(doc) {
+  if (doc.$locals.quotaChanged) {
+    const { usage, resetDate } = doc.getSubscriptionDetails();
+    publishUserEvent(doc._id, 'quota.updated', { ...usage, resetDate });
+  }
+
+  if (doc.$locals.subscriptionChanged) {
+    publishUserEvent(doc._id, 'subscription.changed', {
+      plan: doc.plan,
+      status: doc.subscription?.status,
+      currentPeriodEnd: doc.subscription?.currentPeriodEnd
+    });
+  }
+});
+
+// Upgrading to a watermark-free plan unlocks the clean originals of past outputs
+userSchema.post('save', function(doc) {
+  if (!doc.$locals.planChanged) {
+    return;
+  }
+
+  import('../services/watermark.js')
+    .then(({ requiresWatermark, unlockWatermarkedOutputs }) => {
+      if (!requiresWatermark(doc.plan)) {
+        return unlockWatermarkedOutputs(doc._id);
+      }
+    })
+    .catch(error => {
+      logger.error('Failed to unlock watermarked outputs', {
+        userId: doc._id,
+        error: error.message
+      });
+    });
+});
+
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ googleId: 1 });
 userSchema.index({ createdAt: -1 });
 
-// Method to check if user has available quota
-userSchema.methods.hasAvailableQuota = function() {
+// Method to check if user has available quota (for `amount` generations)
+// This is a read-only pre-check; reserveQuota is what actually claims credits.
+userSchema.methods.hasAvailableQuota = function(amount = 1) {
   const now = new Date();
   
-  // Reset quota if it's a new month
-  if (now > this.quota.resetDate) {
-    this.quota.usedThisMonth = 0;
-    this.quota.resetDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-  }
+  // Usage from an earlier month no longer counts
+  const used = now > this.quota.resetDate ? 0 : this.quota.usedThisMonth;
   
   // For free users, check trial status
   if (this.plan === 'free') {
@@ -184,36 +243,87 @@ userSchema.methods.hasAvailableQuota = function() {
     if (this.subscription.trialUsed) {
       return false; // Trial already used
     }
-    
-    return this.quota.usedThisMonth < this.quota.monthlyRequests;
   }
   
-  return this.quota.usedThisMonth < this.quota.monthlyRequests;
+  return used + this.quota.reserved + amount <= this.quota.monthlyRequests;
+};
+
+// Method to charge usage directly, for generations that were not reserved
+userSchema.methods.incrementUsage = function(amount = 1) {
+  return applyQuotaUpdate(this, {}, [{ $set: chargeUsage(new Date(), amount, 0) }]);
 };
 
-// Method to increment usage
-userSchema.methods.incrementUsage = function() {
+// Method to hold credits for jobs that have been queued but not finished
+// Checks the quota and reserves in one atomic update; resolves to false when the quota is exhausted.
+userSchema.methods.reserveQuota = function(amount = 1) {
   const now = new Date();
+  const period = currentPeriod(now);
   
-  // Reset quota if it's a new month
-  if (now > this.quota.resetDate) {
-    this.quota.usedThisMonth = 0;
-    this.quota.resetDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-  }
+  return applyQuotaUpdate(this, {
+    $or: [
+      { plan: { $ne: 'free' } },
+      { 'subscription.trialUsed': { $ne: true }, 'subscription.trialEndsAt': { $not: { $lt: now } } }
+    ],
+    $expr: { $lte: [{ $add: [period.used, RESERVED, amount] }, '$quota.monthlyRequests'] }
+  }, [{
+    $set: {
+      'quota.usedThisMonth': period.used,
+      'quota.resetDate': period.resetDate,
+      'quota.reserved': { $add: [RESERVED, amount] }
+    }
+  }]);
+};
+
+// Method to turn held credits into usage once their jobs succeed
+userSchema.methods.commitQuota = function(amount = 1) {
+  return applyQuotaUpdate(this, {}, [{ $set: chargeUsage(new Date(), amount, amount) }]);
+};
+
+// Method to hand back held credits when their jobs fail or are cancelled
+userSchema.methods.releaseQuota = function(amount = 1) {
+  return applyQuotaUpdate(this, {}, [{
+    $set: { 'quota.reserved': { $max: [0, { $subtract: [RESERVED, amount] }] } }
+  }]);
+};
+
+// Method to give back usage for generations that never completed
+userSchema.methods.refundUsage = function(amount = 1) {
+  const period = currentPeriod(new Date());
+  const used = { $max: [0, { $subtract: [period.used, amount] }] };
   
-  // For free users, mark trial as used after first usage
-  if (this.plan === 'free' && !this.subscription.trialUsed) {
-    this.subscription.trialUsed = true;
-    this.subscription.status = 'canceled'; // Trial ends after first use
-  }
+  // A free user's only generation was refunded, so the trial is still available
+  const restoreTrial = {
+    $and: [
+      { $eq: ['$plan', 'free'] },
+      { $eq: [used, 0] },
+      { $eq: ['$subscription.trialUsed', true] }
+    ]
+  };
   
-  this.quota.usedThisMonth += 1;
-  return this.save();
+  return applyQuotaUpdate(this, {}, [{
+    $set: {
+      'quota.usedThisMonth': used,
+      'quota.resetDate': period.resetDate,
+      'subscription.trialUsed': { $cond: [restoreTrial, false, '$subscription.trialUsed'] },
+      'subscription.status': { $cond: [restoreTrial, 'trialing', '$subscription.status'] }
+    }
+  }]);
 };
+
 // Method to increment generation attempts
-userSchema.methods.incrementGenerationAttempts = function() {
-  this.generationAttempts += 1;
-  return this.save();
+userSchema.methods.incrementGenerationAttempts = async function(amount = 1) {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { generationAttempts: amount } },
+    { new: true, projection: { generationAttempts: 1 } }
+  );
+  
+  if (updated) {
+    this.set('generationAttempts', updated.generationAttempts);
+    this.unmarkModified('generationAttempts');
+  }
+  
+  return this;
 };
 
 // Method to check trial status
@@ -240,8 +350,9 @@ userSchema.methods.getSubscriptionDetails = function() {
     trialStatus: trialStatus,
     usage: {
       used: this.quota.usedThisMonth,
+      reserved: this.quota.reserved,
       limit: this.quota.monthlyRequests,
-      remaining: Math.max(0, this.quota.monthlyRequests - this.quota.usedThisMonth)
+      remaining: Math.max(0, this.quota.monthlyRequests - this.quota.usedThisMonth - this.quota.reserved)
     },
     resetDate: this.quota.resetDate,
     currentPeriodEnd: this.subscription.currentPeriodEnd
@@ -279,4 +390,88 @@ userSchema.statics.findOrCreate = async function(profile) {
   return user;
 };
 
+// Credits currently held by queued or running jobs, as an aggregation expression
+const RESERVED = { $ifNull: ['$quota.reserved', 0] };
+
+/**
+ * Start of the month after `date`, when monthly usage resets
+ */
+function nextResetDate(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+}
+
+/**
+ * Monthly usage and reset date after any due reset, as aggregation expressions
+ * Used inside update pipelines so the reset happens in the same atomic step as the quota change.
+ */
+function currentPeriod(now) {
+  const expired = { $gt: [now, { $ifNull: ['$quota.resetDate', new Date(0)] }] };
+
+  return {
+    used: { $cond: [expired, 0, { $ifNull: ['$quota.usedThisMonth', 0] }] },
+    resetDate: { $cond: [expired, nextResetDate(now), '$quota.resetDate'] }
+  };
+}
+
+/**
+ * Pipeline fields that add `amount` to this month's usage, taking `reserved` off the held credits
+ * A free user's trial ends with their first charged generation.
+ */
+function chargeUsage(now, amount, reserved) {
+  const period = currentPeriod(now);
+  const endsTrial = {
+    $and: [
+      { $eq: ['$plan', 'free'] },
+      { $ne: ['$subscription.trialUsed', true] }
+    ]
+  };
+
+  return {
+    'quota.usedThisMonth': { $add: [period.used, amount] },
+    'quota.resetDate': period.resetDate,
+    'quota.reserved': { $max: [0, { $subtract: [RESERVED, reserved] }] },
+    'subscription.trialUsed': { $cond: [endsTrial, true, '$subscription.trialUsed'] },
+    'subscription.status': { $cond: [endsTrial, 'canceled', '$subscription.status'] }
+  };
+}
+
+/**
+ * Run a conditional quota update as a single findOneAndUpdate and mirror the result onto `user`
+ * Concurrent requests never read-modify-write the user document, so no increment is lost.
+ * @returns {Promise<boolean>} Whether the filter matched and the update was applied
+ */
+async function applyQuotaUpdate(user, filter, pipeline) {
+  const updated = await user.constructor.findOneAndUpdate(
+    { _id: user._id, ...filter },
+    pipeline,
+    { new: true, projection: { quota: 1, subscription: 1 } }
+  );
+
+  if (!updated) {
+    return false;
+  }
+
+  const { quota, subscription } = updated.toObject();
+  const subscriptionChanged = subscription.status !== user.subscription?.status;
+
+  // The document already reflects the database, so a later save() must not write these paths back
+  user.set({ quota, subscription });
+  user.unmarkModified('quota');
+  user.unmarkModified('subscription');
+
+  // Atomic updates bypass the save hooks, so notify realtime connections here
+  const { usage, resetDate } = user.getSubscriptionDetails();
+  publishUserEvent(user._id, 'quota.updated', { ...usage, resetDate });
+
+  if (subscriptionChanged) {
+    publishUserEvent(user._id, 'subscription.changed', {
+      plan: user.plan,
+      status: user.subscription.status,
+      currentPeriodEnd: user.subscription.currentPeriodEnd
+    });
+  }
+
+  return true;
+}
+
 export default mongoose.model('User', userSchema);
\ No newline at end of file
@@ -5,11 +5,25 @@ import User from '../models/User.js';
 import JobRecord from '../models/JobRecord.js';
 import ImageAsset from '../models/ImageAsset.js';
 import Audit from '../models/Audit.js';
+import PromptTemplate from '../models/PromptTemplate.js';
+import { composeGenerationPrompt, composeQuiltPrompt } from '../services/promptComposer.js';
+import { PROMPT_TEMPLATE_TOOLS, getBuiltinTemplate, templateReference } from '../services/promptTemplates.js';
+import { getImageProvider, listImageProviders } from '../services/imageProviders/index.js';
+import { JOB_ERROR_CODES } from '../services/jobErrors.js';
+import {
+  buildDeadLetterFilter,
+  summarizeDeadLetters,
+  requeueFailedJob,
+  refundFailedJobs
+} from '../services/deadLetter.js';
 import { createLogger } from '../utils/logger.js';
 
 const router = express.Router();
 const logger = createLogger('admin-routes');
 
+// Requeued jobs reserve a credit like new ones, so owners without quota left are skipped
+const REQUEUE_QUOTA_MESSAGE = 'The job owner has no quota left to run it again';
+
 /**
  * @route   GET /api/v1/admin/users
  * @desc    Get all users with pagination and filtering
@@ -483,6 +497,23 @@ router.get('/stats', requireAdmin(), asyncHandler(async (req, res) => {
  *           type: string
  *           format: objectid
  *         description: Job ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               promptTemplateId:
+ *                 type: string
+ *                 format: objectid
+ *                 description: Generation template to recompose the prompt with
+ *               promptTemplateVersion:
+ *                 type: integer
+ *                 description: Template version, defaults to the active version
+ *               provider:
+ *                 type: string
+ *                 description: Image provider to run the job on
  *     responses:
  *       200:
  *         description: Job queued for retry
@@ -535,20 +566,13 @@ router.post('/jobs/:id/retry', requireAdmin(), asyncHandler(async (req, res) =>
     throw new ValidationError('Only failed jobs can be retried');
   }
 
-  // Reset job status and add to queue
-  job.status = 'queued';
-  job.attempts = 0;
-  job.error = null;
-  job.errorDetails = {};
-  job.retryAt = null;
-  await job.save();
+  const overrides = await parseRequeueOverrides(req.body);
+  const previousAttempts = job.attempts;
 
-  // Add to queue
-  const { Queue } = await import('../config/queue.js');
-  await Queue.add('generate', {
-    jobId: job._id.toString(),
-    userId: job.userId
-  });
+  // Requeued jobs are charged like new ones
+  if (!await requeueFailedJob(job, overrides)) {
+    throw new ValidationError(REQUEUE_QUOTA_MESSAGE);
+  }
 
   // Log retry
   await Audit.logUsage({
@@ -559,14 +583,127 @@ router.post('/jobs/:id/retry', requireAdmin(), asyncHandler(async (req, res) =>
     resourceId: job._id,
     details: {
       adminId: req.user.id,
-      previousAttempts: job.attempts
+      previousAttempts
     }
   });
 
   res.json({
     message: 'Job queued for retry',
     jobId: job._id,
-    status: job.status
+    status: job.status,
+    promptTemplate: job.promptTemplate,
+    provider: job.provider
+  });
+}));
+
+/**
+ * @route   GET /api/v1/admin/jobs/dead-letter
+ * @desc    List permanently failed jobs, grouped by error code
+ * @access  Private (Admin only)
+ */
+router.get('/jobs/dead-letter', requireAdmin(), asyncHandler(async (req, res) => {
+  const { errorCode, userId, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+
+  validateErrorCode(errorCode);
+
+  const filter = buildDeadLetterFilter({ errorCode, userId, dateFrom, dateTo });
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [groups, jobs, total] = await Promise.all([
+    summarizeDeadLetters(filter),
+    JobRecord.find(filter)
+      .sort({ completedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('userId status error errorCode attempts requeueCount promptTemplate provider quota createdAt completedAt')
+      .populate('userId', 'email name'),
+    JobRecord.countDocuments(filter)
+  ]);
+
+  res.json({
+    groups,
+    jobs,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    filters: { errorCode, userId, dateFrom, dateTo }
+  });
+}));
+
+/**
+ * @route   POST /api/v1/admin/jobs/dead-letter/requeue
+ * @desc    Requeue permanently failed jobs, optionally with another prompt template or provider
+ * @access  Private (Admin only)
+ */
+router.post('/jobs/dead-letter/requeue', requireAdmin(), asyncHandler(async (req, res) => {
+  const jobs = await selectDeadLetters(req.body);
+  const overrides = await parseRequeueOverrides(req.body);
+
+  const requeued = [];
+  const failed = [];
+
+  for (const job of jobs) {
+    try {
+      if (await requeueFailedJob(job, overrides)) {
+        requeued.push(job._id);
+      } else {
+        failed.push({ jobId: job._id, error: REQUEUE_QUOTA_MESSAGE });
+      }
+    } catch (error) {
+      logger.error('Failed to requeue job', {
+        jobId: job._id,
+        error: error.message
+      });
+      failed.push({ jobId: job._id, error: error.message });
+    }
+  }
+
+  await Audit.logUsage({
+    userId: req.user.id,
+    type: 'generation',
+    action: 'admin_jobs_requeued',
+    amount: requeued.length,
+    details: {
+      adminId: req.user.id
+    }
+  });
+
+  res.json({
+    message: `${requeued.length} jobs requeued`,
+    requeued,
+    failed,
+    promptTemplate: overrides.template ? templateReference(overrides.template) : null,
+    provider: overrides.provider || null
+  });
+}));
+
+/**
+ * @route   POST /api/v1/admin/jobs/dead-letter/refund
+ * @desc    Give the owners of permanently failed jobs a goodwill credit, once per job
+ * @access  Private (Admin only)
+ */
+router.post('/jobs/dead-letter/refund', requireAdmin(), asyncHandler(async (req, res) => {
+  const jobs = await selectDeadLetters(req.body);
+  const users = await refundFailedJobs(jobs);
+  const credits = users.reduce((total, user) => total + user.credits, 0);
+
+  await Audit.logUsage({
+    userId: req.user.id,
+    type: 'quota',
+    action: 'admin_jobs_refunded',
+    amount: credits,
+    details: {
+      adminId: req.user.id
+    }
+  });
+
+  res.json({
+    message: `${credits} credits refunded to ${users.length} users`,
+    credits,
+    users
   });
 }));
 
@@ -659,6 +796,284 @@ router.post('/cleanup', requireAdmin(), asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   GET /api/v1/admin/prompt-templates
+ * @desc    List prompt templates, optionally filtered by tool
+ * @access  Private (Admin only)
+ */
+router.get('/prompt-templates', requireAdmin(), asyncHandler(async (req, res) => {
+  const { tool } = req.query;
+
+  const filter = {};
+  if (tool) {
+    filter.tool = tool;
+  }
+
+  const templates = await PromptTemplate.find(filter).sort({ tool: 1, name: 1 });
+
+  res.json({
+    templates: templates.map(template => ({
+      id: template._id,
+      tool: template.tool,
+      name: template.name,
+      description: template.description,
+      activeVersion: template.activeVersion,
+      latestVersion: template.latestVersion,
+      updatedAt: template.updatedAt
+    })),
+    builtin: PROMPT_TEMPLATE_TOOLS.map(name => ({
+      tool: name,
+      body: getBuiltinTemplate(name).body
+    }))
+  });
+}));
+
+/**
+ * @route   POST /api/v1/admin/prompt-templates
+ * @desc    Create a prompt template with its first version
+ * @access  Private (Admin only)
+ */
+router.post('/prompt-templates', requireAdmin(), asyncHandler(async (req, res) => {
+  const { tool, name = 'default', description, body, notes, activate = false } = req.body;
+
+  if (!PROMPT_TEMPLATE_TOOLS.includes(tool)) {
+    throw new ValidationError(`Tool must be one of: ${PROMPT_TEMPLATE_TOOLS.join(', ')}`);
+  }
+
+  if (!body || typeof body !== 'string') {
+    throw new ValidationError('Template body is required');
+  }
+
+  const existing = await PromptTemplate.findOne({ tool, name: name.toLowerCase() });
+  if (existing) {
+    throw new ValidationError(`A "${name}" template already exists for ${tool}`);
+  }
+
+  const template = new PromptTemplate({
+    tool,
+    name,
+    description,
+    createdBy: req.user._id
+  });
+  const version = template.addVersion({ body, notes, createdBy: req.user._id });
+
+  if (activate) {
+    template.activeVersion = version.version;
+  }
+
+  await template.save();
+
+  await Audit.logUsage({
+    userId: req.user.id,
+    type: 'prompt_template',
+    action: 'prompt_template_created',
+    resourceType: 'prompt_template',
+    resourceId: template._id
+  });
+
+  logger.info('Prompt template created', {
+    templateId: template._id,
+    tool,
+    name: template.name,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    message: 'Prompt template created successfully',
+    template
+  });
+}));
+
+/**
+ * @route   GET /api/v1/admin/prompt-templates/:id
+ * @desc    Get a prompt template with all its versions
+ * @access  Private (Admin only)
+ */
+router.get('/prompt-templates/:id', requireAdmin(), asyncHandler(async (req, res) => {
+  const template = await PromptTemplate.findById(req.params.id);
+  if (!template) {
+    throw new NotFoundError('Prompt template');
+  }
+
+  res.json({ template });
+}));
+
+/**
+ * @route   POST /api/v1/admin/prompt-templates/:id/versions
+ * @desc    Add a new version to a prompt template
+ * @access  Private (Admin only)
+ */
+router.post('/prompt-templates/:id/versions', requireAdmin(), asyncHandler(async (req, res) => {
+  const { body, notes, activate = false } = req.body;
+
+  if (!body || typeof body !== 'string') {
+    throw new ValidationError('Template body is required');
+  }
+
+  const template = await PromptTemplate.findById(req.params.id);
+  if (!template) {
+    throw new NotFoundError('Prompt template');
+  }
+
+  const version = template.addVersion({ body, notes, createdBy: req.user._id });
+
+  if (activate) {
+    template.activeVersion = version.version;
+  }
+
+  await template.save();
+
+  await Audit.logUsage({
+    userId: req.user.id,
+    type: 'prompt_template',
+    action: activate ? 'prompt_template_version_activated' : 'prompt_template_version_added',
+    resourceType: 'prompt_template',
+    resourceId: template._id
+  });
+
+  logger.info('Prompt template version added', {
+    templateId: template._id,
+    version: version.version,
+    activated: activate,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    message: 'Prompt template version added successfully',
+    version: template.getVersion(version.version),
+    activeVersion: template.activeVersion
+  });
+}));
+
+/**
+ * @route   POST /api/v1/admin/prompt-templates/:id/activate
+ * @desc    Point a prompt template at an existing version (roll out or roll back)
+ * @access  Private (Admin only)
+ */
+router.post('/prompt-templates/:id/activate', requireAdmin(), asyncHandler(async (req, res) => {
+  const { version } = req.body;
+
+  if (version === undefined) {
+    throw new ValidationError('Version is required');
+  }
+
+  const template = await PromptTemplate.findById(req.params.id);
+  if (!template) {
+    throw new NotFoundError('Prompt template');
+  }
+
+  // A null version deactivates the template and falls back to the built-in prompt
+  if (version === null) {
+    template.activeVersion = null;
+    await template.save();
+  } else {
+    if (!template.getVersion(version)) {
+      throw new ValidationError(`Version ${version} does not exist`);
+    }
+    await template.activate(version);
+  }
+
+  await Audit.logUsage({
+    userId: req.user.id,
+    type: 'prompt_template',
+    action: 'prompt_template_activated',
+    resourceType: 'prompt_template',
+    resourceId: template._id
+  });
+
+  logger.info('Prompt template activated', {
+    templateId: template._id,
+    version: template.activeVersion,
+    adminId: req.user.id
+  });
+
+  res.json({
+    message: 'Prompt template activated successfully',
+    templateId: template._id,
+    activeVersion: template.activeVersion
+  });
+}));
+
+/**
+ * @route   POST /api/v1/admin/prompt-templates/:id/preview
+ * @desc    Render a prompt template version with sample inputs
+ * @access  Private (Admin only)
+ */
+router.post('/prompt-templates/:id/preview', requireAdmin(), asyncHandler(async (req, res) => {
+  const { version, options = {}, preferences = {}, prompt = 'A sample design description' } = req.body;
+
+  const template = await PromptTemplate.findById(req.params.id);
+  if (!template) {
+    throw new NotFoundError('Prompt template');
+  }
+
+  const selected = version !== undefined ? template.getVersion(version) : template.getActiveVersion();
+  if (!selected) {
+    throw new ValidationError(version !== undefined
+      ? `Version ${version} does not exist`
+      : 'Template has no active version; pass a version to preview');
+  }
+
+  let rendered;
+  if (template.tool === 'generation') {
+    rendered = composeGenerationPrompt({ template: selected, options, preferences }).prompt;
+  } else {
+    rendered = composeQuiltPrompt({
+      template: selected,
+      prompt,
+      options: {
+        style: options.style || 'modern',
+        colorPalette: options.colorPalette || ['#FF6B6B', '#4ECDC4', '#FFD166', '#06D6A0', '#118AB2'],
+        complexity: options.complexity || 3,
+        size: options.size || 'throw',
+        rows: options.rows || 8,
+        columns: options.columns || 8,
+        symmetry: options.symmetry || 'mirror'
+      }
+    });
+  }
+
+  res.json({
+    templateId: template._id,
+    tool: template.tool,
+    version: selected.version,
+    variables: selected.variables,
+    prompt: rendered
+  });
+}));
+
+/**
+ * @route   DELETE /api/v1/admin/prompt-templates/:id
+ * @desc    Delete a prompt template (the tool falls back to the built-in prompt)
+ * @access  Private (Admin only)
+ */
+router.delete('/prompt-templates/:id', requireAdmin(), asyncHandler(async (req, res) => {
+  const template = await PromptTemplate.findByIdAndDelete(req.params.id);
+  if (!template) {
+    throw new NotFoundError('Prompt template');
+  }
+
+  await Audit.logUsage({
+    userId: req.user.id,
+    type: 'prompt_template',
+    action: 'prompt_template_deleted',
+    resourceType: 'prompt_template',
+    resourceId: template._id
+  });
+
+  logger.info('Prompt template deleted', {
+    templateId: template._id,
+    tool: template.tool,
+    name: template.name,
+    adminId: req.user.id
+  });
+
+  res.json({
+    message: 'Prompt template deleted successfully',
+    templateId: template._id
+  });
+}));
+
 /**
  * Format bytes to human readable format
  */
@@ -674,4 +1089,85 @@ function formatBytes(bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
+const MAX_BULK_JOBS = 500;
+
+/**
+ * Reject error codes that are not in the taxonomy
+ */
+function validateErrorCode(errorCode) {
+  if (errorCode && !Object.values(JOB_ERROR_CODES).includes(errorCode)) {
+    throw new ValidationError(`errorCode must be one of: ${Object.values(JOB_ERROR_CODES).join(', ')}`);
+  }
+}
+
+/**
+ * Load the dead-lettered jobs a bulk request targets, by ID or by error code
+ */
+async function selectDeadLetters({ jobIds, errorCode, userId, dateFrom, dateTo, limit = 100 }) {
+  if (jobIds !== undefined && (!Array.isArray(jobIds) || jobIds.length === 0)) {
+    throw new ValidationError('jobIds must be a non-empty array');
+  }
+
+  if (!jobIds && !errorCode) {
+    throw new ValidationError('Pass jobIds or errorCode to select jobs');
+  }
+
+  validateErrorCode(errorCode);
+
+  const max = Math.min(parseInt(limit) || 100, MAX_BULK_JOBS);
+  const filter = buildDeadLetterFilter({ jobIds, errorCode, userId, dateFrom, dateTo });
+
+  return JobRecord.find(filter).sort({ completedAt: 1 }).limit(max);
+}
+
+/**
+ * Resolve the optional prompt template and provider a job should be requeued with
+ */
+async function parseRequeueOverrides({ promptTemplateId, promptTemplateVersion, provider } = {}) {
+  const overrides = {};
+
+  if (promptTemplateId) {
+    const template = await PromptTemplate.findById(promptTemplateId);
+    if (!template) {
+      throw new NotFoundError('Prompt template');
+    }
+
+    if (template.tool !== 'generation') {
+      throw new ValidationError('Jobs can only be requeued with a generation template');
+    }
+
+    const selected = promptTemplateVersion !== undefined
+      ? template.getVersion(promptTemplateVersion)
+      : template.getActiveVersion();
+    if (!selected) {
+      throw new ValidationError(promptTemplateVersion !== undefined
+        ? `Version ${promptTemplateVersion} does not exist`
+        : 'Template has no active version; pass promptTemplateVersion');
+    }
+
+    overrides.template = {
+      templateId: template._id,
+      name: template.name,
+      version: selected.version,
+      body: selected.body
+    };
+  } else if (promptTemplateVersion !== undefined) {
+    throw new ValidationError('promptTemplateVersion requires promptTemplateId');
+  }
+
+  if (provider) {
+    if (!listImageProviders().includes(provider)) {
+      throw new ValidationError(`provider must be one of: ${listImageProviders().join(', ')}`);
+    }
+
+    if (!getImageProvider(provider).isConfigured()) {
+      throw new ValidationError(`Image provider "${provider}" is not configured`);
+    }
+
+    overrides.provider = provider;
+  }
+
+  return overrides;
+}
+
 export default router;
\ No newline at end of file
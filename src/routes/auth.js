@@ -490,7 +490,8 @@ router.get('/quota', requireAuth(), asyncHandler(async (req, res) => {
   res.json({
     monthlyRequests: user.quota.monthlyRequests,
     usedThisMonth: user.quota.usedThisMonth,
-    remaining: Math.max(0, user.quota.monthlyRequests - user.quota.usedThisMonth),
+    reserved: user.quota.reserved,
+    remaining: Math.max(0, user.quota.monthlyRequests - user.quota.usedThisMonth - user.quota.reserved),
     resetDate: user.quota.resetDate,
     hasQuota
   });
@@ -1,8 +1,14 @@
 import express from 'express';
 import { requireAuth } from '../config/passport.js';
-import { asyncHandler, ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { asyncHandler, ValidationError, NotFoundError, RateLimitError } from '../middleware/errorHandler.js';
+import { generateRateLimiter, quotaCheck } from '../middleware/rateLimiter.js';
 import { generateDownloadUrl } from '../config/storage.js';
 import ImageAsset from '../models/ImageAsset.js';
+import { getRenditionsMap } from '../services/renditions.js';
+import { getProvenanceGraph } from '../services/provenance.js';
+import { reserveAndSaveJobs, enqueueReservedJobs, QUOTA_EXCEEDED_MESSAGE } from '../services/quota.js';
+import { assignQueuePriorities, getQueuePosition } from '../services/queueFairness.js';
+import { RESOLUTION_TIERS, isTierAllowed, compareTiers } from '../config/plans.js';
 import JobRecord from '../models/JobRecord.js';
 import Project from '../models/Project.js';
 import Audit from '../models/Audit.js';
@@ -85,7 +91,13 @@ const logger = createLogger('gallery-routes');
  *                 images:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/ImageAsset'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/ImageAsset'
+ *                       - type: object
+ *                         properties:
+ *                           renditions:
+ *                             type: object
+ *                             description: Rendition URLs keyed by size (thumbnail, medium, full) then format (webp, avif)
  *                 pagination:
  *                   type: object
  *                   properties:
@@ -162,6 +174,8 @@ router.get('/', requireAuth(), asyncHandler(async (req, res) => {
     ImageAsset.countDocuments(filter)
   ]);
 
+  const renditions = await getRenditionsMap(images.map(image => image._id));
+
   // Generate fresh URLs for each image
   const imagesWithUrls = await Promise.all(
     images.map(async (image) => {
@@ -169,14 +183,18 @@ router.get('/', requireAuth(), asyncHandler(async (req, res) => {
         const signedUrl = await generateDownloadUrl(image.storageKey, 3600);
         return {
           ...image.toObject(),
-          url: signedUrl
+          url: signedUrl,
+          renditions: renditions[image._id.toString()] || {}
         };
       } catch (error) {
         logger.error('Error generating URL for gallery image', {
           imageId: image._id,
           error: error.message
         });
-        return image;
+        return {
+          ...image.toObject(),
+          renditions: renditions[image._id.toString()] || {}
+        };
       }
     })
   );
@@ -229,6 +247,9 @@ router.get('/', requireAuth(), asyncHandler(async (req, res) => {
  *                       format: objectid
  *                     prompt:
  *                       type: string
+ *                     composedPrompt:
+ *                       type: string
+ *                       description: Final prompt sent to the image provider
  *                     options:
  *                       type: object
  *                     status:
@@ -313,6 +334,7 @@ router.get('/:id', requireAuth(), asyncHandler(async (req, res) => {
     generation: job ? {
       id: job._id,
       prompt: job.prompt,
+      composedPrompt: job.composedPrompt,
       options: job.options,
       status: job.status,
       createdAt: job.createdAt,
@@ -323,6 +345,282 @@ router.get('/:id', requireAuth(), asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/v1/gallery/{id}/lineage:
+ *   get:
+ *     summary: Get the edit chain of a gallery item
+ *     description: |
+ *       Returns every output in the item's lineage: the original generation, the
+ *       refinements, inpainted edits and re-renders made from it, and theirs in turn. Items are listed
+ *       breadth-first from the root; deleted outputs are left out.
+ *     tags: [Gallery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectid
+ *         description: Gallery item ID
+ *     responses:
+ *       200:
+ *         description: Edit chain retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 imageId:
+ *                   type: string
+ *                   format: objectid
+ *                 rootId:
+ *                   type: string
+ *                   format: objectid
+ *                   description: Output the chain started from
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: objectid
+ *                       parentId:
+ *                         type: string
+ *                         format: objectid
+ *                         nullable: true
+ *                       depth:
+ *                         type: integer
+ *                         description: Number of edits between the root and this item
+ *                       source:
+ *                         type: string
+ *                         enum: [worker-generation, direct-generation, refine, inpaint, rerender]
+ *                       instruction:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Edit instruction of refined and inpainted outputs
+ *                       jobId:
+ *                         type: string
+ *                       parentJobId:
+ *                         type: string
+ *                         nullable: true
+ *                       resolutionTier:
+ *                         type: string
+ *                       url:
+ *                         type: string
+ *                         format: uri
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Gallery item not found or access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/lineage', requireAuth(), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const ownOutputs = { userId: req.user.id, type: 'output', isDeleted: false };
+
+  const image = await ImageAsset.findOne({ _id: id, ...ownOutputs });
+
+  if (!image) {
+    throw new NotFoundError('Gallery item');
+  }
+
+  // Walk up to the output the chain started from
+  let root = image;
+  for (let depth = 0; depth < MAX_LINEAGE_DEPTH; depth++) {
+    const parentId = lineageParentId(root);
+    const parent = parentId && await ImageAsset.findOne({ _id: parentId, ...ownOutputs });
+    if (!parent) break;
+    root = parent;
+  }
+
+  // Then collect its descendants one generation at a time
+  const items = [{ asset: root, parentId: null, depth: 0 }];
+  let frontier = [root._id];
+  for (let depth = 1; frontier.length && depth <= MAX_LINEAGE_DEPTH; depth++) {
+    const children = await ImageAsset.find({
+      ...ownOutputs,
+      $or: [
+        { 'metadata.source': 'rerender', 'metadata.renderedFrom': { $in: frontier } },
+        { 'metadata.source': { $in: ['refine', 'inpaint'] }, originalImageId: { $in: frontier } }
+      ]
+    }).sort({ createdAt: 1 });
+
+    for (const child of children) {
+      items.push({ asset: child, parentId: lineageParentId(child), depth });
+    }
+    frontier = children.map(child => child._id);
+  }
+
+  res.json({
+    imageId: image._id,
+    rootId: root._id,
+    items: await Promise.all(items.map(async ({ asset, parentId, depth }) => ({
+      id: asset._id,
+      parentId,
+      depth,
+      source: asset.metadata?.source,
+      instruction: ['refine', 'inpaint'].includes(asset.metadata?.source) ? asset.metadata.prompt : null,
+      jobId: asset.metadata?.jobId,
+      parentJobId: asset.metadata?.parentJobId || null,
+      resolutionTier: asset.metadata?.resolutionTier || 'standard',
+      url: await generateDownloadUrl(asset.storageKey, 3600),
+      createdAt: asset.createdAt
+    })))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/gallery/{id}/provenance:
+ *   get:
+ *     summary: Get how a gallery item was made
+ *     description: |
+ *       Returns the derivation graph of the item: the item itself, every asset it was
+ *       made from (model and outfit uploads, and the outputs it was refined or
+ *       re-rendered from, recursively) and the jobs involved. Each output node carries
+ *       the provider, model, prompt template version, prompt, seed and post-processing
+ *       steps needed to reproduce it. Outputs created before provenance was recorded
+ *       are reconstructed from their job and flagged as legacy.
+ *     tags: [Gallery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectid
+ *         description: Gallery item ID
+ *     responses:
+ *       200:
+ *         description: Derivation graph retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 imageId:
+ *                   type: string
+ *                   format: objectid
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: objectid
+ *                       type:
+ *                         type: string
+ *                         enum: [model, outfit, output]
+ *                       missing:
+ *                         type: boolean
+ *                         description: The asset no longer exists
+ *                       url:
+ *                         type: string
+ *                         format: uri
+ *                       provenance:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           jobId:
+ *                             type: string
+ *                           provider:
+ *                             type: string
+ *                           model:
+ *                             type: string
+ *                           promptTemplate:
+ *                             type: object
+ *                           prompt:
+ *                             type: string
+ *                           seed:
+ *                             type: integer
+ *                           options:
+ *                             type: object
+ *                           steps:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 name:
+ *                                   type: string
+ *                                   enum: [background, resize, watermark]
+ *                                 params:
+ *                                   type: object
+ *                           legacy:
+ *                             type: boolean
+ *                 edges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                         description: Input asset
+ *                       to:
+ *                         type: string
+ *                         description: Output made from it
+ *                       role:
+ *                         type: string
+ *                         enum: [model, outfit, source]
+ *                       slot:
+ *                         type: string
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 truncated:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Gallery item not found or access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/provenance', requireAuth(), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const image = await ImageAsset.findOne({
+    _id: id,
+    userId: req.user.id,
+    type: 'output',
+    isDeleted: false
+  });
+
+  if (!image) {
+    throw new NotFoundError('Gallery item');
+  }
+
+  const graph = await getProvenanceGraph(image);
+
+  res.json({
+    imageId: image._id,
+    ...graph
+  });
+}));
+
 /**
  * @swagger
  * /api/v1/gallery/{id}/favorite:
@@ -526,6 +824,151 @@ router.post('/:id/share', requireAuth(), asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/v1/gallery/{id}/rerender:
+ *   post:
+ *     summary: Re-render a gallery item at a higher resolution tier
+ *     description: Queue an upscale of an output from its clean original to a higher resolution tier allowed by the user's plan. The re-render uses one generation from the quota and its result is stored as a new gallery item, the job's output.
+ *     tags: [Gallery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectid
+ *         description: Gallery item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tier
+ *             properties:
+ *               tier:
+ *                 type: string
+ *                 enum: [standard, hd, 4k]
+ *                 description: Target resolution tier
+ *     responses:
+ *       202:
+ *         description: Re-render queued; the new gallery item is the job's output
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: objectid
+ *                 renderedFrom:
+ *                   type: string
+ *                   format: objectid
+ *                 tier:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 estimatedTime:
+ *                   type: number
+ *                 queuePosition:
+ *                   type: number
+ *       400:
+ *         description: Tier not allowed by plan or not higher than the current tier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Gallery item not found or access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/rerender', requireAuth(), generateRateLimiter, quotaCheck(), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { tier } = req.body;
+
+  if (!RESOLUTION_TIERS[tier]) {
+    throw new ValidationError(`tier must be one of: ${Object.keys(RESOLUTION_TIERS).join(', ')}`);
+  }
+
+  if (!isTierAllowed(req.user.plan, tier)) {
+    throw new ValidationError(`Your ${req.user.plan} plan does not include ${RESOLUTION_TIERS[tier].label} renders`);
+  }
+
+  const image = await ImageAsset.findOne({
+    _id: id,
+    userId: req.user.id,
+    type: 'output',
+    isDeleted: false
+  });
+
+  if (!image) {
+    throw new NotFoundError('Gallery item');
+  }
+
+  const currentTier = image.metadata?.resolutionTier || 'standard';
+  if (compareTiers(tier, currentTier) <= 0) {
+    throw new ValidationError(`This item is already rendered at ${RESOLUTION_TIERS[currentTier].label} or higher`);
+  }
+
+  // The upscale runs on the generate queue and is charged like a generation
+  const jobRecord = new JobRecord({
+    userId: req.user._id,
+    kind: 'rerender',
+    sourceImageId: image._id,
+    // Carried over so the re-render is found by the same prompt search; the provider never sees it
+    composedPrompt: image.metadata?.prompt,
+    options: { resolution: tier },
+    estimatedTime: 15
+  });
+
+  await assignQueuePriorities(req.user, [jobRecord]);
+  if (!await reserveAndSaveJobs(req.user, [jobRecord])) {
+    throw new RateLimitError(QUOTA_EXCEEDED_MESSAGE);
+  }
+  await enqueueReservedJobs([jobRecord]);
+
+  await Audit.logUsage({
+    userId: req.user.id,
+    type: 'generation',
+    action: 'gallery_item_rerender_queued',
+    resourceType: 'job',
+    resourceId: jobRecord._id,
+    details: {
+      jobStatus: jobRecord.status
+    }
+  });
+
+  logger.info('Gallery item re-render queued', {
+    userId: req.user.id,
+    imageId: image._id,
+    jobId: jobRecord._id,
+    from: currentTier,
+    to: tier
+  });
+
+  res.status(202).json({
+    jobId: jobRecord._id,
+    renderedFrom: image._id,
+    tier,
+    status: 'queued',
+    estimatedTime: jobRecord.estimatedTime,
+    queuePosition: await getQueuePosition(jobRecord)
+  });
+}));
+
 /**
  * @swagger
  * /api/v1/gallery/{id}:
@@ -776,6 +1219,24 @@ router.get('/projects', requireAuth(), asyncHandler(async (req, res) => {
   res.json({ projects: projectsWithCounts });
 }));
 
+// Edit chains deeper than this are cut off rather than walked indefinitely
+const MAX_LINEAGE_DEPTH = 50;
+
+/**
+ * Output an item was derived from, or null for an original generation
+ */
+function lineageParentId(asset) {
+  switch (asset.metadata?.source) {
+    case 'rerender':
+      return asset.metadata.renderedFrom || null;
+    case 'refine':
+    case 'inpaint':
+      return asset.originalImageId || null;
+    default:
+      return null;
+  }
+}
+
 /**
  * Format bytes to human readable format
  */
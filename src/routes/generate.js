@@ -1,14 +1,35 @@
 import express from 'express';
 import multer from 'multer';
 import { requireAuth } from '../config/passport.js';
-import { asyncHandler, ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { asyncHandler, ValidationError, NotFoundError, RateLimitError } from '../middleware/errorHandler.js';
 import { generateRateLimiter, quotaCheck, usageTracker } from '../middleware/rateLimiter.js';
-import { Queue } from '../config/queue.js';
-import ImageAsset from '../models/ImageAsset.js';
+import { Queue, QuiltDesignQueue } from '../config/queue.js';
+import ImageAsset, { OUTFIT_SLOTS } from '../models/ImageAsset.js';
 import JobRecord from '../models/JobRecord.js';
+import GenerationBatch from '../models/GenerationBatch.js';
 import Audit from '../models/Audit.js';
+import { getImageProvider } from '../services/imageProviders/index.js';
+import { getBaseGenerationPrompt, composeGenerationPrompt } from '../services/promptComposer.js';
+import { resolvePromptTemplate, templateReference } from '../services/promptTemplates.js';
+import { storeOutput } from '../services/watermark.js';
+import {
+  isValidCallbackUrl,
+  resolveCallbackUrl,
+  scheduleJobCallback,
+  getSigningSecret,
+  rotateSigningSecret,
+  SIGNATURE_HEADER
+} from '../services/callbacks.js';
+import CallbackDelivery from '../models/CallbackDelivery.js';
+import { requestCancellation } from '../services/jobCancellation.js';
+import { reserveAndSaveJobs, releaseJobQuota, enqueueReservedJobs, QUOTA_EXCEEDED_MESSAGE } from '../services/quota.js';
+import { assignQueuePriorities, getQueuePosition, releaseUserSlot } from '../services/queueFairness.js';
+import { processingSteps } from '../services/provenance.js';
+import { BACKGROUND_MODES } from '../services/imagePostProcessing.js';
+import { getPlanLimits, isTierAllowed, RESOLUTION_TIERS } from '../config/plans.js';
 import { createLogger } from '../utils/logger.js';
 import axios from 'axios';
+import crypto from 'crypto';
 
 const router = express.Router();
 const logger = createLogger('generate-routes');
@@ -29,17 +50,9 @@ const upload = multer({
   }
 });
 
-// Gemini API configuration
-const GEMINI_CONFIG = {
-  baseURL: 'https://generativelanguage.googleapis.com/v1beta',
-  model: 'gemini-2.5-flash-image',
-  timeout: 120000, // 2 minutes
-  maxRetries: 3
-};
-
 /**
  * @route   POST /api/v1/generate/direct
- * @desc    Direct image generation using Google Gemini API
+ * @desc    Direct image generation using the configured image provider
  * @access  Private
  */
 router.post('/direct', requireAuth(), generateRateLimiter, quotaCheck(), usageTracker('generation'), upload.single('image'), asyncHandler(async (req, res) => {
@@ -61,87 +74,60 @@ router.post('/direct', requireAuth(), generateRateLimiter, quotaCheck(), usageTr
     throw new ValidationError(`File type ${imageFile.mimetype} is not supported. Please use JPEG, PNG, WebP, GIF, AVIF, SVG, BMP, or TIFF.`);
   }
 
-  // Check if Gemini API key is configured
-  if (!process.env.GEMINI_API_KEY) {
-    throw new ValidationError('Gemini API key is not configured');
+  // Check if the image provider is configured
+  const provider = getImageProvider();
+  if (!provider.isConfigured()) {
+    throw new ValidationError(`Image provider "${provider.name}" is not configured`);
   }
 
   // Increment generation attempts counter
   await req.user.incrementGenerationAttempts();
 
   try {
-    // Convert image to base64
-    const base64Image = imageFile.buffer.toString('base64');
-    
-    // Prepare Gemini API request payload
-    const geminiPayload = {
-      contents: [
-        {
-          parts: [
-            { text: prompt },
-            {
-              inline_data: {
-                mime_type: imageFile.mimetype,
-                data: base64Image
-              }
-            }
-          ]
-        }
-      ]
-    };
-    console.log(geminiPayload,"geminiPayload<<<<<<");
-    // Call Gemini API
-    const apiUrl = `${GEMINI_CONFIG.baseURL}/models/${GEMINI_CONFIG.model}:generateContent`;
-    const response = await axios.post(apiUrl, geminiPayload, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-goog-api-key': process.env.GEMINI_API_KEY
-      },
-      timeout: GEMINI_CONFIG.timeout
+    // Edit the uploaded image following the prompt
+    const generated = await provider.editImage({
+      image: { buffer: imageFile.buffer, mimeType: imageFile.mimetype },
+      instruction: prompt
     });
-
-    // Parse Gemini response
-    const geminiResponse = response.data;
-    
-    // Extract the generated image from the response
-    if (!geminiResponse.candidates ||
-        !geminiResponse.candidates[0] ||
-        !geminiResponse.candidates[0].content ||
-        !geminiResponse.candidates[0].content.parts ||
-        !geminiResponse.candidates[0].content.parts[0] ||
-        !geminiResponse.candidates[0].content.parts[0].inline_data) {
-      throw new Error('Gemini API did not return a valid image response');
-    }
-
-    const generatedImageData = geminiResponse.candidates[0].content.parts[0].inline_data;
-    
-    // Convert base64 image to buffer
-    const imageBuffer = Buffer.from(generatedImageData.data, 'base64');
+    const imageBuffer = generated.buffer;
     
     // Generate storage key for the output (without extension - let Cloudinary detect)
-    const { generateStorageKey, uploadBuffer, generateDownloadUrl } = await import('../config/storage.js');
-    const outputKey = generateStorageKey('direct-outputs', `gemini-output-${Date.now()}`, req.user.id);
-    
-    // Upload output to storage (use actual MIME type from Gemini response)
-    await uploadBuffer(imageBuffer, outputKey, generatedImageData.mime_type || 'image/png');
+    const { generateStorageKey } = await import('../config/storage.js');
+    const outputKey = generateStorageKey('direct-outputs', `direct-output-${Date.now()}`, req.user.id);
     
-    // Generate download URL
-    const downloadUrl = await generateDownloadUrl(outputKey, 86400); // 24 hours
+    // Upload output to storage (use actual MIME type from the provider response),
+    // watermarking the delivered copy for plans that require it
+    const stored = await storeOutput({
+      buffer: imageBuffer,
+      mimeType: generated.mimeType,
+      storageKey: outputKey,
+      plan: req.user.plan
+    });
     
     // Create output image asset
     const outputImage = new ImageAsset({
       userId: req.user.id,
       type: 'output',
-      storageKey: outputKey,
-      url: downloadUrl,
-      mimeType: generatedImageData.mime_type || 'image/png',
-      sizeBytes: imageBuffer.length,
+      storageKey: stored.storageKey,
+      url: stored.url,
+      mimeType: stored.mimeType,
+      sizeBytes: stored.buffer.length,
+      watermark: stored.watermark,
       metadata: {
-        filename: `gemini-output-${Date.now()}`,
+        filename: `direct-output-${Date.now()}`,
         prompt: prompt,
         processingTime: 'direct',
-        aiModel: 'gemini-2.5-flash-image',
+        aiModel: generated.model,
+        provider: generated.provider,
         source: 'direct-generation'
+      },
+      // The uploaded image is not kept, so a direct output has no input assets
+      provenance: {
+        provider: generated.provider,
+        model: generated.model,
+        prompt,
+        steps: processingSteps({ watermark: stored.watermark }),
+        recordedAt: new Date()
       }
     });
 
@@ -157,7 +143,7 @@ router.post('/direct', requireAuth(), generateRateLimiter, quotaCheck(), usageTr
       details: {
         promptLength: prompt.length,
         outputSize: imageBuffer.length,
-        aiModel: 'gemini-2.5-flash-image'
+        aiModel: generated.model
       }
     });
 
@@ -172,9 +158,9 @@ router.post('/direct', requireAuth(), generateRateLimiter, quotaCheck(), usageTr
       success: true,
       outputImage: {
         id: outputImage._id,
-        url: downloadUrl,
-        sizeBytes: imageBuffer.length,
-        mimeType: generatedImageData.mime_type || 'image/png'
+        url: stored.url,
+        sizeBytes: stored.buffer.length,
+        mimeType: stored.mimeType
       },
       prompt: prompt
     });
@@ -199,16 +185,8 @@ router.post('/direct', requireAuth(), generateRateLimiter, quotaCheck(), usageTr
       isSuccess: false
     });
 
-    if (error.response) {
-      // Gemini API error
-      throw new Error(`Gemini API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
-    } else if (error.request) {
-      // Network error
-      throw new Error('Gemini API network error: No response received');
-    } else {
-      // Other error
-      throw new Error(`Gemini API error: ${error.message}`);
-    }
+    // Provider errors already carry a descriptive message
+    throw error;
   }
 }));
 
@@ -217,19 +195,23 @@ router.post('/direct', requireAuth(), generateRateLimiter, quotaCheck(), usageTr
  * @desc    Create new generation job
  * @access  Private
  */
-router.post('/', requireAuth(), generateRateLimiter, quotaCheck(), usageTracker('generation'), asyncHandler(async (req, res) => {
-  const { modelImageId, outfitImageId, options, callbackUrl, projectId } = req.body;
+router.post('/', requireAuth(), generateRateLimiter, quotaCheck(), asyncHandler(async (req, res) => {
+  const { modelImageId, outfitImageId, outfits, options, callbackUrl } = req.body;
 
   // Validate required fields
-  if (!modelImageId || !outfitImageId) {
-    throw new ValidationError('modelImageId and outfitImageId are required');
+  if (!modelImageId || (!outfitImageId && !outfits)) {
+    throw new ValidationError('modelImageId and either outfitImageId or outfits are required');
   }
 
-  // Use hardcoded prompt from environment variable
-  const prompt = process.env.GENERATION_PROMPT || "Create a creative fashion composition. Combine elements from both images to create a new artistic fashion concept. Focus on the clothing and style elements rather than realistic human depictions.";
+  const requestedLayers = parseOutfitLayers(outfitImageId, outfits);
+  const jobOptions = parseJobOptions(options, req.user.plan);
+  await validateCallbackUrl(callbackUrl);
+
+  // Base prompt comes from the environment; job options are layered on top
+  const prompt = getBaseGenerationPrompt();
 
   // Verify that images belong to the user or are public
-  const [modelImage, outfitImage] = await Promise.all([
+  const [modelImage, outfitImages] = await Promise.all([
     ImageAsset.findOne({
       _id: modelImageId,
       isDeleted: false,
@@ -238,8 +220,8 @@ router.post('/', requireAuth(), generateRateLimiter, quotaCheck(), usageTracker(
         { isPublic: true }
       ]
     }),
-    ImageAsset.findOne({
-      _id: outfitImageId,
+    ImageAsset.find({
+      _id: { $in: requestedLayers.map(layer => layer.imageId) },
       isDeleted: false,
       $or: [
         { userId: req.user._id },
@@ -252,56 +234,53 @@ router.post('/', requireAuth(), generateRateLimiter, quotaCheck(), usageTracker(
     throw new NotFoundError('Model image');
   }
 
-  if (!outfitImage) {
-    throw new NotFoundError('Outfit image');
-  }
-
   // Validate image types
   if (modelImage.type !== 'model') {
     throw new ValidationError('Model image must be of type "model"');
   }
 
-  if (outfitImage.type !== 'outfit') {
-    throw new ValidationError('Outfit image must be of type "outfit"');
-  }
+  const outfitLayers = resolveOutfitLayers(requestedLayers, outfitImages);
 
   // Increment generation attempts counter
   await req.user.incrementGenerationAttempts();
 
+  // Turn the options and the user's preferences into model instructions
+  const template = await resolvePromptTemplate('generation');
+  const { prompt: composedPrompt } = composeGenerationPrompt({
+    template,
+    basePrompt: prompt,
+    options: jobOptions,
+    preferences: req.user.preferences,
+    layers: outfitLayers
+  });
+
   // Create job record
   const jobRecord = new JobRecord({
     userId: req.user._id,
     inputModelImageId: modelImageId,
-    inputOutfitImageId: outfitImageId,
-    prompt: prompt, // Use hardcoded prompt from environment variable
-    options: {
-      strength: options?.strength || 0.9,
-      preserveFace: options?.preserveFace !== false,
-      background: options?.background || 'transparent',
-      style: options?.style,
-      seed: options?.seed
-    },
+    inputOutfitImageId: outfitLayers[0].imageId,
+    outfitLayers,
+    prompt,
+    composedPrompt,
+    promptTemplate: templateReference(template),
+    options: jobOptions,
+    seeds: variantSeeds(jobOptions),
     callbackUrl,
     estimatedTime: 45 // Default estimate
   });
 
-  await jobRecord.save();
-
-  // Add job to queue
-  await Queue.add('generate', {
-    jobId: jobRecord._id.toString(),
-    userId: req.user._id
-  }, {
-    jobId: jobRecord._id.toString(),
-    priority: jobRecord.priority,
-    attempts: jobRecord.maxAttempts
-  });
+  // The credit is only charged once the job succeeds
+  await assignQueuePriorities(req.user, [jobRecord]);
+  if (!await reserveAndSaveJobs(req.user, [jobRecord])) {
+    throw new RateLimitError(QUOTA_EXCEEDED_MESSAGE);
+  }
+  await enqueueReservedJobs([jobRecord]);
 
   logger.info('Job added to generate queue', {
     jobId: jobRecord._id,
     userId: req.user._id,
     modelImageId,
-    outfitImageId,
+    outfitImageIds: outfitLayers.map(layer => layer.imageId),
     priority: jobRecord.priority,
     attempts: jobRecord.maxAttempts
   });
@@ -315,18 +294,354 @@ router.post('/', requireAuth(), generateRateLimiter, quotaCheck(), usageTracker(
     resourceId: jobRecord._id,
     details: {
       modelImageId,
-      outfitImageId,
-      promptLength: prompt.length,
+      outfitImageId: jobRecord.inputOutfitImageId,
+      promptLength: composedPrompt.length,
       options: jobRecord.options,
-      promptSource: 'environment_variable'
+      promptSource: 'composed'
+    }
+  });
+
+  res.status(202).json({
+    jobId: jobRecord._id,
+    status: 'queued',
+    estimatedTime: jobRecord.estimatedTime,
+    queuePosition: await getQueuePosition(jobRecord)
+  });
+}));
+
+/**
+ * @route   POST /api/v1/generate/batch
+ * @desc    Create a batch of jobs: one model across many outfits, or one outfit across many models
+ * @access  Private
+ */
+router.post('/batch', requireAuth(), generateRateLimiter, asyncHandler(async (req, res) => {
+  const { modelImageId, modelImageIds, outfitImageId, outfitImageIds, options, callbackUrl, projectId } = req.body;
+
+  let mode;
+  if (modelImageId && outfitImageIds !== undefined) {
+    mode = 'outfits';
+  } else if (outfitImageId && modelImageIds !== undefined) {
+    mode = 'models';
+  } else {
+    throw new ValidationError('Provide modelImageId with outfitImageIds, or outfitImageId with modelImageIds');
+  }
+
+  const fixedId = String(mode === 'outfits' ? modelImageId : outfitImageId);
+  const itemIds = mode === 'outfits' ? outfitImageIds : modelImageIds;
+  const itemField = mode === 'outfits' ? 'outfitImageIds' : 'modelImageIds';
+
+  if (!Array.isArray(itemIds) || itemIds.length === 0) {
+    throw new ValidationError(`${itemField} must be a non-empty array`);
+  }
+
+  const { maxBatchSize } = getPlanLimits(req.user.plan);
+  if (itemIds.length > maxBatchSize) {
+    throw new ValidationError(`Your ${req.user.plan} plan allows up to ${maxBatchSize} item${maxBatchSize === 1 ? '' : 's'} per batch`);
+  }
+
+  const jobOptions = parseJobOptions(options, req.user.plan);
+  await validateCallbackUrl(callbackUrl);
+  const prompt = getBaseGenerationPrompt();
+
+  // Verify that images belong to the user or are public
+  const images = await ImageAsset.find({
+    _id: { $in: [fixedId, ...itemIds.map(String)] },
+    isDeleted: false,
+    $or: [
+      { userId: req.user._id },
+      { isPublic: true }
+    ]
+  });
+
+  const findImage = (id, type, label) => {
+    const image = images.find(candidate => candidate._id.toString() === String(id));
+    if (!image) {
+      throw new NotFoundError(label);
+    }
+    if (image.type !== type) {
+      throw new ValidationError(`${label} must be of type "${type}"`);
+    }
+    return image;
+  };
+
+  const pairs = mode === 'outfits'
+    ? itemIds.map((id, index) => ({
+      modelImage: findImage(fixedId, 'model', 'Model image'),
+      outfitImage: findImage(id, 'outfit', `Outfit image ${index + 1}`)
+    }))
+    : itemIds.map((id, index) => ({
+      modelImage: findImage(id, 'model', `Model image ${index + 1}`),
+      outfitImage: findImage(fixedId, 'outfit', 'Outfit image')
+    }));
+
+  // Reserve quota for the whole batch before any job is queued
+  if (!req.user.hasAvailableQuota(pairs.length)) {
+    const remaining = Math.max(0, req.user.quota.monthlyRequests - req.user.quota.usedThisMonth - req.user.quota.reserved);
+    throw new RateLimitError(
+      `This batch needs ${pairs.length} generations but only ${remaining} remain in your monthly quota.`
+    );
+  }
+
+  await req.user.incrementGenerationAttempts(pairs.length);
+
+  const template = await resolvePromptTemplate('generation');
+
+  const batch = new GenerationBatch({
+    userId: req.user._id,
+    projectId: projectId || null,
+    mode,
+    modelImageIds: [...new Set(pairs.map(pair => pair.modelImage._id.toString()))],
+    outfitImageIds: [...new Set(pairs.map(pair => pair.outfitImage._id.toString()))],
+    total: pairs.length,
+    quotaReserved: pairs.length,
+    options: jobOptions
+  });
+
+  const jobRecords = pairs.map(({ modelImage, outfitImage }) => {
+    const layers = [{ imageId: outfitImage._id, slot: outfitImage.metadata?.slot }];
+    const { prompt: composedPrompt } = composeGenerationPrompt({
+      template,
+      basePrompt: prompt,
+      options: jobOptions,
+      preferences: req.user.preferences,
+      layers
+    });
+
+    return new JobRecord({
+      userId: req.user._id,
+      batchId: batch._id,
+      inputModelImageId: modelImage._id,
+      inputOutfitImageId: outfitImage._id,
+      outfitLayers: layers,
+      prompt,
+      composedPrompt,
+      promptTemplate: templateReference(template),
+      options: jobOptions,
+      seeds: variantSeeds(jobOptions),
+      callbackUrl,
+      estimatedTime: 45 // Default estimate
+    });
+  });
+
+  batch.jobIds = jobRecords.map(jobRecord => jobRecord._id);
+  // Later jobs of the batch fall into later rounds, so other users' jobs interleave with them
+  await assignQueuePriorities(req.user, jobRecords);
+  if (!await reserveAndSaveJobs(req.user, jobRecords, { batch })) {
+    throw new RateLimitError(QUOTA_EXCEEDED_MESSAGE);
+  }
+  await enqueueReservedJobs(jobRecords);
+
+  logger.info('Batch added to generate queue', {
+    batchId: batch._id,
+    userId: req.user._id,
+    mode,
+    jobs: jobRecords.length
+  });
+
+  await Audit.logUsage({
+    userId: req.user._id,
+    type: 'generation',
+    action: 'batch_created',
+    amount: pairs.length,
+    resourceType: 'batch',
+    resourceId: batch._id,
+    details: {
+      modelImageId: mode === 'outfits' ? fixedId : undefined,
+      outfitImageId: mode === 'models' ? fixedId : undefined,
+      options: jobOptions
+    }
+  });
+
+  res.status(202).json({
+    batchId: batch._id,
+    status: batch.status,
+    mode,
+    total: batch.total,
+    jobIds: batch.jobIds,
+    estimatedTime: jobRecords.length * 45,
+    // Position of the batch's first job
+    queuePosition: await getQueuePosition(jobRecords[0])
+  });
+}));
+
+/**
+ * @route   GET /api/v1/generate/batch/:batchId
+ * @desc    Get aggregate batch progress and per-job results
+ * @access  Private
+ */
+router.get('/batch/:batchId', requireAuth(), asyncHandler(async (req, res) => {
+  const batch = await GenerationBatch.findOne({
+    _id: req.params.batchId,
+    userId: req.user._id
+  });
+
+  if (!batch) {
+    throw new NotFoundError('Batch');
+  }
+
+  const jobs = await JobRecord.find({ batchId: batch._id });
+  const progress = batch.applyProgress(jobs);
+  if (batch.isModified()) {
+    await batch.save();
+  }
+
+  const outputIds = jobs.flatMap(job => job.outputImageIds?.length ? job.outputImageIds : [job.outputImageId].filter(Boolean));
+  const outputs = outputIds.length
+    ? await ImageAsset.find({ _id: { $in: outputIds } })
+    : [];
+
+  // Results follow the order the jobs were submitted in
+  const results = batch.jobIds
+    .map(jobId => jobs.find(job => job._id.equals(jobId)))
+    .filter(Boolean)
+    .map(job => {
+      const jobOutputIds = job.outputImageIds?.length ? job.outputImageIds : [job.outputImageId].filter(Boolean);
+      return {
+        jobId: job._id,
+        modelImageId: job.inputModelImageId,
+        outfitImageId: job.inputOutfitImageId,
+        status: job.status,
+        stage: job.progress?.stage || 'queued',
+        percent: job.progress?.percent || 0,
+        error: job.status === 'failed' ? job.error : undefined,
+        errorCode: job.status === 'failed' ? job.errorCode : undefined,
+        completedAt: job.completedAt,
+        outputImages: jobOutputIds
+          .map(id => outputs.find(output => output._id.equals(id)))
+          .filter(Boolean)
+          .map(image => ({
+            id: image._id,
+            url: image.url,
+            width: image.width,
+            height: image.height,
+            seed: image.metadata?.seed,
+            variantIndex: image.metadata?.variantIndex
+          }))
+      };
+    });
+
+  res.json({
+    batchId: batch._id,
+    mode: batch.mode,
+    status: batch.status,
+    total: batch.total,
+    counts: batch.counts,
+    progress,
+    quotaReserved: batch.quotaReserved,
+    options: batch.options,
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt,
+    results
+  });
+}));
+
+/**
+ * @route   POST /api/v1/generate/:jobId/refine
+ * @desc    Queue an edit of a succeeded job's output following a text instruction
+ * @access  Private
+ */
+router.post('/:jobId/refine', requireAuth(), generateRateLimiter, quotaCheck(), asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  const { instruction, outputImageId, options, callbackUrl } = req.body;
+
+  if (typeof instruction !== 'string' || !instruction.trim()) {
+    throw new ValidationError('instruction is required');
+  }
+  if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+    throw new ValidationError(`instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters`);
+  }
+
+  const jobOptions = parseJobOptions(options, req.user.plan);
+  await validateCallbackUrl(callbackUrl);
+
+  const parentJob = await JobRecord.findOne({
+    _id: jobId,
+    userId: req.user._id
+  });
+
+  if (!parentJob) {
+    throw new NotFoundError('Job');
+  }
+
+  if (parentJob.status !== 'succeeded') {
+    throw new ValidationError(`Only succeeded jobs can be refined (job is ${parentJob.status})`);
+  }
+
+  // Any variant of the job can be refined; the primary output is the default
+  const sourceImageId = outputImageId || parentJob.outputImageId;
+  const jobOutputIds = parentJob.outputImageIds?.length ? parentJob.outputImageIds : [parentJob.outputImageId];
+  if (!sourceImageId || !jobOutputIds.some(id => id?.equals(sourceImageId))) {
+    throw new ValidationError('outputImageId must be one of the job\'s outputs');
+  }
+
+  const sourceImage = await ImageAsset.findOne({
+    _id: sourceImageId,
+    userId: req.user._id,
+    isDeleted: false
+  });
+
+  if (!sourceImage) {
+    throw new NotFoundError('Output image');
+  }
+
+  // Keep the source's background unless the edit asks for a different one
+  if (!options?.background && sourceImage.metadata?.background) {
+    jobOptions.background = sourceImage.metadata.background;
+  }
+
+  // Increment generation attempts counter
+  await req.user.incrementGenerationAttempts();
+
+  const prompt = instruction.trim();
+  const jobRecord = new JobRecord({
+    userId: req.user._id,
+    kind: 'refine',
+    parentJobId: parentJob._id,
+    sourceImageId: sourceImage._id,
+    inputModelImageId: parentJob.inputModelImageId,
+    inputOutfitImageId: parentJob.inputOutfitImageId,
+    outfitLayers: parentJob.outfitLayers,
+    prompt,
+    // The instruction is sent to the provider as-is
+    composedPrompt: prompt,
+    options: jobOptions,
+    seeds: variantSeeds(jobOptions),
+    callbackUrl,
+    estimatedTime: 30
+  });
+
+  await assignQueuePriorities(req.user, [jobRecord]);
+  if (!await reserveAndSaveJobs(req.user, [jobRecord])) {
+    throw new RateLimitError(QUOTA_EXCEEDED_MESSAGE);
+  }
+  await enqueueReservedJobs([jobRecord]);
+
+  logger.info('Refine job added to generate queue', {
+    jobId: jobRecord._id,
+    parentJobId: parentJob._id,
+    sourceImageId: sourceImage._id,
+    userId: req.user._id,
+    priority: jobRecord.priority
+  });
+
+  await Audit.logUsage({
+    userId: req.user._id,
+    type: 'generation',
+    action: 'job_refine_created',
+    resourceType: 'job',
+    resourceId: jobRecord._id,
+    details: {
+      jobStatus: jobRecord.status
     }
   });
 
   res.status(202).json({
     jobId: jobRecord._id,
+    parentJobId: parentJob._id,
+    sourceImageId: sourceImage._id,
     status: 'queued',
     estimatedTime: jobRecord.estimatedTime,
-    queuePosition: await Queue.getJobCounts('waiting')
+    queuePosition: await getQueuePosition(jobRecord)
   });
 }));
 
@@ -352,6 +667,17 @@ router.get('/:jobId/status', requireAuth(), asyncHandler(async (req, res) => {
     outputImage = await ImageAsset.findById(job.outputImageId);
   }
 
+  // Variant outputs, kept in the order the worker produced them
+  let outputImages = [];
+  if (job.outputImageIds?.length) {
+    const assets = await ImageAsset.find({ _id: { $in: job.outputImageIds } });
+    outputImages = job.outputImageIds
+      .map(id => assets.find(asset => asset._id.equals(id)))
+      .filter(Boolean);
+  } else if (outputImage) {
+    outputImages = [outputImage];
+  }
+
   const response = {
     jobId: job._id,
     status: job.status,
@@ -359,8 +685,24 @@ router.get('/:jobId/status', requireAuth(), asyncHandler(async (req, res) => {
     createdAt: job.createdAt,
     updatedAt: job.updatedAt,
     estimatedTime: job.estimatedTime,
+    progress: {
+      stage: job.progress?.stage || 'queued',
+      percent: job.progress?.percent || 0,
+      variant: job.progress?.variant ?? null,
+      message: job.progress?.message,
+      updatedAt: job.progress?.updatedAt
+    },
     processingTime: job.processingTime,
-    queueTime: job.queueTime
+    queueTime: job.queueTime,
+    options: job.options,
+    outfitLayers: job.outfitLayers,
+    composedPrompt: job.composedPrompt,
+    promptTemplate: job.promptTemplate,
+    seeds: job.seeds,
+    kind: job.kind || 'generation',
+    parentJobId: job.parentJobId,
+    sourceImageId: job.sourceImageId,
+    queuePosition: await getQueuePosition(job)
   };
 
   if (job.status === 'succeeded' && outputImage) {
@@ -371,10 +713,21 @@ router.get('/:jobId/status', requireAuth(), asyncHandler(async (req, res) => {
       height: outputImage.height,
       sizeBytes: outputImage.sizeBytes
     };
+    response.outputImages = outputImages.map(image => ({
+      id: image._id,
+      url: image.url,
+      width: image.width,
+      height: image.height,
+      sizeBytes: image.sizeBytes,
+      seed: image.metadata?.seed,
+      variantIndex: image.metadata?.variantIndex
+    }));
   }
 
   if (job.status === 'failed') {
     response.error = job.error;
+    response.errorCode = job.errorCode;
+    response.retryable = job.retryable;
     response.errorDetails = job.errorDetails;
   }
 
@@ -387,7 +740,7 @@ router.get('/:jobId/status', requireAuth(), asyncHandler(async (req, res) => {
 
 /**
  * @route   POST /api/v1/generate/:jobId/cancel
- * @desc    Cancel a queued job
+ * @desc    Cancel a queued or in-flight job and refund its quota
  * @access  Private
  */
 router.post('/:jobId/cancel', requireAuth(), asyncHandler(async (req, res) => {
@@ -402,18 +755,29 @@ router.post('/:jobId/cancel', requireAuth(), asyncHandler(async (req, res) => {
     throw new NotFoundError('Job');
   }
 
-  if (job.status !== 'queued') {
-    throw new ValidationError('Only queued jobs can be cancelled');
+  if (!['queued', 'processing'].includes(job.status)) {
+    throw new ValidationError('Only queued or processing jobs can be cancelled');
   }
 
-  // Cancel the job
-  await job.cancel();
+  // Cancel the job; it may have finished since it was loaded
+  if (!await job.cancel()) {
+    throw new ValidationError('Only queued or processing jobs can be cancelled');
+  }
 
-  // Remove from queue if it's still there
+  // Waiting and delayed jobs are removed from the queue; an active job is
+  // locked by its worker, which is told to abort instead
+  let removedFromQueue = false;
   try {
-    const queueJob = await Queue.getJob(jobId);
-    if (queueJob) {
+    const queue = job.kind === 'quilt-design' ? QuiltDesignQueue : Queue;
+    const queueJob = await queue.getJob(jobId);
+    if (queueJob && !(await queueJob.isActive())) {
       await queueJob.remove();
+      removedFromQueue = true;
+
+      // A dispatched generate job holds one of its owner's slots until it runs
+      if (queue === Queue) {
+        await releaseUserSlot(job.userId, job._id);
+      }
     }
   } catch (error) {
     logger.warn('Error removing job from queue', {
@@ -422,6 +786,13 @@ router.post('/:jobId/cancel', requireAuth(), asyncHandler(async (req, res) => {
     });
   }
 
+  if (!removedFromQueue) {
+    await requestCancellation(job._id);
+  }
+
+  // The generation never completed, so give its reserved credit back
+  const released = await releaseJobQuota(job, 'cancelled');
+
   // Log cancellation
   await Audit.logUsage({
     userId: req.user._id,
@@ -438,7 +809,118 @@ router.post('/:jobId/cancel', requireAuth(), asyncHandler(async (req, res) => {
   res.json({
     message: 'Job cancelled successfully',
     jobId: job._id,
-    status: job.status
+    status: job.status,
+    refunded: released ? job.quota.amount : 0
+  });
+}));
+
+/**
+ * @route   GET /api/v1/generate/callbacks/secret
+ * @desc    Get the secret the user's job callbacks are signed with
+ * @access  Private
+ */
+router.get('/callbacks/secret', requireAuth(), asyncHandler(async (req, res) => {
+  const secret = await getSigningSecret(req.user._id);
+
+  res.json({
+    secret,
+    signatureHeader: SIGNATURE_HEADER
+  });
+}));
+
+/**
+ * @route   POST /api/v1/generate/callbacks/secret/rotate
+ * @desc    Replace the callback signing secret; deliveries still retrying use the new one
+ * @access  Private
+ */
+router.post('/callbacks/secret/rotate', requireAuth(), asyncHandler(async (req, res) => {
+  const secret = await rotateSigningSecret(req.user._id);
+
+  await Audit.logUsage({
+    userId: req.user._id,
+    type: 'settings',
+    action: 'callback_secret_rotated',
+    resourceType: 'user',
+    resourceId: req.user._id
+  });
+
+  res.json({
+    secret,
+    signatureHeader: SIGNATURE_HEADER
+  });
+}));
+
+/**
+ * @route   GET /api/v1/generate/:jobId/callbacks
+ * @desc    List callback deliveries for a job, with every attempt's response code
+ * @access  Private
+ */
+router.get('/:jobId/callbacks', requireAuth(), asyncHandler(async (req, res) => {
+  const job = await JobRecord.findOne({
+    _id: req.params.jobId,
+    userId: req.user._id
+  });
+
+  if (!job) {
+    throw new NotFoundError('Job');
+  }
+
+  // Response bodies stay server-side: they would echo whatever the callback URL served
+  const deliveries = await CallbackDelivery.find({ jobId: job._id })
+    .sort({ createdAt: -1 })
+    .select('-payload -attempts.responseBody');
+
+  res.json({
+    jobId: job._id,
+    callbackUrl: job.callbackUrl,
+    webhookSent: job.webhookSent,
+    deliveries
+  });
+}));
+
+/**
+ * @route   POST /api/v1/generate/:jobId/callbacks/redeliver
+ * @desc    Send a finished job's result to its callbackUrl again
+ * @access  Private
+ */
+router.post('/:jobId/callbacks/redeliver', requireAuth(), asyncHandler(async (req, res) => {
+  const job = await JobRecord.findOne({
+    _id: req.params.jobId,
+    userId: req.user._id
+  });
+
+  if (!job) {
+    throw new NotFoundError('Job');
+  }
+
+  if (!job.callbackUrl) {
+    throw new ValidationError('Job has no callbackUrl');
+  }
+
+  if (!['succeeded', 'failed'].includes(job.status)) {
+    throw new ValidationError('Only finished jobs can be redelivered');
+  }
+
+  const previous = await CallbackDelivery.findOne({ jobId: job._id }).sort({ createdAt: -1 });
+  const delivery = await scheduleJobCallback(job, { redeliveryOf: previous });
+
+  await Audit.logUsage({
+    userId: req.user._id,
+    type: 'generation',
+    action: 'callback_redelivered',
+    resourceType: 'job',
+    resourceId: job._id,
+    details: {
+      jobStatus: job.status
+    }
+  });
+
+  res.status(202).json({
+    message: 'Callback queued for redelivery',
+    jobId: job._id,
+    deliveryId: delivery._id,
+    event: delivery.event,
+    redeliveryOf: delivery.redeliveryOf
   });
 }));
 
@@ -490,13 +972,17 @@ router.get('/', requireAuth(), asyncHandler(async (req, res) => {
       inputModelImage: job.inputModelImageId,
       inputOutfitImage: job.inputOutfitImageId,
       outputImage: job.outputImageId,
+      outputImageIds: job.outputImageIds,
+      outfitLayers: job.outfitLayers,
       prompt: job.prompt,
+      composedPrompt: job.composedPrompt,
       options: job.options,
       attempts: job.attempts,
       createdAt: job.createdAt,
       updatedAt: job.updatedAt,
       completedAt: job.completedAt,
-      error: job.error
+      error: job.error,
+      errorCode: job.errorCode
     })),
     pagination: {
       page: parseInt(page),
@@ -715,4 +1201,171 @@ router.post('/webhook', asyncHandler(async (req, res) => {
 
 // Apply usage tracking to successful generations (already applied per route)
 
-export default router;
\ No newline at end of file
+const MAX_OUTFIT_LAYERS = 5;
+
+// Longest edit instruction accepted by the refine endpoint (the job prompt limit)
+const MAX_INSTRUCTION_LENGTH = 1000;
+
+/**
+ * Normalize the outfit part of a generation request into an ordered layer list
+ * Accepts the legacy single outfitImageId or an outfits array of ids or { imageId, slot }.
+ */
+function parseOutfitLayers(outfitImageId, outfits) {
+  if (outfits === undefined) {
+    return [{ imageId: String(outfitImageId) }];
+  }
+
+  if (!Array.isArray(outfits) || outfits.length === 0) {
+    throw new ValidationError('outfits must be a non-empty array');
+  }
+
+  if (outfits.length > MAX_OUTFIT_LAYERS) {
+    throw new ValidationError(`A look can have at most ${MAX_OUTFIT_LAYERS} outfit images`);
+  }
+
+  return outfits.map((entry, index) => {
+    const layer = typeof entry === 'string' ? { imageId: entry } : entry;
+
+    if (!layer?.imageId) {
+      throw new ValidationError(`outfits[${index}].imageId is required`);
+    }
+
+    if (layer.slot !== undefined && !OUTFIT_SLOTS.includes(layer.slot)) {
+      throw new ValidationError(`outfits[${index}].slot must be one of: ${OUTFIT_SLOTS.join(', ')}`);
+    }
+
+    return { imageId: String(layer.imageId), slot: layer.slot };
+  });
+}
+
+/**
+ * Match requested layers to their outfit assets and settle each layer's slot
+ * A slot given in the request wins over the slot stored on the asset.
+ */
+function resolveOutfitLayers(requestedLayers, outfitImages) {
+  const layers = requestedLayers.map((layer, index) => {
+    const asset = outfitImages.find(image => image._id.toString() === layer.imageId);
+
+    if (!asset) {
+      throw new NotFoundError(requestedLayers.length > 1 ? `Outfit image ${index + 1}` : 'Outfit image');
+    }
+
+    if (asset.type !== 'outfit') {
+      throw new ValidationError('Outfit image must be of type "outfit"');
+    }
+
+    return {
+      imageId: asset._id,
+      slot: layer.slot || asset.metadata?.slot
+    };
+  });
+
+  if (layers.length > 1) {
+    const missing = layers.findIndex(layer => !layer.slot);
+    if (missing !== -1) {
+      throw new ValidationError(`outfits[${missing}] needs a slot when combining several garments`);
+    }
+
+    // Accessories can stack; every other slot holds a single garment
+    const seen = new Set();
+    for (const layer of layers) {
+      if (layer.slot !== 'accessory' && seen.has(layer.slot)) {
+        throw new ValidationError(`Only one ${layer.slot} can be used per look`);
+      }
+      seen.add(layer.slot);
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * Reject callback URLs that cannot be delivered to, or that point at internal hosts
+ */
+async function validateCallbackUrl(callbackUrl) {
+  if (callbackUrl === undefined || callbackUrl === null) {
+    return;
+  }
+
+  if (!isValidCallbackUrl(callbackUrl)) {
+    throw new ValidationError('callbackUrl must be an absolute http(s) URL');
+  }
+
+  let addresses;
+  try {
+    addresses = await resolveCallbackUrl(callbackUrl);
+  } catch {
+    throw new ValidationError('callbackUrl host could not be resolved');
+  }
+
+  if (!addresses) {
+    throw new ValidationError('callbackUrl must point to a public host');
+  }
+}
+
+/**
+ * Validate generation options against the user's plan
+ * @returns {Object} Options as stored on the job record
+ */
+function parseJobOptions(options, plan) {
+  const variants = options?.variants === undefined ? 1 : Number(options.variants);
+  if (!Number.isInteger(variants) || variants < 1 || variants > 4) {
+    throw new ValidationError('variants must be an integer between 1 and 4');
+  }
+
+  const { maxVariants } = getPlanLimits(plan);
+  if (variants > maxVariants) {
+    throw new ValidationError(`Your ${plan} plan allows up to ${maxVariants} variant${maxVariants === 1 ? '' : 's'} per job`);
+  }
+
+  const resolution = options?.resolution || null;
+  if (resolution && !RESOLUTION_TIERS[resolution]) {
+    throw new ValidationError(`resolution must be one of: ${Object.keys(RESOLUTION_TIERS).join(', ')}`);
+  }
+  if (resolution && !isTierAllowed(plan, resolution)) {
+    throw new ValidationError(`Your ${plan} plan does not include ${RESOLUTION_TIERS[resolution].label} renders`);
+  }
+
+  const strength = options?.strength ?? 0.9;
+  if (typeof strength !== 'number' || !(strength >= 0 && strength <= 1)) {
+    throw new ValidationError('strength must be a number between 0 and 1');
+  }
+
+  const background = options?.background || 'transparent';
+  if (!BACKGROUND_MODES.includes(background)) {
+    throw new ValidationError(`background must be one of: ${BACKGROUND_MODES.join(', ')}`);
+  }
+
+  if (options?.style !== undefined && typeof options.style !== 'string') {
+    throw new ValidationError('style must be a string');
+  }
+
+  if (options?.seed !== undefined && options.seed !== null && !Number.isInteger(options.seed)) {
+    throw new ValidationError('seed must be an integer');
+  }
+
+  return {
+    strength,
+    preserveFace: options?.preserveFace !== false,
+    background,
+    style: options?.style,
+    seed: options?.seed,
+    variants,
+    resolution
+  };
+}
+
+/**
+ * Seed for every variant; an explicit seed makes the set reproducible
+ */
+function variantSeeds(jobOptions) {
+  const { variants, seed } = jobOptions;
+  if (variants === 1 && !Number.isInteger(seed)) {
+    return [];
+  }
+
+  const baseSeed = Number.isInteger(seed) ? seed : crypto.randomInt(0, 2 ** 31 - variants);
+  return Array.from({ length: variants }, (_, index) => baseSeed + index);
+}
+
+export default router;
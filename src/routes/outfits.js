@@ -2,6 +2,7 @@ import express from 'express';
 import { requireAuth } from '../config/passport.js';
 import { asyncHandler, ValidationError, NotFoundError } from '../middleware/errorHandler.js';
 import ImageAsset from '../models/ImageAsset.js';
+import { getRenditionsMap } from '../services/renditions.js';
 import JobRecord from '../models/JobRecord.js';
 import Audit from '../models/Audit.js';
 import User from '../models/User.js';
@@ -105,6 +106,9 @@ const logger = createLogger('outfits-routes');
  *                           type: string
  *                       metadata:
  *                         type: object
+ *                       renditions:
+ *                         type: object
+ *                         description: Rendition URLs keyed by size (thumbnail, medium, full) then format (webp, avif)
  *                 pagination:
  *                   type: object
  *                   properties:
@@ -172,6 +176,8 @@ router.get('/', requireAuth(), asyncHandler(async (req, res) => {
     ImageAsset.countDocuments(filter)
   ]);
 
+  const renditions = await getRenditionsMap(outfits.map(outfit => outfit._id));
+
   // Log outfits retrieval
   await Audit.logUsage({
     userId: req.user._id,
@@ -200,7 +206,8 @@ router.get('/', requireAuth(), asyncHandler(async (req, res) => {
       updatedAt: outfit.updatedAt,
       favorite: outfit.favorite,
       tags: outfit.tags,
-      metadata: outfit.metadata
+      metadata: outfit.metadata,
+      renditions: renditions[outfit._id.toString()] || {}
     })),
     pagination: {
       page: parseInt(page),
@@ -1,29 +1,59 @@
 import express from 'express';
+import multer from 'multer';
+import axios from 'axios';
 import { requireAuth } from '../config/passport.js';
-import { asyncHandler, ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { asyncHandler, ValidationError, NotFoundError, RateLimitError } from '../middleware/errorHandler.js';
 import { generateRateLimiter, quotaCheck, usageTracker } from '../middleware/rateLimiter.js';
 import ImageAsset from '../models/ImageAsset.js';
+import JobRecord from '../models/JobRecord.js';
 import Audit from '../models/Audit.js';
+import { QuiltDesignQueue } from '../config/queue.js';
+import { getImageProvider } from '../services/imageProviders/index.js';
+import { storeOutput, generateCleanDownloadUrl } from '../services/watermark.js';
+import { processingSteps } from '../services/provenance.js';
+import { parsePolygons, rasterizePolygons, normalizeMask } from '../services/masks.js';
+import { reserveAndSaveJobs, releaseJobQuota, enqueueReservedJobs, QUOTA_EXCEEDED_MESSAGE } from '../services/quota.js';
+import { JOB_ERROR_CODES } from '../services/jobErrors.js';
+import { assignQueuePriorities, getQueuePosition } from '../services/queueFairness.js';
+import { BACKGROUND_MODES } from '../services/imagePostProcessing.js';
+import { extractPalette, MIN_PALETTE_COLORS, MAX_PALETTE_COLORS, DEFAULT_PALETTE_COLORS } from '../services/palette.js';
+import {
+  QUILT_SIZES,
+  PATTERN_FORMATS,
+  isPaletteColour,
+  buildQuiltPattern,
+  renderPatternSvg,
+  renderPatternPdf
+} from '../services/quiltPattern.js';
 import { createLogger } from '../utils/logger.js';
-import axios from 'axios';
 
 const router = express.Router();
 const logger = createLogger('tools-routes');
 
-// Gemini API configuration for text-to-image
-const GEMINI_CONFIG = {
-  baseURL: 'https://generativelanguage.googleapis.com/v1beta',
-  model: 'gemini-2.5-flash-image',
-  timeout: 120000, // 2 minutes
-  maxRetries: 3
-};
+// Inpaint masks are uploaded as PNG files
+const maskUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'image/png') {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('mask must be a PNG image'), false);
+    }
+  }
+});
+
+// Longest edit instruction accepted by the inpaint tool (the job prompt limit)
+const MAX_INSTRUCTION_LENGTH = 1000;
 
 /**
  * @route   POST /api/v1/tools/quilt-design
- * @desc    Generate quilt design using AI (text-to-image)
+ * @desc    Queue a quilt design generation (text-to-image)
  * @access  Private
  */
-router.post('/quilt-design', requireAuth(), generateRateLimiter, quotaCheck(), usageTracker('generation'), asyncHandler(async (req, res) => {
+router.post('/quilt-design', requireAuth(), generateRateLimiter, quotaCheck(), asyncHandler(async (req, res) => {
   const { prompt, options } = req.body;
 
   // Validate required fields
@@ -31,6 +61,11 @@ router.post('/quilt-design', requireAuth(), generateRateLimiter, quotaCheck(), u
     throw new ValidationError('Prompt is required');
   }
 
+  // A palette can be typed in or taken from a reference photo, not both
+  if (options?.paletteFromImageId && options?.colorPalette) {
+    throw new ValidationError('Provide either colorPalette or paletteFromImageId, not both');
+  }
+
   // Validate options structure
   const validatedOptions = {
     style: options?.style || 'modern',
@@ -55,299 +90,305 @@ router.post('/quilt-design', requireAuth(), generateRateLimiter, quotaCheck(), u
     throw new ValidationError('Columns must be between 4 and 16');
   }
 
-  // Check if Gemini API key is configured
-  if (!process.env.GEMINI_API_KEY) {
-    throw new ValidationError('Gemini API key is not configured');
+  // Validate the palette; the pattern export snaps every block to one of these colours
+  const { colorPalette } = validatedOptions;
+  if (!Array.isArray(colorPalette) || !colorPalette.length || !colorPalette.every(isPaletteColour)) {
+    throw new ValidationError('colorPalette must be a non-empty array of hex colours');
   }
 
-  // Increment generation attempts counter
-  await req.user.incrementGenerationAttempts();
-
-  const startTime = Date.now();
+  // Validate quilt size; the pattern export needs its finished dimensions
+  if (!QUILT_SIZES[validatedOptions.size]) {
+    throw new ValidationError(`Size must be one of: ${Object.keys(QUILT_SIZES).join(', ')}`);
+  }
 
-  try {
-    // Create enhanced prompt with quilt design specifics
-    const enhancedPrompt = `Create a quilt design with the following specifications:
-    Style: ${validatedOptions.style}
-    Colors: ${validatedOptions.colorPalette.join(', ')}
-    Complexity level: ${validatedOptions.complexity}/5
-    Size: ${validatedOptions.size}
-    Grid: ${validatedOptions.rows} rows x ${validatedOptions.columns} columns
-    Symmetry: ${validatedOptions.symmetry}
-    
-    Design description: ${prompt}
-    
-    Generate a visually appealing quilt pattern with geometric shapes, proper symmetry, and the specified color palette.`;
-
-    // Prepare Gemini API request payload for text-to-image
-    const geminiPayload = {
-      contents: [
-        {
-          parts: [
-            { 
-              text: enhancedPrompt
-            }
-          ]
-        }
-      ]
-    };
+  // Check if the image provider is configured
+  const provider = getImageProvider();
+  if (!provider.isConfigured()) {
+    throw new ValidationError(`Image provider "${provider.name}" is not configured`);
+  }
 
-    const apiUrl = `${GEMINI_CONFIG.baseURL}/models/${GEMINI_CONFIG.model}:generateContent`;
-    
-    logger.debug('Making Gemini API call for text-to-image', {
+  if (options?.paletteFromImageId) {
+    const reference = await ImageAsset.findOne({
+      _id: options.paletteFromImageId,
       userId: req.user.id,
-      promptLength: prompt.length,
-      options: validatedOptions
+      isDeleted: false
     });
 
-    const response = await axios.post(
-      apiUrl,
-      geminiPayload,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': process.env.GEMINI_API_KEY
-        },
-        timeout: GEMINI_CONFIG.timeout
-      }
-    );
+    if (!reference) {
+      throw new NotFoundError('Palette reference image');
+    }
 
-    logger.debug('Gemini API response received', {
-      userId: req.user.id,
-      status: response.status,
-      hasCandidates: !!response.data.candidates,
-      responseKeys: Object.keys(response.data)
-    });
+    const palette = await extractPalette(await downloadAsset(reference), DEFAULT_PALETTE_COLORS);
+    validatedOptions.colorPalette = palette.map(colour => colour.hex);
+    validatedOptions.paletteFromImageId = reference._id;
+  }
 
-    const geminiResult = response.data;
-    
-    // Extract the generated image from Gemini response
-    if (!geminiResult.candidates || !geminiResult.candidates[0]) {
-      logger.error('No candidates found in response', {
-        userId: req.user.id,
-        fullResponse: JSON.stringify(geminiResult, null, 2)
-      });
-      throw new Error('Gemini API did not return any candidates');
-    }
+  // Increment generation attempts counter
+  await req.user.incrementGenerationAttempts();
 
-    const candidate = geminiResult.candidates[0];
-    
-    // Log candidate structure for debugging
-    logger.debug('Candidate structure', {
-      candidateKeys: Object.keys(candidate),
-      hasContent: !!candidate.content,
-      finishReason: candidate.finishReason,
-      finishMessage: candidate.finishMessage
-    });
-    
-    // Handle safety filter rejections
-    if (candidate.finishReason === 'IMAGE_OTHER' || candidate.finishReason === 'SAFETY') {
-      const errorMessage = candidate.finishMessage || 'Image generation blocked by content safety filters';
-      logger.error('Gemini API safety filter triggered', {
-        finishReason: candidate.finishReason,
-        finishMessage: candidate.finishMessage
-      });
-      throw new Error(`Gemini API safety filter: ${errorMessage}`);
-    }
-    
-    if (!candidate.content || !candidate.content.parts) {
-      logger.error('Candidate has no content or parts', {
-        candidate: JSON.stringify(candidate, null, 2)
-      });
-      throw new Error('Gemini API candidate has no content or parts');
-    }
+  const jobRecord = new JobRecord({
+    userId: req.user._id,
+    kind: 'quilt-design',
+    prompt,
+    quiltOptions: validatedOptions,
+    estimatedTime: 60
+  });
 
-    // Log parts structure for debugging
-    logger.debug('Candidate parts', {
-      partsCount: candidate.content.parts.length,
-      parts: candidate.content.parts.map((part, index) => ({
-        index,
-        hasText: !!part.text,
-        hasInlineData: !!part.inlineData,
-        textPreview: part.text ? part.text.substring(0, 100) + '...' : null,
-        mimeType: part.inlineData?.mimeType
-      }))
-    });
+  // The credit is only charged once the design is generated
+  if (!await reserveAndSaveJobs(req.user, [jobRecord])) {
+    throw new RateLimitError(QUOTA_EXCEEDED_MESSAGE);
+  }
 
-    // Search through all parts to find the image data
-    let generatedImageData = null;
-    candidate.content.parts.forEach((part, index) => {
-      if (part.inlineData) {
-        generatedImageData = part.inlineData;
-        logger.debug('Found inlineData in part', {
-          partIndex: index,
-          mimeType: part.inlineData.mimeType,
-          dataLength: part.inlineData.data ? part.inlineData.data.length : 0
-        });
-      }
+  try {
+    await QuiltDesignQueue.add('quilt-design', {
+      jobId: jobRecord._id.toString(),
+      userId: jobRecord.userId
+    }, {
+      jobId: jobRecord._id.toString(),
+      attempts: jobRecord.maxAttempts
     });
+  } catch (error) {
+    await jobRecord.markFailed('Could not queue job', { error: error.message }, {
+      code: JOB_ERROR_CODES.INTERNAL_ERROR,
+      retryable: false
+    });
+    await releaseJobQuota(jobRecord, 'failed');
+    throw error;
+  }
 
-    if (!generatedImageData) {
-      logger.error('No inlineData found in any parts', {
-        parts: candidate.content.parts.map((part, index) => ({
-          index,
-          type: part.text ? 'text' : part.inlineData ? 'inlineData' : 'unknown',
-          textPreview: part.text ? part.text.substring(0, 200) + '...' : null
-        }))
-      });
-      throw new Error('Gemini API did not return a valid image response - no inlineData found in parts');
+  logger.info('Quilt design job added to queue', {
+    jobId: jobRecord._id,
+    userId: req.user.id,
+    promptLength: prompt.length,
+    options: validatedOptions
+  });
+
+  await Audit.logUsage({
+    userId: req.user._id,
+    type: 'generation',
+    action: 'quilt_design_job_created',
+    resourceType: 'job',
+    resourceId: jobRecord._id,
+    details: {
+      jobStatus: jobRecord.status
     }
-    
-    // Convert base64 image to buffer
-    const outputImageBuffer = Buffer.from(generatedImageData.data, 'base64');
+  });
+
+  // Response matches the frontend's GenerationJob interface; poll the status route for the result
+  res.status(202).json({
+    jobId: jobRecord._id.toString(),
+    status: 'queued',
+    estimatedTime: jobRecord.estimatedTime,
+    queuePosition: await getQuiltQueuePosition(jobRecord)
+  });
+}));
+
+/**
+ * @route   GET /api/v1/tools/quilt-design/:imageId/status
+ * @desc    Get quilt design job status; also accepts the image ID returned before designs were queued
+ * @access  Private
+ */
+router.get('/quilt-design/:imageId/status', requireAuth(), asyncHandler(async (req, res) => {
+  const { imageId } = req.params;
 
-    // Generate storage key for output
-    const { generateStorageKey, uploadBuffer, generateDownloadUrl } = await import('../config/storage.js');
-    const outputKey = generateStorageKey('quilt-designs', `quilt-design-${Date.now()}`, req.user.id);
+  const job = await JobRecord.findOne({
+    _id: imageId,
+    userId: req.user._id,
+    kind: 'quilt-design'
+  });
 
-    // Upload output to storage
-    await uploadBuffer(outputImageBuffer, outputKey, generatedImageData.mimeType || 'image/png');
+  const image = job
+    ? job.outputImageId && await ImageAsset.findById(job.outputImageId)
+    : await ImageAsset.findOne({ _id: imageId, userId: req.user.id, type: { $in: ['output', 'quilt-design'] } });
 
-    // Generate download URL
-    const downloadUrl = await generateDownloadUrl(outputKey, 86400); // 24 hours
+  if (!job && !image) {
+    throw new NotFoundError('Quilt design job');
+  }
 
-    // Create output image asset
-    const outputImage = new ImageAsset({
-      userId: req.user.id,
-      type: 'output',
-      storageKey: outputKey,
-      url: downloadUrl,
-      width: 1024, // Default width for quilt designs
-      height: 1024, // Default height for quilt designs
-      mimeType: generatedImageData.mimeType || 'image/png',
-      sizeBytes: outputImageBuffer.length,
+  const response = job ? {
+    jobId: job._id.toString(),
+    status: job.status,
+    userId: job.userId.toString(),
+    createdAt: job.createdAt.toISOString(),
+    updatedAt: job.updatedAt.toISOString(),
+    estimatedTime: job.estimatedTime,
+    processingTime: job.processingTime || 0,
+    attempts: job.attempts,
+    progress: {
+      stage: job.progress?.stage || 'queued',
+      percent: job.progress?.percent || 0,
+      message: job.progress?.message,
+      updatedAt: job.progress?.updatedAt
+    },
+    queuePosition: await getQuiltQueuePosition(job)
+  } : {
+    // Designs generated before they were queued only exist as an image
+    jobId: image._id.toString(),
+    status: 'succeeded',
+    userId: image.userId.toString(),
+    createdAt: image.createdAt.toISOString(),
+    updatedAt: image.updatedAt.toISOString(),
+    estimatedTime: image.metadata?.processingTime ? image.metadata.processingTime / 1000 : 60,
+    processingTime: image.metadata?.processingTime || 0
+  };
+
+  if (job?.status === 'failed') {
+    response.error = job.error;
+    response.errorCode = job.errorCode;
+    response.retryable = job.retryable;
+  }
+
+  if (response.status === 'succeeded' && image) {
+    response.outputImage = {
+      id: image._id,
+      url: image.url,
+      width: image.width,
+      height: image.height,
+      sizeBytes: image.sizeBytes,
+      prompt: image.metadata?.prompt || '',
       metadata: {
-        filename: `quilt-design-${Date.now()}`,
-        prompt: prompt,
-        options: validatedOptions,
-        processingTime: Date.now() - startTime,
-        aiModel: 'gemini-2.5-flash-image',
-        source: 'quilt-design-generation'
+        style: image.metadata?.options?.style || 'modern',
+        colorPalette: image.metadata?.options?.colorPalette || ['#FF6B6B', '#4ECDC4', '#FFD166', '#06D6A0', '#118AB2'],
+        complexity: image.metadata?.options?.complexity || 3,
+        size: image.metadata?.options?.size || 'throw',
+        rows: image.metadata?.options?.rows || 8,
+        columns: image.metadata?.options?.columns || 8,
+        symmetry: image.metadata?.options?.symmetry || 'mirror'
       }
-    });
+    };
+  }
 
-    await outputImage.save();
+  res.json(response);
+}));
 
-    const processingTime = Date.now() - startTime;
+/**
+ * @route   GET /api/v1/tools/quilt-design/:imageId/pattern
+ * @desc    Download a printable pattern (svg, pdf or json via ?format) with block grid, colour key, cutting list and yardage
+ * @access  Private
+ */
+router.get('/quilt-design/:imageId/pattern', requireAuth(), asyncHandler(async (req, res) => {
+  const { imageId } = req.params;
+  const format = req.query.format || 'svg';
 
-    // Log successful generation
-    await Audit.logUsage({
-      userId: req.user.id,
-      type: 'generation',
-      action: 'quilt_design_generation_succeeded',
-      resourceType: 'image',
-      resourceId: outputImage._id,
-      details: {
-        processingTime,
-        outputSize: outputImageBuffer.length,
-        aiModel: 'gemini-2.5-flash-image',
-        promptLength: prompt.length
-      }
-    });
+  if (!PATTERN_FORMATS.includes(format)) {
+    throw new ValidationError(`Format must be one of: ${PATTERN_FORMATS.join(', ')}`);
+  }
 
-    logger.info('Quilt design generation completed successfully', {
-      userId: req.user.id,
-      processingTime,
-      outputImageId: outputImage._id
-    });
+  // Accept the job ID returned when the design was queued, or the image ID
+  const job = await JobRecord.findOne({
+    _id: imageId,
+    userId: req.user._id,
+    kind: 'quilt-design'
+  });
 
-    // Send response matching frontend's GenerationJob interface
-    res.json({
-      jobId: outputImage._id.toString(), // Using image ID as job ID for compatibility
-      status: 'succeeded',
-      estimatedTime: processingTime / 1000
-      // Note: queuePosition is optional and not needed for synchronous processing
-    });
+  if (job && job.status !== 'succeeded') {
+    throw new ValidationError('Quilt design has not finished generating');
+  }
 
-  } catch (error) {
-    const processingTime = Date.now() - startTime;
-    
-    logger.error('Quilt design generation failed', {
-      userId: req.user.id,
-      error: error.message,
-      processingTime,
-      prompt: prompt
-    });
+  const image = await ImageAsset.findOne({
+    _id: job ? job.outputImageId : imageId,
+    userId: req.user.id,
+    type: { $in: ['output', 'quilt-design'] },
+    isDeleted: false
+  });
 
-    // Log failure
-    await Audit.logUsage({
-      userId: req.user.id,
-      type: 'generation',
-      action: 'quilt_design_generation_failed',
-      resourceType: 'image',
-      details: {
-        error: error.message,
-        processingTime,
-        promptLength: prompt.length
-      },
-      isSuccess: false
-    });
+  if (!image) {
+    throw new NotFoundError('Quilt design');
+  }
 
-    if (error.response) {
-      // Gemini API error
-      throw new Error(`Gemini API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
-    } else if (error.request) {
-      // Network error
-      throw new Error('Gemini API network error: No response received');
-    } else {
-      // Other error
-      throw new Error(`Gemini API error: ${error.message}`);
+  const options = image.metadata?.options || {};
+  const patternOptions = {
+    colorPalette: Array.isArray(options.colorPalette) && options.colorPalette.length
+      ? options.colorPalette
+      : ['#FF6B6B', '#4ECDC4', '#FFD166', '#06D6A0', '#118AB2'],
+    rows: options.rows || 8,
+    columns: options.columns || 8,
+    size: options.size || 'throw',
+    symmetry: options.symmetry || 'mirror'
+  };
+
+  // Designs made before palettes were validated can carry nothing a block could be matched to
+  if (!patternOptions.colorPalette.some(isPaletteColour)) {
+    throw new ValidationError('Quilt design has no usable palette colours to build a pattern from');
+  }
+
+  const pattern = await buildQuiltPattern(await downloadAsset(image), patternOptions);
+
+  const body = format === 'pdf'
+    ? renderPatternPdf(pattern)
+    : format === 'svg'
+      ? renderPatternSvg(pattern)
+      : null;
+
+  await Audit.logUsage({
+    userId: req.user._id,
+    type: 'download',
+    action: 'quilt_pattern_exported',
+    resourceType: 'image',
+    resourceId: image._id,
+    details: {
+      imageType: format,
+      fileSize: body ? Buffer.byteLength(body) : undefined
     }
+  });
+
+  if (format === 'json') {
+    return res.json({ imageId: image._id, pattern });
   }
+
+  res.set({
+    'Content-Type': format === 'pdf' ? 'application/pdf' : 'image/svg+xml',
+    'Content-Disposition': `attachment; filename="quilt-pattern-${image._id}.${format}"`
+  });
+  res.send(body);
 }));
 
 /**
- * @route   GET /api/v1/tools/quilt-design/:imageId/status
- * @desc    Get quilt design image status (for compatibility with frontend)
+ * @route   POST /api/v1/tools/palette
+ * @desc    Extract a dominant-colour palette from an uploaded image, e.g. a room photo to match a quilt to
  * @access  Private
  */
-router.get('/quilt-design/:imageId/status', requireAuth(), asyncHandler(async (req, res) => {
-  const { imageId } = req.params;
+router.post('/palette', requireAuth(), asyncHandler(async (req, res) => {
+  const { imageId } = req.body;
+  const colors = req.body.colors ?? DEFAULT_PALETTE_COLORS;
+
+  if (!imageId) {
+    throw new ValidationError('imageId is required');
+  }
+
+  if (!Number.isInteger(colors) || colors < MIN_PALETTE_COLORS || colors > MAX_PALETTE_COLORS) {
+    throw new ValidationError(`colors must be an integer between ${MIN_PALETTE_COLORS} and ${MAX_PALETTE_COLORS}`);
+  }
 
   const image = await ImageAsset.findOne({
     _id: imageId,
     userId: req.user.id,
-    type: 'output'
+    isDeleted: false
   });
 
   if (!image) {
-    throw new NotFoundError('Quilt design image');
+    throw new NotFoundError('Image asset');
   }
 
-  const response = {
-    jobId: image._id.toString(),
-    status: 'succeeded', // Since we're doing synchronous generation, it's always succeeded if it exists
-    userId: image.userId.toString(),
-    createdAt: image.createdAt.toISOString(),
-    updatedAt: image.updatedAt.toISOString(),
-    estimatedTime: image.metadata?.processingTime ? image.metadata.processingTime / 1000 : 60,
-    processingTime: image.metadata?.processingTime || 0
-  };
+  const palette = await extractPalette(await downloadAsset(image), colors);
 
-  response.outputImage = {
-    id: image._id,
-    url: image.url,
-    width: image.width,
-    height: image.height,
-    sizeBytes: image.sizeBytes,
-    prompt: image.metadata?.prompt || '',
-    metadata: {
-      style: image.metadata?.options?.style || 'modern',
-      colorPalette: image.metadata?.options?.colorPalette || ['#FF6B6B', '#4ECDC4', '#FFD166', '#06D6A0', '#118AB2'],
-      complexity: image.metadata?.options?.complexity || 3,
-      size: image.metadata?.options?.size || 'throw',
-      rows: image.metadata?.options?.rows || 8,
-      columns: image.metadata?.options?.columns || 8,
-      symmetry: image.metadata?.options?.symmetry || 'mirror'
-    }
-  };
+  logger.info('Palette extracted', {
+    userId: req.user.id,
+    imageId: image._id,
+    colors: palette.length
+  });
 
-  res.json(response);
+  res.json({
+    imageId: image._id,
+    palette,
+    // Ready to pass as options.colorPalette to POST /tools/quilt-design
+    colorPalette: palette.map(colour => colour.hex)
+  });
 }));
 
 /**
  * @route   POST /api/v1/tools/text-to-image/direct
- * @desc    Direct text-to-image generation using Google Gemini API
+ * @desc    Direct text-to-image generation using the configured image provider
  * @access  Private
  */
 router.post('/text-to-image/direct', requireAuth(), generateRateLimiter, quotaCheck(), usageTracker('generation'), asyncHandler(async (req, res) => {
@@ -358,87 +399,58 @@ router.post('/text-to-image/direct', requireAuth(), generateRateLimiter, quotaCh
     throw new ValidationError('Prompt is required');
   }
 
-  // Check if Gemini API key is configured
-  if (!process.env.GEMINI_API_KEY) {
-    throw new ValidationError('Gemini API key is not configured');
+  // Check if the image provider is configured
+  const provider = getImageProvider();
+  if (!provider.isConfigured()) {
+    throw new ValidationError(`Image provider "${provider.name}" is not configured`);
   }
 
   // Increment generation attempts counter
   await req.user.incrementGenerationAttempts();
 
   try {
-    // Prepare Gemini API request payload for text-to-image
-    const geminiPayload = {
-      contents: [
-        {
-          parts: [
-            { 
-              text: `Generate a quilt design image based on this description: ${prompt}. Create a visually appealing quilt pattern with geometric shapes and colors.`
-            }
-          ]
-        }
-      ]
-    };
-
-    // Call Gemini API for text-to-image generation
-    const apiUrl = `${GEMINI_CONFIG.baseURL}/models/${GEMINI_CONFIG.model}:generateContent`;
-    const response = await axios.post(apiUrl, geminiPayload, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-goog-api-key': process.env.GEMINI_API_KEY
-      },
-      timeout: GEMINI_CONFIG.timeout
+    // Call the configured image provider for text-to-image generation
+    const providerPrompt = `Generate a quilt design image based on this description: ${prompt}. Create a visually appealing quilt pattern with geometric shapes and colors.`;
+    const generated = await provider.textToImage({
+      prompt: providerPrompt
     });
-
-    // Parse Gemini response
-    const geminiResponse = response.data;
-    
-    // Extract the generated image from the response
-    if (!geminiResponse.candidates ||
-        !geminiResponse.candidates[0] ||
-        !geminiResponse.candidates[0].content ||
-        !geminiResponse.candidates[0].content.parts) {
-      throw new Error('Gemini API did not return a valid response');
-    }
-
-    // Find the image part in the response
-    const imagePart = geminiResponse.candidates[0].content.parts.find(
-      part => part.inlineData
-    );
-
-    if (!imagePart || !imagePart.inlineData) {
-      throw new Error('Gemini API did not return an image');
-    }
-
-    const generatedImageData = imagePart.inlineData;
-    
-    // Convert base64 image to buffer
-    const imageBuffer = Buffer.from(generatedImageData.data, 'base64');
+    const imageBuffer = generated.buffer;
     
     // Generate storage key for the output
-    const { generateStorageKey, uploadBuffer, generateDownloadUrl } = await import('../config/storage.js');
-    const outputKey = generateStorageKey('text-to-image-outputs', `gemini-text-to-image-${Date.now()}`, req.user.id);
-    
-    // Upload output to storage
-    await uploadBuffer(imageBuffer, outputKey, generatedImageData.mimeType || 'image/png');
+    const { generateStorageKey } = await import('../config/storage.js');
+    const outputKey = generateStorageKey('text-to-image-outputs', `text-to-image-${Date.now()}`, req.user.id);
     
-    // Generate download URL
-    const downloadUrl = await generateDownloadUrl(outputKey, 86400); // 24 hours
+    // Upload output to storage, watermarking the delivered copy for plans that require it
+    const stored = await storeOutput({
+      buffer: imageBuffer,
+      mimeType: generated.mimeType,
+      storageKey: outputKey,
+      plan: req.user.plan
+    });
     
     // Create output image asset
     const outputImage = new ImageAsset({
       userId: req.user.id,
       type: 'output',
-      storageKey: outputKey,
-      url: downloadUrl,
-      mimeType: generatedImageData.mimeType || 'image/png',
-      sizeBytes: imageBuffer.length,
+      storageKey: stored.storageKey,
+      url: stored.url,
+      mimeType: stored.mimeType,
+      sizeBytes: stored.buffer.length,
+      watermark: stored.watermark,
       metadata: {
-        filename: `gemini-text-to-image-${Date.now()}`,
+        filename: `text-to-image-${Date.now()}`,
         prompt: prompt,
         processingTime: 'direct',
-        aiModel: 'gemini-2.5-flash-image',
+        aiModel: generated.model,
+        provider: generated.provider,
         source: 'text-to-image-generation'
+      },
+      provenance: {
+        provider: generated.provider,
+        model: generated.model,
+        prompt: providerPrompt,
+        steps: processingSteps({ watermark: stored.watermark }),
+        recordedAt: new Date()
       }
     });
 
@@ -454,7 +466,7 @@ router.post('/text-to-image/direct', requireAuth(), generateRateLimiter, quotaCh
       details: {
         promptLength: prompt.length,
         outputSize: imageBuffer.length,
-        aiModel: 'gemini-2.5-flash-image'
+        aiModel: generated.model
       }
     });
 
@@ -469,9 +481,9 @@ router.post('/text-to-image/direct', requireAuth(), generateRateLimiter, quotaCh
       success: true,
       outputImage: {
         id: outputImage._id,
-        url: downloadUrl,
-        sizeBytes: imageBuffer.length,
-        mimeType: generatedImageData.mime_type || 'image/png'
+        url: stored.url,
+        sizeBytes: stored.buffer.length,
+        mimeType: stored.mimeType
       },
       prompt: prompt
     });
@@ -496,17 +508,180 @@ router.post('/text-to-image/direct', requireAuth(), generateRateLimiter, quotaCh
       isSuccess: false
     });
 
-    if (error.response) {
-      // Gemini API error
-      throw new Error(`Gemini API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
-    } else if (error.request) {
-      // Network error
-      throw new Error('Gemini API network error: No response received');
-    } else {
-      // Other error
-      throw new Error(`Gemini API error: ${error.message}`);
+    // Provider errors already carry a descriptive message
+    throw error;
+  }
+}));
+
+/**
+ * @route   POST /api/v1/tools/inpaint
+ * @desc    Queue an edit of only the masked region of an output or model image
+ * @access  Private
+ */
+router.post('/inpaint', requireAuth(), generateRateLimiter, quotaCheck(), maskUpload.single('mask'), asyncHandler(async (req, res) => {
+  const { imageId, instruction } = req.body;
+  // Multipart requests carry structured fields as JSON strings
+  const polygons = parseJsonField(req.body.polygons, 'polygons');
+  const options = parseJsonField(req.body.options, 'options') || {};
+
+  if (!imageId) {
+    throw new ValidationError('imageId is required');
+  }
+  if (typeof instruction !== 'string' || !instruction.trim()) {
+    throw new ValidationError('instruction is required');
+  }
+  if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+    throw new ValidationError(`instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters`);
+  }
+  if (!req.file === !polygons) {
+    throw new ValidationError('Provide either a mask PNG or polygons, not both');
+  }
+  if (options.seed !== undefined && !Number.isInteger(options.seed)) {
+    throw new ValidationError('options.seed must be an integer');
+  }
+  if (options.background !== undefined && !BACKGROUND_MODES.includes(options.background)) {
+    throw new ValidationError(`options.background must be one of: ${BACKGROUND_MODES.join(', ')}`);
+  }
+
+  const sourceImage = await ImageAsset.findOne({
+    _id: imageId,
+    userId: req.user._id,
+    type: { $in: ['output', 'model'] },
+    isDeleted: false
+  });
+
+  if (!sourceImage) {
+    throw new NotFoundError('Image');
+  }
+
+  let maskBuffer;
+  if (req.file) {
+    maskBuffer = await normalizeMask(req.file.buffer);
+    if (!maskBuffer) {
+      throw new ValidationError('mask must be a PNG with a white region to edit');
+    }
+  } else {
+    const rings = parsePolygons(polygons);
+    if (!rings) {
+      throw new ValidationError('polygons must be a list of 3 or more [x, y] points between 0 and 1');
     }
+    maskBuffer = await rasterizePolygons(rings, sourceImage.width, sourceImage.height);
   }
+
+  const { generateStorageKey, uploadBuffer } = await import('../config/storage.js');
+  const maskKey = generateStorageKey('masks', `inpaint-mask-${Date.now()}`, req.user.id);
+  await uploadBuffer(maskBuffer, maskKey, 'image/png');
+
+  // Outputs keep the model and outfits of the job that made them, so job listings stay informative
+  const sourceJob = sourceImage.metadata?.jobId
+    ? await JobRecord.findOne({ _id: sourceImage.metadata.jobId, userId: req.user._id })
+    : null;
+
+  // Increment generation attempts counter
+  await req.user.incrementGenerationAttempts();
+
+  const prompt = instruction.trim();
+  const jobRecord = new JobRecord({
+    userId: req.user._id,
+    kind: 'inpaint',
+    sourceImageId: sourceImage._id,
+    inputModelImageId: sourceImage.type === 'model' ? sourceImage._id : sourceJob?.inputModelImageId,
+    inputOutfitImageId: sourceJob?.inputOutfitImageId,
+    outfitLayers: sourceJob?.outfitLayers,
+    prompt,
+    // The instruction is sent to the provider as-is
+    composedPrompt: prompt,
+    mask: {
+      storageKey: maskKey,
+      source: req.file ? 'upload' : 'polygons',
+      polygons: req.file ? undefined : polygons
+    },
+    options: {
+      // Only the masked region changes, so the rest of the image keeps its background
+      background: options.background || sourceImage.metadata?.background || 'original',
+      seed: options.seed,
+      variants: 1,
+      resolution: sourceImage.metadata?.resolutionTier || null
+    },
+    seeds: Number.isInteger(options.seed) ? [options.seed] : [],
+    estimatedTime: 30
+  });
+
+  await assignQueuePriorities(req.user, [jobRecord]);
+  if (!await reserveAndSaveJobs(req.user, [jobRecord])) {
+    throw new RateLimitError(QUOTA_EXCEEDED_MESSAGE);
+  }
+  await enqueueReservedJobs([jobRecord]);
+
+  logger.info('Inpaint job added to generate queue', {
+    jobId: jobRecord._id,
+    sourceImageId: sourceImage._id,
+    maskSource: jobRecord.mask.source,
+    userId: req.user._id,
+    priority: jobRecord.priority
+  });
+
+  await Audit.logUsage({
+    userId: req.user._id,
+    type: 'generation',
+    action: 'job_inpaint_created',
+    resourceType: 'job',
+    resourceId: jobRecord._id,
+    details: {
+      jobStatus: jobRecord.status,
+      imageType: sourceImage.type
+    }
+  });
+
+  res.status(202).json({
+    jobId: jobRecord._id,
+    sourceImageId: sourceImage._id,
+    status: 'queued',
+    estimatedTime: jobRecord.estimatedTime,
+    queuePosition: await getQueuePosition(jobRecord)
+  });
 }));
 
+/**
+ * Bytes of an image asset, from the clean original when it was watermarked
+ */
+async function downloadAsset(image) {
+  const url = await generateCleanDownloadUrl(image, 3600);
+  const response = await axios.get(url, { responseType: 'arraybuffer' });
+  return Buffer.from(response.data);
+}
+
+/**
+ * 1-based position of a queued quilt design; the quilt-design queue runs jobs in submission order
+ * @returns {Promise<number|null>} Null when the job is no longer waiting
+ */
+async function getQuiltQueuePosition(jobRecord) {
+  if (jobRecord.status !== 'queued') {
+    return null;
+  }
+
+  const ahead = await JobRecord.countDocuments({
+    kind: 'quilt-design',
+    status: 'queued',
+    _id: { $lt: jobRecord._id }
+  });
+
+  return ahead + 1;
+}
+
+/**
+ * Parse a structured field that may arrive as a JSON string in multipart requests
+ */
+function parseJsonField(value, name) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new ValidationError(`${name} must be valid JSON`);
+  }
+}
+
 export default router;
\ No newline at end of file
@@ -5,8 +5,9 @@ import { requireAuth } from '../config/passport.js';
 import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
 import { uploadRateLimiter, usageTracker } from '../middleware/rateLimiter.js';
 import { generateStorageKey, generateUploadUrl, generateDownloadUrl, uploadBuffer, getObjectMetadata } from '../config/storage.js';
-import ImageAsset from '../models/ImageAsset.js';
+import ImageAsset, { OUTFIT_SLOTS } from '../models/ImageAsset.js';
 import Audit from '../models/Audit.js';
+import { scheduleRenditions } from '../services/renditions.js';
 import { createLogger } from '../utils/logger.js';
 
 /**
@@ -228,6 +229,10 @@ router.post('/signed-url', requireAuth(), uploadRateLimiter, asyncHandler(async
  *                 type: string
  *                 format: objectid
  *                 description: Optional project ID
+ *               slot:
+ *                 type: string
+ *                 enum: [top, bottom, shoes, outerwear, accessory]
+ *                 description: Garment slot for outfit images
  *               metadata:
  *                 type: object
  *                 description: Additional metadata
@@ -261,7 +266,7 @@ router.post('/signed-url', requireAuth(), uploadRateLimiter, asyncHandler(async
  *               $ref: '#/components/schemas/Error'
  */
 router.post('/complete', requireAuth(), uploadRateLimiter, asyncHandler(async (req, res) => {
-  const { storageKey, type, width, height, mimeType, sizeBytes, projectId, metadata } = req.body;
+  const { storageKey, type, width, height, mimeType, sizeBytes, projectId, slot, metadata } = req.body;
 
   // Validate required fields
   if (!storageKey || !type || !mimeType || !sizeBytes) {
@@ -274,6 +279,8 @@ router.post('/complete', requireAuth(), uploadRateLimiter, asyncHandler(async (r
     throw new ValidationError(`Type must be one of: ${allowedTypes.join(', ')}`);
   }
 
+  validateSlot(type, slot || metadata?.slot);
+
   // Verify the file exists in storage
   const exists = await getObjectMetadata(storageKey).catch(() => false);
   if (!exists) {
@@ -298,12 +305,16 @@ router.post('/complete', requireAuth(), uploadRateLimiter, asyncHandler(async (r
       filename: storageKey.split('/').pop(),
       originalName: metadata?.originalName,
       uploadDate: new Date(),
-      ...metadata
+      ...metadata,
+      slot: slot || metadata?.slot || undefined
     }
   });
 
   await imageAsset.save();
 
+  // Renditions are built in the background from the stored file
+  scheduleRenditions(imageAsset);
+
   // Log successful upload completion
   await Audit.logUsage({
     userId: req.user._id,
@@ -367,6 +378,10 @@ router.post('/complete', requireAuth(), uploadRateLimiter, asyncHandler(async (r
  *                 type: string
  *                 format: objectid
  *                 description: Optional project ID
+ *               slot:
+ *                 type: string
+ *                 enum: [top, bottom, shoes, outerwear, accessory]
+ *                 description: Garment slot for outfit images
  *     responses:
  *       201:
  *         description: File uploaded and asset created successfully
@@ -407,7 +422,7 @@ router.post('/direct', requireAuth(), uploadRateLimiter, upload.single('file'),
     throw new ValidationError('No file uploaded');
   }
 
-  const { purpose, projectId, name, tags, isPublic } = req.body;
+  const { purpose, projectId, name, tags, isPublic, slot } = req.body;
   const file = req.file;
 
   // Validate purpose
@@ -416,6 +431,8 @@ router.post('/direct', requireAuth(), uploadRateLimiter, upload.single('file'),
     throw new ValidationError(`Purpose must be one of: ${allowedPurposes.join(', ')}`);
   }
 
+  validateSlot(purpose, slot);
+
   // Get image dimensions if it's an image
   let width, height;
   if (file.mimetype.startsWith('image/')) {
@@ -464,12 +481,16 @@ router.post('/direct', requireAuth(), uploadRateLimiter, upload.single('file'),
     isPublic: isPublic === 'true' || isPublic === true,
     metadata: {
       filename: file.originalname,
-      uploadDate: new Date()
+      uploadDate: new Date(),
+      slot: slot || undefined
     }
   });
 
   await imageAsset.save();
 
+  // Renditions are built in the background from the uploaded bytes
+  scheduleRenditions(imageAsset, file.buffer);
+
   // Log successful direct upload
   await Audit.logUsage({
     userId: req.user._id,
@@ -725,4 +746,21 @@ router.get('/limits', (req, res) => {
   });
 });
 
+/**
+ * Garment slots only apply to outfit images
+ */
+function validateSlot(type, slot) {
+  if (!slot) {
+    return;
+  }
+
+  if (type !== 'outfit') {
+    throw new ValidationError('slot can only be set on outfit images');
+  }
+
+  if (!OUTFIT_SLOTS.includes(slot)) {
+    throw new ValidationError(`Slot must be one of: ${OUTFIT_SLOTS.join(', ')}`);
+  }
+}
+
 export default router;
\ No newline at end of file
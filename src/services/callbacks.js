@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import ImageAsset from '../models/ImageAsset.js';
+import User from '../models/User.js';
+import CallbackDelivery from '../models/CallbackDelivery.js';
+import { CallbackQueue } from '../config/queue.js';
+import { generateDownloadUrl } from '../config/storage.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('callbacks');
+
+export const SIGNATURE_HEADER = 'X-SwapMyLook-Signature';
+export const EVENT_HEADER = 'X-SwapMyLook-Event';
+export const DELIVERY_HEADER = 'X-SwapMyLook-Delivery';
+
+// Networks a callback may never reach: this host, private and carrier networks,
+// link-local (cloud metadata endpoints), and reserved or multicast ranges
+const BLOCKED_NETWORKS = {
+  ipv4: [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+  ],
+  ipv6: [
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['100::', 64],
+    ['2001:db8::', 32],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+  ]
+};
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 networks
+const blockedAddresses = new net.BlockList();
+for (const [type, networks] of Object.entries(BLOCKED_NETWORKS)) {
+  for (const [network, prefix] of networks) {
+    blockedAddresses.addSubnet(network, prefix, type);
+  }
+}
+
+/**
+ * Check that a callback URL is an absolute http(s) URL
+ * @param {string} url - Callback URL from the request
+ * @returns {boolean}
+ */
+export function isValidCallbackUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+
+  return !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve the host of a callback URL, refusing hosts that point inside our network
+ *
+ * Every address the host resolves to must be public. Called when a callback is
+ * registered and again before each delivery, because DNS answers can change
+ * in between; deliveries then connect to the checked address only.
+ *
+ * @param {string} url - Callback URL
+ * @returns {Promise<Array<{address: string, family: number}>|null>} Null when the URL may not be called
+ * @throws {Error} When the host cannot be resolved
+ */
+export async function resolveCallbackUrl(url) {
+  if (!isValidCallbackUrl(url)) {
+    return null;
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+  if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+    logger.warn('Callback URL resolves to a non-public address', {
+      hostname,
+      addresses: addresses.map(({ address }) => address)
+    });
+    return null;
+  }
+
+  return addresses;
+}
+
+/**
+ * Get the secret a user's callbacks are signed with, issuing one on first use
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Null when the user does not exist
+ */
+export async function getSigningSecret(userId) {
+  const user = await User.findById(userId).select('+callbackSigningSecret').lean();
+  if (!user || user.callbackSigningSecret) {
+    return user?.callbackSigningSecret ?? null;
+  }
+
+  // Only the first of several concurrent issues is stored; every caller reads that one back
+  await User.updateOne(
+    { _id: userId, callbackSigningSecret: null },
+    { $set: { callbackSigningSecret: generateSigningSecret() } }
+  );
+
+  const issued = await User.findById(userId).select('+callbackSigningSecret').lean();
+  return issued?.callbackSigningSecret ?? null;
+}
+
+/**
+ * Replace a user's callback signing secret
+ * Deliveries still waiting for a retry are signed with the new secret.
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} The new secret, or null when the user does not exist
+ */
+export async function rotateSigningSecret(userId) {
+  const secret = generateSigningSecret();
+  const result = await User.updateOne({ _id: userId }, { $set: { callbackSigningSecret: secret } });
+
+  if (!result.matchedCount) {
+    return null;
+  }
+
+  logger.info('Callback signing secret rotated', { userId });
+  return secret;
+}
+
+/**
+ * Sign a callback body
+ *
+ * The signature covers `${timestamp}.${body}` so receivers can reject replays
+ * by checking the timestamp. Header format: `t=<unix seconds>,v1=<hex HMAC-SHA256>`.
+ *
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Signing secret of the callback's owner
+ * @param {number} [timestamp] - Unix time in seconds
+ * @returns {string} Signature header value
+ */
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Build the callback body for a finished job
+ * @param {Object} jobRecord - JobRecord document
+ * @returns {Promise<Object>}
+ */
+export async function buildJobPayload(jobRecord) {
+  const outputIds = jobRecord.outputImageIds?.length
+    ? jobRecord.outputImageIds
+    : [jobRecord.outputImageId].filter(Boolean);
+
+  const outputs = outputIds.length
+    ? await ImageAsset.find({ _id: { $in: outputIds } })
+    : [];
+
+  const outputImages = await Promise.all(outputIds
+    .map(id => outputs.find(output => output._id.equals(id)))
+    .filter(Boolean)
+    .map(async image => ({
+      id: image._id,
+      url: await generateDownloadUrl(image.storageKey, 86400), // 24 hours
+      width: image.width,
+      height: image.height,
+      mimeType: image.mimeType,
+      seed: image.metadata?.seed,
+      variantIndex: image.metadata?.variantIndex
+    })));
+
+  return {
+    jobId: jobRecord._id,
+    batchId: jobRecord.batchId,
+    status: jobRecord.status,
+    outputImages,
+    error: jobRecord.status === 'failed' ? jobRecord.error : undefined,
+    errorCode: jobRecord.status === 'failed' ? jobRecord.errorCode : undefined,
+    processingTime: jobRecord.processingTime,
+    completedAt: jobRecord.completedAt
+  };
+}
+
+/**
+ * Queue delivery of a finished job's result to its callbackUrl
+ * Does nothing for jobs without a callback URL.
+ * @param {Object} jobRecord - JobRecord document
+ * @param {Object} [options]
+ * @param {Object} [options.redeliveryOf] - Delivery being redelivered
+ * @returns {Promise<Object|null>} The queued CallbackDelivery
+ */
+export async function scheduleJobCallback(jobRecord, { redeliveryOf = null } = {}) {
+  if (!jobRecord.callbackUrl) {
+    return null;
+  }
+
+  const event = jobRecord.status === 'succeeded' ? 'job.succeeded' : 'job.failed';
+  const delivery = new CallbackDelivery({
+    jobId: jobRecord._id,
+    userId: jobRecord.userId,
+    url: jobRecord.callbackUrl,
+    event,
+    payload: {},
+    redeliveryOf: redeliveryOf?._id || null
+  });
+
+  delivery.payload = {
+    id: delivery._id,
+    event,
+    createdAt: new Date().toISOString(),
+    data: await buildJobPayload(jobRecord)
+  };
+
+  await delivery.save();
+
+  await CallbackQueue.add('deliver', {
+    deliveryId: delivery._id.toString()
+  }, {
+    jobId: delivery._id.toString()
+  });
+
+  logger.info('Callback queued', {
+    deliveryId: delivery._id,
+    jobId: jobRecord._id,
+    event,
+    redeliveryOf: delivery.redeliveryOf
+  });
+
+  return delivery;
+}
+
+/**
+ * New random signing secret
+ */
+function generateSigningSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+export default {
+  SIGNATURE_HEADER,
+  EVENT_HEADER,
+  DELIVERY_HEADER,
+  isValidCallbackUrl,
+  isPublicAddress,
+  resolveCallbackUrl,
+  getSigningSecret,
+  rotateSigningSecret,
+  signPayload,
+  buildJobPayload,
+  scheduleJobCallback
+};
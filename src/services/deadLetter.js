@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+import JobRecord from '../models/JobRecord.js';
+import User from '../models/User.js';
+import { Queue, QuiltDesignQueue } from '../config/queue.js';
+import { composeGenerationPrompt } from './promptComposer.js';
+import { templateReference } from './promptTemplates.js';
+import { JOB_ERROR_CODES } from './jobErrors.js';
+import { reserveJobQuota, releaseJobQuota, refundFailedJobQuota, enqueueReservedJobs } from './quota.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('dead-letter');
+
+// Failed jobs the worker will not try again: permanent errors and exhausted retries
+export const DEAD_LETTER_FILTER = { status: 'failed', retryable: { $ne: true } };
+
+/**
+ * Build a dead-letter query from admin filters
+ * @param {Object} [filters]
+ * @param {string[]} [filters.jobIds] - Restrict to these jobs
+ * @param {string} [filters.errorCode] - One of JOB_ERROR_CODES
+ * @param {string} [filters.userId] - Owner of the jobs
+ * @param {string} [filters.dateFrom] - Failed at or after
+ * @param {string} [filters.dateTo] - Failed at or before
+ * @returns {Object} Mongo filter
+ */
+export function buildDeadLetterFilter({ jobIds, errorCode, userId, dateFrom, dateTo } = {}) {
+  const filter = { ...DEAD_LETTER_FILTER };
+
+  if (jobIds) {
+    filter._id = { $in: jobIds };
+  }
+
+  if (errorCode) {
+    // Jobs that failed before error codes existed are grouped as INTERNAL_ERROR
+    filter.errorCode = errorCode === 'INTERNAL_ERROR' ? { $in: [errorCode, null] } : errorCode;
+  }
+
+  if (userId) {
+    filter.userId = userId;
+  }
+
+  if (dateFrom || dateTo) {
+    filter.completedAt = {};
+    if (dateFrom) filter.completedAt.$gte = new Date(dateFrom);
+    if (dateTo) filter.completedAt.$lte = new Date(dateTo);
+  }
+
+  return filter;
+}
+
+/**
+ * Count dead-lettered jobs per error code
+ * @param {Object} filter - Result of buildDeadLetterFilter()
+ * @returns {Promise<Array<{errorCode: string, count: number, users: number, oldest: Date, newest: Date, sampleError: string}>>}
+ */
+export async function summarizeDeadLetters(filter) {
+  // Aggregation pipelines are not cast by Mongoose
+  const match = { ...filter };
+  if (typeof match.userId === 'string') {
+    match.userId = new mongoose.Types.ObjectId(match.userId);
+  }
+  if (match._id?.$in) {
+    match._id = { $in: match._id.$in.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const groups = await JobRecord.aggregate([
+    { $match: match },
+    { $sort: { completedAt: -1 } },
+    {
+      $group: {
+        _id: { $ifNull: ['$errorCode', 'INTERNAL_ERROR'] },
+        count: { $sum: 1 },
+        users: { $addToSet: '$userId' },
+        oldest: { $min: '$completedAt' },
+        newest: { $max: '$completedAt' },
+        sampleError: { $first: '$error' }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  return groups.map(group => ({
+    errorCode: group._id,
+    count: group.count,
+    users: group.users.length,
+    oldest: group.oldest,
+    newest: group.newest,
+    sampleError: group.sampleError
+  }));
+}
+
+/**
+ * Put a failed job back on the generate queue
+ *
+ * The job keeps its ID, so clients polling it see it move back to queued. It
+ * is charged like a new job: a credit is reserved from its owner's quota and
+ * only committed if the job succeeds this time.
+ *
+ * @param {Object} job - Failed JobRecord document
+ * @param {Object} [overrides]
+ * @param {Object} [overrides.template] - Generation template version to recompose a generation's prompt with
+ * @param {string} [overrides.provider] - Image provider to run the job on
+ * @returns {Promise<boolean>} False, with nothing changed, when the owner's quota cannot cover the job
+ */
+export async function requeueFailedJob(job, { template, provider } = {}) {
+  const owner = await User.findById(job.userId);
+  if (!owner || !await reserveJobQuota(owner, [job])) {
+    return false;
+  }
+
+  // Edit and quilt-design jobs carry their own prompt, so only generations are recomposed
+  if (template && job.kind === 'generation') {
+    job.composedPrompt = composeGenerationPrompt({
+      template,
+      basePrompt: job.prompt,
+      options: job.options,
+      preferences: owner.preferences,
+      layers: job.outfitLayers
+    }).prompt;
+    job.promptTemplate = templateReference(template);
+  }
+
+  if (provider) {
+    job.provider = provider;
+  }
+
+  job.status = 'queued';
+  job.attempts = 0;
+  job.error = null;
+  job.errorCode = null;
+  job.retryable = null;
+  job.errorDetails = {};
+  job.retryAt = null;
+  job.completedAt = null;
+  job.requeueCount = (job.requeueCount || 0) + 1;
+  job.progress = { stage: 'queued', percent: 0, updatedAt: new Date() };
+  await job.save();
+
+  // BullMQ keeps failed jobs for a week and ignores adds that reuse their ID
+  const queue = job.kind === 'quilt-design' ? QuiltDesignQueue : Queue;
+  const previous = await queue.getJob(job._id.toString());
+  if (previous) {
+    await previous.remove();
+  }
+
+  if (job.kind === 'quilt-design') {
+    try {
+      await queue.add('quilt-design', {
+        jobId: job._id.toString(),
+        userId: job.userId
+      }, {
+        jobId: job._id.toString(),
+        attempts: job.maxAttempts
+      });
+    } catch (error) {
+      await job.markFailed('Could not queue job', { error: error.message }, {
+        code: JOB_ERROR_CODES.INTERNAL_ERROR,
+        retryable: false
+      });
+      await releaseJobQuota(job, 'failed');
+      throw error;
+    }
+  } else {
+    await enqueueReservedJobs([job]);
+  }
+
+  logger.info('Failed job requeued', {
+    jobId: job._id,
+    requeueCount: job.requeueCount,
+    promptTemplate: job.promptTemplate,
+    provider: job.provider
+  });
+
+  return true;
+}
+
+/**
+ * Refund failed jobs to their owners
+ * Each job gives its owner one goodwill credit at most once (see refundFailedJobQuota), so this is safe to repeat.
+ * @param {Object[]} jobs - Failed JobRecord documents
+ * @returns {Promise<Array<{userId: string, credits: number}>>} Credits refunded per user
+ */
+export async function refundFailedJobs(jobs) {
+  const credits = new Map();
+
+  for (const job of jobs) {
+    if (await refundFailedJobQuota(job)) {
+      const userId = job.userId.toString();
+      credits.set(userId, (credits.get(userId) || 0) + job.quota.amount);
+    }
+  }
+
+  return [...credits].map(([userId, amount]) => ({ userId, credits: amount }));
+}
+
+export default {
+  DEAD_LETTER_FILTER,
+  buildDeadLetterFilter,
+  summarizeDeadLetters,
+  requeueFailedJob,
+  refundFailedJobs
+};
@@ -0,0 +1,346 @@
+import sharp from 'sharp';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('image-post-processing');
+
+export const BACKGROUND_MODES = ['transparent', 'original', 'white', 'black'];
+
+const SOLID_BACKGROUNDS = {
+  white: { r: 255, g: 255, b: 255 },
+  black: { r: 0, g: 0, b: 0 }
+};
+
+// Colour distance (0-441) below which a pixel counts as background
+const KEY_TOLERANCE = 40;
+// Pixels between KEY_TOLERANCE and this distance get partial alpha to soften edges
+const FEATHER_TOLERANCE = 70;
+
+/**
+ * Apply the job's background mode to a generated image
+ *
+ * The generation prompt asks the model for a plain, uniform backdrop, so the
+ * background is keyed out by flood-filling from the image border with the
+ * border's dominant colour. That keeps garment areas of a similar colour
+ * inside the subject intact.
+ *
+ * @param {Buffer} buffer - Generated image
+ * @param {string} mimeType - MIME type of the generated image
+ * @param {string} mode - One of BACKGROUND_MODES
+ * @returns {Promise<{buffer: Buffer, mimeType: string, background: string, keyColor: string|null}>}
+ */
+export async function applyBackground(buffer, mimeType, mode = 'transparent') {
+  if (!BACKGROUND_MODES.includes(mode)) {
+    throw new Error(`Unsupported background mode: ${mode}`);
+  }
+
+  if (mode === 'original') {
+    return { buffer, mimeType, background: mode, keyColor: null };
+  }
+
+  const { data, info } = await sharp(buffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const keyColor = borderColor(data, info.width, info.height);
+  keyBackground(data, info.width, info.height, keyColor);
+
+  let pipeline = sharp(data, {
+    raw: { width: info.width, height: info.height, channels: 4 }
+  });
+
+  let outputMimeType;
+  if (mode === 'transparent') {
+    // Keep WebP when the provider returned it, otherwise PNG
+    outputMimeType = mimeType === 'image/webp' ? 'image/webp' : 'image/png';
+  } else {
+    pipeline = pipeline.flatten({ background: SOLID_BACKGROUNDS[mode] });
+    outputMimeType = mimeType === 'image/jpeg' || mimeType === 'image/webp' ? mimeType : 'image/png';
+  }
+
+  const output = await encode(pipeline, outputMimeType).toBuffer();
+
+  logger.debug('Background applied', {
+    mode,
+    keyColor: toHex(keyColor),
+    inputBytes: buffer.length,
+    outputBytes: output.length
+  });
+
+  return {
+    buffer: output,
+    mimeType: outputMimeType,
+    background: mode,
+    keyColor: toHex(keyColor)
+  };
+}
+
+/**
+ * Scale an image so its longest edge matches a resolution tier
+ * Smaller images are upscaled with Lanczos resampling, larger ones downscaled.
+ * @param {Buffer} buffer - Image to scale
+ * @param {string} mimeType - MIME type of the image, kept for the output
+ * @param {number} longEdge - Target longest edge in pixels
+ * @returns {Promise<{buffer: Buffer, mimeType: string, width: number, height: number, sourceWidth: number, sourceHeight: number}>}
+ */
+export async function resizeToLongEdge(buffer, mimeType, longEdge) {
+  const { width: sourceWidth, height: sourceHeight } = await sharp(buffer).metadata();
+
+  if (Math.max(sourceWidth, sourceHeight) === longEdge) {
+    return { buffer, mimeType, width: sourceWidth, height: sourceHeight, sourceWidth, sourceHeight };
+  }
+
+  const resizeOptions = sourceWidth >= sourceHeight
+    ? { width: longEdge }
+    : { height: longEdge };
+
+  const pipeline = sharp(buffer).resize({
+    ...resizeOptions,
+    kernel: 'lanczos3'
+  });
+
+  const { data, info } = await encode(pipeline, mimeType).toBuffer({ resolveWithObject: true });
+
+  logger.debug('Image resized', {
+    from: `${sourceWidth}x${sourceHeight}`,
+    to: `${info.width}x${info.height}`
+  });
+
+  return {
+    buffer: data,
+    mimeType: ['image/webp', 'image/jpeg'].includes(mimeType) ? mimeType : 'image/png',
+    width: info.width,
+    height: info.height,
+    sourceWidth,
+    sourceHeight
+  };
+}
+
+const WATERMARK_GRAVITY = {
+  'top-left': 'northwest',
+  'top-right': 'northeast',
+  'bottom-left': 'southwest',
+  'bottom-right': 'southeast',
+  center: 'centre'
+};
+
+export const WATERMARK_POSITIONS = [...Object.keys(WATERMARK_GRAVITY), 'tile'];
+
+/**
+ * Overlay a text or logo watermark
+ * @param {Buffer} buffer - Image to watermark
+ * @param {string} mimeType - MIME type of the image, kept for the output
+ * @param {Object} settings
+ * @param {string} [settings.text] - Watermark text, used when no logo is given
+ * @param {string} [settings.logoPath] - Path to a logo image
+ * @param {string} [settings.position] - One of WATERMARK_POSITIONS
+ * @param {number} [settings.opacity] - 0 to 1
+ * @param {number} [settings.scale] - Watermark width as a fraction of the image width
+ * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+ */
+export async function applyWatermark(buffer, mimeType, settings = {}) {
+  const {
+    text = 'PREVIEW',
+    logoPath = null,
+    position = 'bottom-right',
+    opacity = 0.5,
+    scale = 0.3
+  } = settings;
+
+  if (!WATERMARK_POSITIONS.includes(position)) {
+    throw new Error(`Unsupported watermark position: ${position}`);
+  }
+
+  const { width, height } = await sharp(buffer).metadata();
+  const markWidth = Math.max(32, Math.round(width * scale));
+  const margin = Math.round(Math.min(width, height) * 0.03);
+
+  const mark = logoPath
+    ? await logoOverlay(logoPath, markWidth, opacity)
+    : textOverlay(text, markWidth, opacity);
+
+  // Pad the mark so corner placements keep a margin from the edges
+  const overlay = await sharp(mark)
+    .extend({
+      top: margin,
+      bottom: margin,
+      left: margin,
+      right: margin,
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    })
+    .png()
+    .toBuffer();
+
+  const composite = position === 'tile'
+    ? { input: overlay, tile: true, blend: 'over' }
+    : { input: overlay, gravity: WATERMARK_GRAVITY[position], blend: 'over' };
+
+  const output = await encode(sharp(buffer).composite([composite]), mimeType).toBuffer();
+
+  return { buffer: output, mimeType: ['image/webp', 'image/jpeg'].includes(mimeType) ? mimeType : 'image/png' };
+}
+
+/**
+ * Render watermark text as a transparent PNG
+ */
+function textOverlay(text, markWidth, opacity) {
+  // Rough glyph width of 0.6em keeps the text inside markWidth
+  const fontSize = Math.max(12, Math.round(markWidth / Math.max(text.length * 0.6, 1)));
+  const markHeight = Math.round(fontSize * 1.4);
+  const escaped = text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${markWidth}" height="${markHeight}">` +
+    `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" ` +
+    `font-family="sans-serif" font-weight="bold" font-size="${fontSize}" ` +
+    `fill="#ffffff" fill-opacity="${opacity}" stroke="#000000" stroke-opacity="${opacity * 0.6}" stroke-width="${Math.max(1, Math.round(fontSize / 24))}">` +
+    `${escaped}</text></svg>`
+  );
+}
+
+/**
+ * Resize a logo and scale its alpha channel by the opacity
+ */
+async function logoOverlay(logoPath, markWidth, opacity) {
+  const { data, info } = await sharp(logoPath)
+    .resize({ width: markWidth })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (let offset = 3; offset < data.length; offset += 4) {
+    data[offset] = Math.round(data[offset] * opacity);
+  }
+
+  return sharp(data, {
+    raw: { width: info.width, height: info.height, channels: 4 }
+  }).png().toBuffer();
+}
+
+/**
+ * Encode a sharp pipeline in the given format
+ */
+function encode(pipeline, mimeType) {
+  switch (mimeType) {
+    case 'image/webp':
+      return pipeline.webp({ quality: 90, alphaQuality: 100 });
+    case 'image/jpeg':
+      return pipeline.jpeg({ quality: 92 });
+    default:
+      return pipeline.png();
+  }
+}
+
+/**
+ * Find the most common colour along the image border (quantised to 16 levels)
+ */
+function borderColor(data, width, height) {
+  const buckets = new Map();
+
+  const sample = (x, y) => {
+    const offset = (y * width + x) * 4;
+    const key = ((data[offset] >> 4) << 8) | ((data[offset + 1] >> 4) << 4) | (data[offset + 2] >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count += 1;
+    bucket.r += data[offset];
+    bucket.g += data[offset + 1];
+    bucket.b += data[offset + 2];
+    buckets.set(key, bucket);
+  };
+
+  for (let x = 0; x < width; x++) {
+    sample(x, 0);
+    sample(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    sample(0, y);
+    sample(width - 1, y);
+  }
+
+  let best = null;
+  for (const bucket of buckets.values()) {
+    if (!best || bucket.count > best.count) {
+      best = bucket;
+    }
+  }
+
+  return {
+    r: Math.round(best.r / best.count),
+    g: Math.round(best.g / best.count),
+    b: Math.round(best.b / best.count)
+  };
+}
+
+/**
+ * Clear the alpha of background pixels connected to the border, in place
+ */
+function keyBackground(data, width, height, keyColor) {
+  const pixelCount = width * height;
+  const visited = new Uint8Array(pixelCount);
+  const queue = new Int32Array(pixelCount);
+  let head = 0;
+  let tail = 0;
+
+  const distance = (index) => {
+    const offset = index * 4;
+    const dr = data[offset] - keyColor.r;
+    const dg = data[offset + 1] - keyColor.g;
+    const db = data[offset + 2] - keyColor.b;
+    return Math.sqrt(dr * dr + dg * dg + db * db);
+  };
+
+  const visit = (index) => {
+    if (visited[index]) {
+      return;
+    }
+    visited[index] = 1;
+
+    const d = distance(index);
+    if (d >= FEATHER_TOLERANCE) {
+      return;
+    }
+
+    if (d <= KEY_TOLERANCE) {
+      data[index * 4 + 3] = 0;
+      // Only fully keyed pixels keep the fill spreading
+      queue[tail++] = index;
+    } else {
+      const alpha = (d - KEY_TOLERANCE) / (FEATHER_TOLERANCE - KEY_TOLERANCE);
+      data[index * 4 + 3] = Math.min(data[index * 4 + 3], Math.round(alpha * 255));
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+
+  while (head < tail) {
+    const index = queue[head++];
+    const x = index % width;
+
+    if (x > 0) visit(index - 1);
+    if (x < width - 1) visit(index + 1);
+    if (index >= width) visit(index - width);
+    if (index < pixelCount - width) visit(index + width);
+  }
+}
+
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+export default {
+  BACKGROUND_MODES,
+  WATERMARK_POSITIONS,
+  applyBackground,
+  resizeToLongEdge,
+  applyWatermark
+};
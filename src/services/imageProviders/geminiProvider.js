@@ -0,0 +1,279 @@
+import axios from 'axios';
+import { createLogger } from '../../utils/logger.js';
+import { ProviderError, PROVIDER_ERROR_CODES } from './providerError.js';
+
+const logger = createLogger('gemini-provider');
+
+// Gemini API configuration
+const GEMINI_CONFIG = {
+  baseURL: 'https://generativelanguage.googleapis.com/v1beta',
+  model: 'gemini-2.5-flash-image',
+  timeout: 120000 // 2 minutes
+};
+
+// Finish reasons Gemini uses when a request is rejected by content filters
+const SAFETY_FINISH_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'IMAGE_OTHER', 'PROHIBITED_CONTENT'];
+
+/**
+ * Google Gemini image provider
+ */
+class GeminiProvider {
+  constructor(config = {}) {
+    this.name = 'gemini';
+    this.apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+    this.baseURL = config.baseURL || GEMINI_CONFIG.baseURL;
+    this.model = config.model || process.env.GEMINI_MODEL || GEMINI_CONFIG.model;
+    this.timeout = config.timeout || GEMINI_CONFIG.timeout;
+  }
+
+  /**
+   * Check whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Generate an image from one or more input images and a prompt
+   * @param {Object} params
+   * @param {Array<{buffer: Buffer, mimeType: string}>} params.images - Input images, in prompt order
+   * @param {string} params.prompt - Instructions for the model
+   * @param {number} [params.seed] - Sampling seed for reproducible output
+   * @param {AbortSignal} [params.signal] - Aborts the request
+   * @returns {Promise<{buffer: Buffer, mimeType: string, provider: string, model: string, text: string|null}>}
+   */
+  async generateFromImages({ images, prompt, seed, signal }) {
+    const parts = [
+      ...images.map(image => toInlineDataPart(image)),
+      { text: prompt }
+    ];
+    return this.generateContent(parts, { seed, signal });
+  }
+
+  /**
+   * Generate an image from a text prompt only
+   * @param {Object} params
+   * @param {string} params.prompt - Instructions for the model
+   * @param {number} [params.seed] - Sampling seed for reproducible output
+   * @param {AbortSignal} [params.signal] - Aborts the request
+   * @returns {Promise<Object>} - Same shape as generateFromImages
+   */
+  async textToImage({ prompt, seed, signal }) {
+    return this.generateContent([{ text: prompt }], { seed, signal });
+  }
+
+  /**
+   * Edit an existing image following an instruction
+   * @param {Object} params
+   * @param {{buffer: Buffer, mimeType: string}} params.image - Image to edit
+   * @param {string} params.instruction - Edit instruction
+   * @param {number} [params.seed] - Sampling seed for reproducible output
+   * @param {AbortSignal} [params.signal] - Aborts the request
+   * @returns {Promise<Object>} - Same shape as generateFromImages
+   */
+  async editImage({ image, instruction, seed, signal }) {
+    return this.generateContent([
+      { text: instruction },
+      toInlineDataPart(image)
+    ], { seed, signal });
+  }
+
+  /**
+   * Edit only the masked region of an image
+   * Gemini takes no mask parameter, so the mask is sent as a second image and described in the prompt.
+   * @param {Object} params
+   * @param {{buffer: Buffer, mimeType: string}} params.image - Image to edit
+   * @param {{buffer: Buffer, mimeType: string}} params.mask - Greyscale mask, white where the image may change
+   * @param {string} params.instruction - Edit instruction
+   * @param {number} [params.seed] - Sampling seed for reproducible output
+   * @param {AbortSignal} [params.signal] - Aborts the request
+   * @returns {Promise<Object>} - Same shape as generateFromImages
+   */
+  async inpaintImage({ image, mask, instruction, seed, signal }) {
+    return this.generateContent([
+      { text: `${instruction}\n\nThe second image is a mask. Change only the area that is white in the mask and keep everything in the black area exactly as it is. Return the full edited image at the same size.` },
+      toInlineDataPart(image),
+      toInlineDataPart(mask)
+    ], { seed, signal });
+  }
+
+  /**
+   * Call the generateContent endpoint and extract the first image part
+   * @param {Array<Object>} parts - Request content parts
+   * @param {Object} [options]
+   * @param {number} [options.seed] - Sampling seed
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<Object>} - Normalised provider result
+   */
+  async generateContent(parts, { seed, signal } = {}) {
+    if (!this.isConfigured()) {
+      throw new ProviderError('Gemini API key not configured', {
+        code: PROVIDER_ERROR_CODES.NOT_CONFIGURED,
+        provider: this.name
+      });
+    }
+
+    const apiUrl = `${this.baseURL}/models/${this.model}:generateContent`;
+    const payload = { contents: [{ parts }] };
+
+    if (Number.isInteger(seed)) {
+      payload.generationConfig = { seed };
+    }
+
+    let response;
+
+    try {
+      response = await axios.post(
+        apiUrl,
+        payload,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': this.apiKey
+          },
+          timeout: this.timeout,
+          signal
+        }
+      );
+    } catch (error) {
+      throw this.normalizeRequestError(error);
+    }
+
+    return this.extractImage(response.data);
+  }
+
+  /**
+   * Pull the generated image out of a Gemini response
+   * @param {Object} data - Raw response body
+   * @returns {Object} - Normalised provider result
+   */
+  extractImage(data) {
+    const candidate = data?.candidates?.[0];
+
+    if (!candidate) {
+      logger.error('No candidates found in response', { promptFeedback: data?.promptFeedback });
+      if (data?.promptFeedback?.blockReason) {
+        throw new ProviderError(`Gemini API safety filter: ${data.promptFeedback.blockReason}`, {
+          code: PROVIDER_ERROR_CODES.SAFETY_BLOCKED,
+          provider: this.name,
+          details: { blockReason: data.promptFeedback.blockReason }
+        });
+      }
+      throw new ProviderError('Gemini API did not return any candidates', {
+        code: PROVIDER_ERROR_CODES.NO_IMAGE,
+        provider: this.name
+      });
+    }
+
+    // Handle safety filter rejections
+    if (SAFETY_FINISH_REASONS.includes(candidate.finishReason)) {
+      const errorMessage = candidate.finishMessage || 'Image generation blocked by content safety filters';
+      throw new ProviderError(`Gemini API safety filter: ${errorMessage}`, {
+        code: PROVIDER_ERROR_CODES.SAFETY_BLOCKED,
+        provider: this.name,
+        details: { finishReason: candidate.finishReason }
+      });
+    }
+
+    const parts = candidate.content?.parts || [];
+
+    // The REST API answers in camelCase, but accept snake_case as well
+    const imagePart = parts.find(part => part.inlineData || part.inline_data);
+    const textPart = parts.find(part => part.text);
+
+    if (!imagePart) {
+      logger.error('No image data found in response parts', {
+        finishReason: candidate.finishReason,
+        parts: parts.map((part, index) => ({
+          index,
+          type: part.text ? 'text' : 'unknown',
+          textPreview: part.text ? part.text.substring(0, 100) : undefined
+        }))
+      });
+      throw new ProviderError('Gemini API did not return a valid image response - no inlineData found in parts', {
+        code: PROVIDER_ERROR_CODES.NO_IMAGE,
+        provider: this.name,
+        details: { finishReason: candidate.finishReason }
+      });
+    }
+
+    const inlineData = imagePart.inlineData || imagePart.inline_data;
+
+    return {
+      buffer: Buffer.from(inlineData.data, 'base64'),
+      mimeType: inlineData.mimeType || inlineData.mime_type || 'image/png',
+      provider: this.name,
+      model: this.model,
+      text: textPart ? textPart.text : null
+    };
+  }
+
+  /**
+   * Convert an axios error into a ProviderError
+   * @param {Error} error - Axios error
+   * @returns {ProviderError}
+   */
+  normalizeRequestError(error) {
+    if (axios.isCancel(error)) {
+      return new ProviderError('Gemini API request cancelled', {
+        code: PROVIDER_ERROR_CODES.CANCELLED,
+        provider: this.name
+      });
+    }
+
+    if (error.response) {
+      // API returned error response
+      logger.error('Gemini API error response', {
+        status: error.response.status,
+        statusText: error.response.statusText,
+        data: error.response.data
+      });
+      return new ProviderError(
+        `Gemini API error: ${error.response.status} - ${error.response.data?.error?.message || error.response.statusText || 'Unknown error'}`,
+        {
+          code: PROVIDER_ERROR_CODES.API_ERROR,
+          provider: this.name,
+          status: error.response.status,
+          details: { retryAfter: error.response.headers?.['retry-after'] || null }
+        }
+      );
+    }
+
+    if (error.request) {
+      // Network error
+      logger.error('Gemini API network error', {
+        message: error.message,
+        code: error.code
+      });
+      return new ProviderError('Gemini API network error: No response received', {
+        code: PROVIDER_ERROR_CODES.NETWORK_ERROR,
+        provider: this.name,
+        details: { code: error.code }
+      });
+    }
+
+    logger.error('Gemini API general error', {
+      message: error.message,
+      stack: error.stack
+    });
+    return new ProviderError(`Gemini API error: ${error.message}`, {
+      code: PROVIDER_ERROR_CODES.API_ERROR,
+      provider: this.name
+    });
+  }
+}
+
+/**
+ * Build an inlineData request part from an image buffer
+ */
+function toInlineDataPart({ buffer, mimeType }) {
+  return {
+    inlineData: {
+      mimeType: mimeType || 'image/png',
+      data: buffer.toString('base64')
+    }
+  };
+}
+
+export default GeminiProvider;
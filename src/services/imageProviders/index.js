@@ -0,0 +1,69 @@
+import { createLogger } from '../../utils/logger.js';
+import GeminiProvider from './geminiProvider.js';
+import MockProvider from './mockProvider.js';
+import { ProviderError, PROVIDER_ERROR_CODES } from './providerError.js';
+
+const logger = createLogger('image-providers');
+
+/**
+ * Image provider registry
+ *
+ * Every provider implements the same interface:
+ *   - isConfigured(): boolean
+ *   - generateFromImages({ images, prompt, seed, signal })
+ *   - textToImage({ prompt, seed, signal })
+ *   - editImage({ image, instruction, seed, signal })
+ *   - inpaintImage({ image, mask, instruction, seed, signal })
+ * and resolves to { buffer, mimeType, provider, model, text }.
+ * An aborted `signal` rejects with a ProviderError coded CANCELLED.
+ */
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  mock: MockProvider
+};
+
+// Provider instances, created lazily
+const instances = new Map();
+
+/**
+ * Get the name of the provider selected by configuration
+ * @returns {string}
+ */
+export function getDefaultProviderName() {
+  return (process.env.IMAGE_PROVIDER || 'gemini').toLowerCase();
+}
+
+/**
+ * Get a provider instance by name
+ * @param {string} [name] - Provider name, defaults to IMAGE_PROVIDER
+ * @returns {GeminiProvider|MockProvider}
+ */
+export function getImageProvider(name = getDefaultProviderName()) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unsupported image provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new Provider());
+    logger.info('Image provider initialized', { provider: name });
+  }
+
+  return instances.get(name);
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]}
+ */
+export function listImageProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+export { ProviderError, PROVIDER_ERROR_CODES };
+
+export default {
+  getImageProvider,
+  getDefaultProviderName,
+  listImageProviders
+};
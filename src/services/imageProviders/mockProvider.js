@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { createLogger } from '../../utils/logger.js';
+import { ProviderError, PROVIDER_ERROR_CODES } from './providerError.js';
+
+const logger = createLogger('mock-provider');
+
+const MOCK_OUTPUT_SIZE = 1024;
+
+/**
+ * Deterministic local image provider
+ *
+ * Produces images without any network access. The same inputs always yield
+ * the same bytes, which makes it suitable for local development and tests.
+ */
+class MockProvider {
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.model = 'mock-image-v1';
+    this.delayMs = config.delayMs ?? (parseInt(process.env.MOCK_PROVIDER_DELAY_MS) || 0);
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Tint the first input image with a colour derived from all inputs
+   */
+  async generateFromImages({ images, prompt, seed, signal }) {
+    const digest = digestInputs('generate', prompt, images, seed);
+    return this.render(digest, images[0], signal);
+  }
+
+  /**
+   * Render a solid image whose colour is derived from the prompt
+   */
+  async textToImage({ prompt, seed, signal }) {
+    const digest = digestInputs('text-to-image', prompt, [], seed);
+    return this.render(digest, null, signal);
+  }
+
+  /**
+   * Tint the source image with a colour derived from the instruction
+   */
+  async editImage({ image, instruction, seed, signal }) {
+    const digest = digestInputs('edit', instruction, [image], seed);
+    return this.render(digest, image, signal);
+  }
+
+  /**
+   * Tint the source image with a colour derived from the instruction and mask
+   */
+  async inpaintImage({ image, mask, instruction, seed, signal }) {
+    const digest = digestInputs('inpaint', instruction, [image, mask], seed);
+    return this.render(digest, image, signal);
+  }
+
+  /**
+   * Produce the output PNG
+   * @param {Buffer} digest - Hash of the request
+   * @param {{buffer: Buffer}|null} base - Optional image to tint
+   * @param {AbortSignal} [signal] - Aborts the simulated delay
+   */
+  async render(digest, base, signal) {
+    if (this.delayMs > 0) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, this.delayMs);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(this.cancelledError());
+        }, { once: true });
+      });
+    }
+
+    if (signal?.aborted) {
+      throw this.cancelledError();
+    }
+
+    const color = { r: digest[0], g: digest[1], b: digest[2] };
+
+    const pipeline = base
+      ? sharp(base.buffer).resize(MOCK_OUTPUT_SIZE, MOCK_OUTPUT_SIZE, { fit: 'cover' }).tint(color)
+      : sharp({
+        create: {
+          width: MOCK_OUTPUT_SIZE,
+          height: MOCK_OUTPUT_SIZE,
+          channels: 3,
+          background: color
+        }
+      });
+
+    const buffer = await pipeline.png().toBuffer();
+
+    logger.debug('Mock image rendered', {
+      digest: digest.toString('hex').substring(0, 12),
+      sizeBytes: buffer.length
+    });
+
+    return {
+      buffer,
+      mimeType: 'image/png',
+      provider: this.name,
+      model: this.model,
+      text: null
+    };
+  }
+
+  /**
+   * Error for an aborted request, matching real providers
+   */
+  cancelledError() {
+    return new ProviderError('Mock provider request cancelled', {
+      code: PROVIDER_ERROR_CODES.CANCELLED,
+      provider: this.name
+    });
+  }
+}
+
+/**
+ * Hash the operation, prompt, seed and input images into a stable digest
+ */
+function digestInputs(operation, prompt, images, seed) {
+  const hash = crypto.createHash('sha256');
+  hash.update(operation);
+  hash.update(prompt || '');
+  hash.update(String(seed ?? ''));
+  images.forEach(image => hash.update(image.buffer));
+  return hash.digest();
+}
+
+export default MockProvider;
@@ -0,0 +1,36 @@
+/**
+ * Error raised by image providers.
+ *
+ * Every adapter normalises its failures into this class so callers can
+ * branch on `code` instead of parsing provider-specific messages.
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options
+   * @param {string} options.code - Stable error code (see PROVIDER_ERROR_CODES)
+   * @param {string} options.provider - Provider name
+   * @param {number} [options.status] - Upstream HTTP status, if any
+   * @param {Object} [options.details] - Extra diagnostic information
+   */
+  constructor(message, { code, provider, status = null, details = {} } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.details = details;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+export const PROVIDER_ERROR_CODES = {
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  SAFETY_BLOCKED: 'SAFETY_BLOCKED',
+  NO_IMAGE: 'NO_IMAGE',
+  API_ERROR: 'API_ERROR',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  CANCELLED: 'CANCELLED'
+};
+
+export default ProviderError;
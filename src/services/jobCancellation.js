@@ -0,0 +1,156 @@
+import JobRecord from '../models/JobRecord.js';
+import ImageAsset from '../models/ImageAsset.js';
+import { getPubClient, getSubClient } from '../config/redis.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('job-cancellation');
+
+// Redis channel the API publishes cancelled job IDs on; workers abort matching in-flight jobs
+export const CANCEL_CHANNEL = 'generation:cancel';
+
+/**
+ * Thrown inside the worker when the job it is processing has been cancelled
+ */
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+  }
+}
+
+// AbortControllers of jobs this worker process is running, by job ID
+const controllers = new Map();
+let subscribed = false;
+
+/**
+ * Subscribe this process to cancellation messages, once
+ */
+function ensureSubscribed() {
+  if (subscribed) {
+    return;
+  }
+
+  let subClient;
+  try {
+    subClient = getSubClient();
+  } catch (error) {
+    logger.warn('Redis unavailable, in-flight jobs are only cancelled between stages', {
+      error: error.message
+    });
+    return;
+  }
+
+  subscribed = true;
+  subClient.subscribe(CANCEL_CHANNEL).catch(error => {
+    subscribed = false;
+    logger.error('Failed to subscribe to job cancellations', { error: error.message });
+  });
+
+  subClient.on('message', (channel, jobId) => {
+    if (channel !== CANCEL_CHANNEL) {
+      return;
+    }
+
+    const controller = controllers.get(jobId);
+    if (controller) {
+      logger.info('Aborting cancelled job', { jobId });
+      controller.abort();
+    }
+  });
+}
+
+/**
+ * Register a job the worker is about to process
+ * @param {string} jobId - JobRecord ID
+ * @returns {AbortSignal} Aborted when the job is cancelled
+ */
+export function trackCancellation(jobId) {
+  ensureSubscribed();
+
+  const controller = new AbortController();
+  controllers.set(String(jobId), controller);
+  return controller.signal;
+}
+
+/**
+ * Forget a job once the worker is done with it
+ * @param {string} jobId - JobRecord ID
+ */
+export function untrackCancellation(jobId) {
+  controllers.delete(String(jobId));
+}
+
+/**
+ * Tell workers on every instance to abort a job
+ * Best-effort: workers also check the job record between stages.
+ * @param {string} jobId - JobRecord ID
+ */
+export async function requestCancellation(jobId) {
+  try {
+    await getPubClient().publish(CANCEL_CHANNEL, String(jobId));
+  } catch (error) {
+    logger.warn('Cancellation not broadcast', {
+      jobId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Stop processing if the job has been cancelled
+ * @param {string} jobId - JobRecord ID
+ * @param {AbortSignal} [signal] - Signal from trackCancellation
+ * @throws {JobCancelledError}
+ */
+export async function throwIfCancelled(jobId, signal) {
+  if (signal?.aborted || await JobRecord.exists({ _id: jobId, status: 'cancelled' })) {
+    throw new JobCancelledError(jobId);
+  }
+}
+
+/**
+ * Discard the outputs, and their renditions, a cancelled job had already written
+ * @param {string} jobId - JobRecord ID
+ * @param {string} userId - Owner of the job
+ * @returns {Promise<number>} Number of outputs discarded
+ */
+export async function discardJobOutputs(jobId, userId) {
+  const outputs = await ImageAsset.find({
+    userId,
+    type: 'output',
+    'metadata.jobId': String(jobId),
+    isDeleted: false
+  }).select('_id');
+
+  if (outputs.length === 0) {
+    return 0;
+  }
+
+  const outputIds = outputs.map(output => output._id);
+  const deletedAt = new Date();
+
+  await ImageAsset.updateMany(
+    {
+      $or: [
+        { _id: { $in: outputIds } },
+        { originalImageId: { $in: outputIds }, type: 'thumbnail' }
+      ]
+    },
+    { $set: { isDeleted: true, deletedAt } }
+  );
+
+  logger.info('Discarded outputs of cancelled job', { jobId, discarded: outputIds.length });
+
+  return outputIds.length;
+}
+
+export default {
+  CANCEL_CHANNEL,
+  JobCancelledError,
+  trackCancellation,
+  untrackCancellation,
+  requestCancellation,
+  throwIfCancelled,
+  discardJobOutputs
+};
@@ -0,0 +1,168 @@
+import axios from 'axios';
+import { ProviderError, PROVIDER_ERROR_CODES } from './imageProviders/providerError.js';
+
+// Stable error codes stored on failed jobs and returned to clients
+export const JOB_ERROR_CODES = {
+  PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE',
+  PROVIDER_TIMEOUT: 'PROVIDER_TIMEOUT',
+  PROVIDER_RATE_LIMITED: 'PROVIDER_RATE_LIMITED',
+  PROVIDER_NO_IMAGE: 'PROVIDER_NO_IMAGE',
+  PROVIDER_NOT_CONFIGURED: 'PROVIDER_NOT_CONFIGURED',
+  SAFETY_BLOCKED: 'SAFETY_BLOCKED',
+  INVALID_INPUT: 'INVALID_INPUT',
+  INPUT_NOT_FOUND: 'INPUT_NOT_FOUND',
+  STORAGE_ERROR: 'STORAGE_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Failures that may succeed on another attempt; everything else fails fast
+const RETRYABLE_CODES = new Set([
+  JOB_ERROR_CODES.PROVIDER_UNAVAILABLE,
+  JOB_ERROR_CODES.PROVIDER_TIMEOUT,
+  JOB_ERROR_CODES.PROVIDER_RATE_LIMITED,
+  JOB_ERROR_CODES.PROVIDER_NO_IMAGE,
+  JOB_ERROR_CODES.STORAGE_ERROR,
+  JOB_ERROR_CODES.INTERNAL_ERROR
+]);
+
+// Backoff type of the generate queue; workers resolve it with retryDelay
+export const RETRY_BACKOFF_TYPE = 'smart';
+
+const DEFAULT_RETRY_DELAY_MS = 30000;
+
+/**
+ * Error raised by the worker for failures it has already classified
+ */
+export class JobError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options
+   * @param {string} options.code - One of JOB_ERROR_CODES
+   * @param {number} [options.retryAfterMs] - Minimum delay before the next attempt
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { code, retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'JobError';
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Classify a worker failure
+ * @param {Error} error - Error thrown while processing a job
+ * @returns {{code: string, retryable: boolean, retryAfterMs: number|null}}
+ */
+export function classifyJobError(error) {
+  const { code, retryAfterMs = null } = error instanceof JobError
+    ? error
+    : error instanceof ProviderError
+      ? classifyProviderError(error)
+      : { code: JOB_ERROR_CODES.INTERNAL_ERROR };
+
+  return {
+    code,
+    retryable: RETRYABLE_CODES.has(code),
+    retryAfterMs
+  };
+}
+
+/**
+ * Map a normalised provider error onto a job error code
+ */
+function classifyProviderError(error) {
+  switch (error.code) {
+    case PROVIDER_ERROR_CODES.SAFETY_BLOCKED:
+      return { code: JOB_ERROR_CODES.SAFETY_BLOCKED };
+    case PROVIDER_ERROR_CODES.NOT_CONFIGURED:
+      return { code: JOB_ERROR_CODES.PROVIDER_NOT_CONFIGURED };
+    case PROVIDER_ERROR_CODES.NO_IMAGE:
+      return { code: JOB_ERROR_CODES.PROVIDER_NO_IMAGE };
+    case PROVIDER_ERROR_CODES.NETWORK_ERROR:
+      return { code: JOB_ERROR_CODES.PROVIDER_TIMEOUT };
+  }
+
+  if (error.status === 429) {
+    return {
+      code: JOB_ERROR_CODES.PROVIDER_RATE_LIMITED,
+      retryAfterMs: parseRetryAfter(error.details?.retryAfter)
+    };
+  }
+
+  if (error.status === 408) {
+    return { code: JOB_ERROR_CODES.PROVIDER_TIMEOUT };
+  }
+
+  // The provider rejected the request itself, so repeating it cannot help
+  if (error.status >= 400 && error.status < 500) {
+    return { code: JOB_ERROR_CODES.INVALID_INPUT };
+  }
+
+  return { code: JOB_ERROR_CODES.PROVIDER_UNAVAILABLE };
+}
+
+/**
+ * Convert a Retry-After header (delay in seconds or an HTTP date) to milliseconds
+ * @param {string|number|null} value - Header value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.round(seconds * 1000));
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wrap a storage failure in a classified JobError
+ * A missing object means the input asset is gone; anything else is treated as transient.
+ * Cancellations are passed through untouched.
+ * @param {Error} error - Error from the storage layer
+ * @param {string} message - What the worker was doing
+ * @returns {Error}
+ */
+export function toStorageError(error, message) {
+  if (error instanceof JobError || axios.isCancel(error)) {
+    return error;
+  }
+
+  const code = error.response?.status === 404 || error.http_code === 404
+    ? JOB_ERROR_CODES.INPUT_NOT_FOUND
+    : JOB_ERROR_CODES.STORAGE_ERROR;
+
+  return new JobError(`${message}: ${error.message}`, { code, cause: error });
+}
+
+/**
+ * BullMQ backoff strategy for the generate queue
+ * Honours the provider's Retry-After hint, otherwise backs off exponentially.
+ * @param {number} attemptsMade - Attempts made so far
+ * @param {string} type - Backoff type
+ * @param {Error} error - Error the last attempt failed with
+ * @param {Object} job - BullMQ job
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(attemptsMade, type, error, job) {
+  const baseDelay = job?.opts?.backoff?.delay || DEFAULT_RETRY_DELAY_MS;
+  const exponential = Math.round(Math.pow(2, attemptsMade - 1) * baseDelay);
+
+  return error?.retryAfterMs ?? exponential;
+}
+
+export default {
+  JOB_ERROR_CODES,
+  RETRY_BACKOFF_TYPE,
+  JobError,
+  classifyJobError,
+  parseRetryAfter,
+  toStorageError,
+  retryDelay
+};
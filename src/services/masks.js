@@ -0,0 +1,153 @@
+import sharp from 'sharp';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('masks');
+
+/**
+ * Masks for region editing (inpainting)
+ *
+ * A mask is a greyscale PNG the size of the source image: white marks the
+ * region to change, black the pixels to keep. Masks come either from an
+ * uploaded PNG or from polygons rasterised here.
+ */
+
+// Limits on polygon masks
+export const MAX_MASK_POLYGONS = 20;
+export const MAX_POLYGON_POINTS = 200;
+
+// Size polygons are rasterised at when the source size is unknown
+const DEFAULT_MASK_SIZE = 1024;
+
+// Softens the mask edge so the edited region blends into the source
+const MASK_FEATHER_SIGMA = 2;
+
+/**
+ * Normalise polygon input to a list of [x, y] rings
+ * Points are fractions of the image size (0-1) given as [x, y] or { x, y }.
+ * @param {Array} polygons - Polygons from the request
+ * @returns {Array<Array<[number, number]>>|null} Null when the polygons are invalid
+ */
+export function parsePolygons(polygons) {
+  if (!Array.isArray(polygons) || polygons.length === 0 || polygons.length > MAX_MASK_POLYGONS) {
+    return null;
+  }
+
+  const rings = [];
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length < 3 || polygon.length > MAX_POLYGON_POINTS) {
+      return null;
+    }
+
+    const ring = polygon.map(point => (Array.isArray(point) ? point : [point?.x, point?.y]).map(Number));
+    if (ring.some(([x, y]) => !(x >= 0 && x <= 1 && y >= 0 && y <= 1))) {
+      return null;
+    }
+    rings.push(ring);
+  }
+
+  return rings;
+}
+
+/**
+ * Rasterise polygons into a mask PNG
+ * Points are fractions of the image, so a mask drawn at the default size still lines up once it is scaled to the source.
+ * @param {Array<Array<[number, number]>>} polygons - Result of parsePolygons()
+ * @param {number|null} [width] - Source image width, if known
+ * @param {number|null} [height] - Source image height, if known
+ * @returns {Promise<Buffer>}
+ */
+export async function rasterizePolygons(polygons, width, height) {
+  // Uploads recorded without dimensions store null for both
+  if (!width || !height) {
+    width = DEFAULT_MASK_SIZE;
+    height = DEFAULT_MASK_SIZE;
+  }
+
+  const shapes = polygons
+    .map(ring => ring.map(([x, y]) => `${(x * width).toFixed(1)},${(y * height).toFixed(1)}`).join(' '))
+    .map(points => `<polygon points="${points}" fill="#fff"/>`)
+    .join('');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="#000"/>${shapes}</svg>`;
+
+  return sharp(Buffer.from(svg)).greyscale().png().toBuffer();
+}
+
+/**
+ * Convert an uploaded mask to a greyscale PNG
+ * Transparent pixels count as unmasked, so masks drawn on a transparent layer work too.
+ * @param {Buffer} buffer - Uploaded mask
+ * @returns {Promise<Buffer|null>} Null when the upload is not a usable PNG or masks nothing
+ */
+export async function normalizeMask(buffer) {
+  try {
+    const { format, hasAlpha } = await sharp(buffer).metadata();
+    if (format !== 'png') {
+      return null;
+    }
+
+    const pipeline = hasAlpha
+      ? sharp(buffer).flatten({ background: '#000' })
+      : sharp(buffer);
+    const mask = await pipeline.greyscale().png().toBuffer();
+
+    const { channels } = await sharp(mask).stats();
+    if (channels[0].max === 0) {
+      return null;
+    }
+
+    return mask;
+  } catch (error) {
+    logger.debug('Rejected mask upload', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Paste the masked region of an edited image onto its source
+ * The edit and mask are scaled to the source size; everything outside the mask keeps the source pixels.
+ * @param {Buffer} source - Source image
+ * @param {Buffer} edited - Provider output
+ * @param {Buffer} mask - Greyscale mask PNG
+ * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+ */
+export async function compositeMaskedEdit(source, edited, mask) {
+  const { width, height } = await sharp(source).metadata();
+
+  const alpha = await sharp(mask)
+    .resize(width, height, { fit: 'fill' })
+    .blur(MASK_FEATHER_SIGMA)
+    .greyscale()
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+
+  // sharp strips alpha after joining channels within one pipeline, so the edit is flattened to RGB first
+  const colour = await sharp(edited)
+    .resize(width, height, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+
+  const region = await sharp(colour, { raw: { width, height, channels: 3 } })
+    .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  const buffer = await sharp(source)
+    .composite([{ input: region }])
+    .png()
+    .toBuffer();
+
+  return { buffer, mimeType: 'image/png' };
+}
+
+export default {
+  MAX_MASK_POLYGONS,
+  MAX_POLYGON_POINTS,
+  parsePolygons,
+  rasterizePolygons,
+  normalizeMask,
+  compositeMaskedEdit
+};
@@ -0,0 +1,159 @@
+import sharp from 'sharp';
+
+/**
+ * Dominant-colour palettes from photos
+ *
+ * The photo is downsampled and its pixels clustered with k-means in RGB
+ * space; each cluster centre becomes a palette colour, weighted by the share
+ * of pixels assigned to it.
+ */
+
+export const MIN_PALETTE_COLORS = 2;
+export const MAX_PALETTE_COLORS = 10;
+export const DEFAULT_PALETTE_COLORS = 5;
+
+// Long edge the photo is sampled at; plenty for dominant colours and keeps k-means fast
+const SAMPLE_SIZE = 128;
+
+const MAX_ITERATIONS = 20;
+
+// Stop once no centre moves further than this (in RGB units)
+const CONVERGENCE_THRESHOLD = 1;
+
+/**
+ * Extract the dominant colours of an image
+ * @param {Buffer} buffer - Image
+ * @param {number} [colors] - Palette size
+ * @returns {Promise<Array<{hex: string, coverage: number}>>} Colours by coverage (percent of the image), largest first
+ */
+export async function extractPalette(buffer, colors = DEFAULT_PALETTE_COLORS) {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixelCount = info.width * info.height;
+  const pixels = new Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    pixels[i] = [data[i * info.channels], data[i * info.channels + 1], data[i * info.channels + 2]];
+  }
+
+  const { centres, counts } = kMeans(pixels, Math.min(colors, pixelCount));
+
+  return centres
+    .map((centre, index) => ({
+      hex: toHex(centre),
+      coverage: Math.round((counts[index] / pixelCount) * 1000) / 10
+    }))
+    .filter(colour => colour.coverage > 0)
+    .sort((a, b) => b.coverage - a.coverage);
+}
+
+/**
+ * Cluster pixels into k colours
+ * Centres are seeded k-means++ style from a fixed-seed generator, so the same photo always gives the same palette.
+ */
+function kMeans(pixels, k) {
+  const random = seededRandom(pixels.length);
+  const centres = [pixels[Math.floor(random() * pixels.length)].slice()];
+
+  // Later centres are picked with probability proportional to their distance from the nearest centre
+  const nearestDistances = pixels.map(pixel => distance(pixel, centres[0]));
+  while (centres.length < k) {
+    const total = nearestDistances.reduce((sum, value) => sum + value, 0);
+    if (total === 0) break; // fewer distinct colours than requested
+
+    let target = random() * total;
+    let chosen = 0;
+    while (target >= nearestDistances[chosen] && chosen < pixels.length - 1) {
+      target -= nearestDistances[chosen];
+      chosen++;
+    }
+
+    const centre = pixels[chosen].slice();
+    centres.push(centre);
+    pixels.forEach((pixel, index) => {
+      nearestDistances[index] = Math.min(nearestDistances[index], distance(pixel, centre));
+    });
+  }
+
+  const assignments = new Array(pixels.length).fill(0);
+  let counts = new Array(centres.length).fill(0);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const sums = centres.map(() => [0, 0, 0]);
+    counts = new Array(centres.length).fill(0);
+
+    pixels.forEach((pixel, index) => {
+      const nearest = nearestCentre(centres, pixel);
+      assignments[index] = nearest;
+      counts[nearest] += 1;
+      sums[nearest][0] += pixel[0];
+      sums[nearest][1] += pixel[1];
+      sums[nearest][2] += pixel[2];
+    });
+
+    let moved = 0;
+    centres.forEach((centre, index) => {
+      // An empty cluster keeps its centre
+      if (!counts[index]) return;
+
+      const next = sums[index].map(sum => sum / counts[index]);
+      moved = Math.max(moved, Math.sqrt(distance(centre, next)));
+      centres[index] = next;
+    });
+
+    if (moved < CONVERGENCE_THRESHOLD) break;
+  }
+
+  return { centres, counts };
+}
+
+function nearestCentre(centres, pixel) {
+  let best = 0;
+  let bestDistance = Infinity;
+
+  centres.forEach((centre, index) => {
+    const current = distance(centre, pixel);
+    if (current < bestDistance) {
+      best = index;
+      bestDistance = current;
+    }
+  });
+
+  return best;
+}
+
+// Squared Euclidean distance in RGB
+function distance(a, b) {
+  const dr = a[0] - b[0];
+  const dg = a[1] - b[1];
+  const db = a[2] - b[2];
+  return dr * dr + dg * dg + db * db;
+}
+
+// Mulberry32
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function toHex(centre) {
+  return `#${centre.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+export default {
+  MIN_PALETTE_COLORS,
+  MAX_PALETTE_COLORS,
+  DEFAULT_PALETTE_COLORS,
+  extractPalette
+};
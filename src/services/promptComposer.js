@@ -0,0 +1,171 @@
+/**
+ * Prompt composition for outfit generation and quilt designs
+ *
+ * Turns a job's options and the user's preferences into explicit
+ * instructions and renders them into the tool's prompt template.
+ */
+
+import { BUILTIN_TEMPLATES, renderTemplate } from './promptTemplates.js';
+
+export const DEFAULT_GENERATION_PROMPT = 'Create a creative fashion composition. Combine elements from both images to create a new artistic fashion concept. Focus on the clothing and style elements rather than realistic human depictions.';
+
+const BACKGROUND_INSTRUCTIONS = {
+  transparent: 'Place the person on a plain, uniform, evenly lit background with no shadows or props so it can be removed cleanly.',
+  original: 'Keep the background of the first image exactly as it is.',
+  white: 'Place the person on a plain pure white (#FFFFFF) studio background.',
+  black: 'Place the person on a plain pure black (#000000) studio background.'
+};
+
+const STYLE_DESCRIPTIONS = {
+  casual: 'relaxed everyday casual wear',
+  formal: 'elegant formal wear',
+  street: 'urban streetwear',
+  business: 'polished business attire',
+  athletic: 'sporty athletic wear'
+};
+
+/**
+ * Get the base prompt every generation starts from
+ * @returns {string}
+ */
+export function getBaseGenerationPrompt() {
+  return process.env.GENERATION_PROMPT || DEFAULT_GENERATION_PROMPT;
+}
+
+const SLOT_DESCRIPTIONS = {
+  top: 'a top, worn on the upper body',
+  bottom: 'a bottom, worn on the lower body',
+  shoes: 'footwear, worn on the feet',
+  outerwear: 'outerwear, layered over the other upper-body garments',
+  accessory: 'an accessory, worn without hiding the other garments'
+};
+
+/**
+ * Describe how strongly the outfit should replace the current clothing
+ * @param {number} strength - Value between 0 and 1
+ * @param {number} garmentCount - Number of outfit images after the first image
+ * @returns {string}
+ */
+function strengthInstruction(strength, garmentCount = 1) {
+  if (garmentCount > 1) {
+    const garments = `the garments from images 2 to ${garmentCount + 1}`;
+    if (strength >= 0.8) {
+      return `Replace the clothing in the first image completely with ${garments}, reproducing their cut, colour, fabric and details faithfully.`;
+    }
+    if (strength >= 0.5) {
+      return `Dress the person in ${garments}, keeping their main colours and silhouettes while letting them adapt naturally to the person's pose and body.`;
+    }
+    return `Apply ${garments} only subtly, borrowing their colours and key details while keeping much of the original clothing.`;
+  }
+
+  if (strength >= 0.8) {
+    return 'Replace the clothing in the first image completely with the outfit from the second image, reproducing its cut, colour, fabric and details faithfully.';
+  }
+  if (strength >= 0.5) {
+    return 'Dress the person in the outfit from the second image, keeping its main colours and silhouette while letting it adapt naturally to their pose and body.';
+  }
+  return 'Apply the outfit from the second image only subtly, borrowing its colours and key details while keeping much of the original clothing.';
+}
+
+/**
+ * Describe which garment each outfit image holds
+ * @param {Array<{slot: string}>} layers - Outfit layers in order
+ * @returns {string[]}
+ */
+function layerInstructions(layers) {
+  const instructions = layers
+    .map((layer, index) => {
+      if (SLOT_DESCRIPTIONS[layer.slot]) {
+        return `Image ${index + 2} is ${SLOT_DESCRIPTIONS[layer.slot]}.`;
+      }
+      return layers.length > 1 ? `Image ${index + 2} is a garment to add to the outfit.` : null;
+    })
+    .filter(Boolean);
+
+  if (layers.length > 1) {
+    instructions.push('Put the garments on in the order given, with later garments layered over earlier ones.');
+  }
+
+  return instructions;
+}
+
+/**
+ * Compose the final generation prompt for a job
+ * @param {Object} params
+ * @param {Object} [params.template] - Resolved prompt template, defaults to the built-in one
+ * @param {string} [params.basePrompt] - Base prompt, defaults to getBaseGenerationPrompt()
+ * @param {Object} [params.options] - JobRecord.options
+ * @param {Object} [params.preferences] - User.preferences
+ * @param {Array<{slot: string}>} [params.layers] - JobRecord.outfitLayers, in order
+ * @returns {{prompt: string, instructions: string[]}}
+ */
+export function composeGenerationPrompt({ template, basePrompt, options = {}, preferences = {}, layers = [] } = {}) {
+  const instructions = [];
+
+  instructions.push(strengthInstruction(typeof options.strength === 'number' ? options.strength : 0.9, Math.max(layers.length, 1)));
+  instructions.push(...layerInstructions(layers));
+
+  if (options.preserveFace !== false) {
+    instructions.push('Preserve the person\'s face, identity, skin tone, hairstyle, body shape and pose exactly as they appear in the first image.');
+  } else {
+    instructions.push('The face and hairstyle may be adjusted to suit the outfit, but keep the same body shape and pose.');
+  }
+
+  const background = options.background || 'transparent';
+  if (BACKGROUND_INSTRUCTIONS[background]) {
+    instructions.push(BACKGROUND_INSTRUCTIONS[background]);
+  }
+
+  // An explicit style on the job wins over the user's default style
+  const style = options.style || STYLE_DESCRIPTIONS[preferences.defaultOutfitStyle];
+  if (options.style) {
+    instructions.push(`Style the final look as: ${options.style}.`);
+  } else if (style) {
+    instructions.push(`Style the final look as ${style}.`);
+  }
+
+  const body = template?.body || BUILTIN_TEMPLATES.generation;
+  const instructionList = instructions.map(instruction => `- ${instruction}`).join('\n');
+
+  let prompt = renderTemplate(body, {
+    basePrompt: basePrompt || getBaseGenerationPrompt(),
+    instructions: instructionList,
+    background,
+    style
+  });
+
+  // Templates that leave out {{instructions}} still get the option instructions
+  if (!/\{\{\s*instructions\s*\}\}/.test(body)) {
+    prompt = `${prompt}\n\nInstructions:\n${instructionList}`;
+  }
+
+  return { prompt: prompt.trim(), instructions };
+}
+
+/**
+ * Compose the prompt for a quilt design
+ * @param {Object} params
+ * @param {Object} [params.template] - Resolved prompt template, defaults to the built-in one
+ * @param {string} params.prompt - User's design description
+ * @param {Object} params.options - Validated quilt options
+ * @returns {string}
+ */
+export function composeQuiltPrompt({ template, prompt, options }) {
+  return renderTemplate(template?.body || BUILTIN_TEMPLATES['quilt-design'], {
+    description: prompt,
+    style: options.style,
+    colors: options.colorPalette.join(', '),
+    complexity: options.complexity,
+    size: options.size,
+    rows: options.rows,
+    columns: options.columns,
+    symmetry: options.symmetry
+  });
+}
+
+export default {
+  DEFAULT_GENERATION_PROMPT,
+  getBaseGenerationPrompt,
+  composeGenerationPrompt,
+  composeQuiltPrompt
+};
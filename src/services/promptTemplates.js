@@ -0,0 +1,107 @@
+/**
+ * Prompt template resolution and rendering
+ *
+ * Templates are stored per tool in the PromptTemplate collection. When a tool
+ * has no active template the built-in body below is used, reported as
+ * version 0 so job records can still tell which prompt produced them.
+ */
+
+import PromptTemplate, { extractVariables } from '../models/PromptTemplate.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('prompt-templates');
+
+export const PROMPT_TEMPLATE_TOOLS = ['generation', 'quilt-design'];
+
+export const BUILTIN_TEMPLATES = {
+  generation: '{{basePrompt}}\n\nInstructions:\n{{instructions}}',
+  'quilt-design': `Create a quilt design with the following specifications:
+    Style: {{style}}
+    Colors: {{colors}}
+    Complexity level: {{complexity}}/5
+    Size: {{size}}
+    Grid: {{rows}} rows x {{columns}} columns
+    Symmetry: {{symmetry}}
+
+    Design description: {{description}}
+
+    Generate a visually appealing quilt pattern with geometric shapes, proper symmetry, and the specified color palette.`
+};
+
+/**
+ * Substitute {{placeholders}} in a template body
+ * Unknown placeholders render as an empty string.
+ * @param {string} body - Template body
+ * @param {Object} variables - Values keyed by placeholder name
+ * @returns {string}
+ */
+export function renderTemplate(body, variables = {}) {
+  return body.replace(/\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Get the built-in template for a tool
+ * @param {string} tool - Tool name
+ * @returns {{templateId: null, name: string, version: number, body: string, source: string}}
+ */
+export function getBuiltinTemplate(tool) {
+  return {
+    templateId: null,
+    name: 'builtin',
+    version: 0,
+    body: BUILTIN_TEMPLATES[tool],
+    source: 'builtin'
+  };
+}
+
+/**
+ * Resolve the template a tool should use right now
+ * @param {string} tool - Tool name
+ * @param {string} [name] - Template name
+ * @returns {Promise<{templateId: *, name: string, version: number, body: string, source: string}>}
+ */
+export async function resolvePromptTemplate(tool, name = 'default') {
+  try {
+    const active = await PromptTemplate.resolveActive(tool, name);
+    if (active) {
+      return { ...active, source: 'database' };
+    }
+  } catch (error) {
+    // A template lookup failure should not block generation
+    logger.error('Failed to resolve prompt template, using built-in', {
+      tool,
+      name,
+      error: error.message
+    });
+  }
+
+  return getBuiltinTemplate(tool);
+}
+
+/**
+ * Reference to a resolved template, as stored on job records and assets
+ * @param {Object} template - Result of resolvePromptTemplate()
+ * @returns {{templateId: *, name: string, version: number}}
+ */
+export function templateReference(template) {
+  return {
+    templateId: template.templateId,
+    name: template.name,
+    version: template.version
+  };
+}
+
+export { extractVariables };
+
+export default {
+  PROMPT_TEMPLATE_TOOLS,
+  BUILTIN_TEMPLATES,
+  renderTemplate,
+  getBuiltinTemplate,
+  resolvePromptTemplate,
+  templateReference,
+  extractVariables
+};
@@ -0,0 +1,235 @@
+import ImageAsset from '../models/ImageAsset.js';
+import JobRecord from '../models/JobRecord.js';
+import { generateDownloadUrl } from '../config/storage.js';
+import { RESOLUTION_TIERS } from '../config/plans.js';
+
+/**
+ * Provenance of generated outputs
+ *
+ * Every output records the assets it was made from, the job and provider call
+ * that made it, and the post-processing applied afterwards. Inputs that are
+ * themselves outputs (refine sources, re-render originals) carry their own
+ * provenance, so following the inputs yields the full derivation graph.
+ */
+
+// Graphs larger than this are cut off rather than walked indefinitely
+const MAX_GRAPH_NODES = 100;
+
+/**
+ * Input assets of a job, with the role each played
+ * @param {Object} jobRecord - JobRecord document
+ * @returns {Array<{imageId: Object, role: string, slot?: string}>}
+ */
+export function jobInputs(jobRecord) {
+  // Quilt designs are generated from text, optionally with colours taken from a reference photo
+  if (jobRecord.kind === 'quilt-design') {
+    const paletteFromImageId = jobRecord.quiltOptions?.paletteFromImageId;
+    return paletteFromImageId ? [{ imageId: paletteFromImageId, role: 'palette' }] : [];
+  }
+
+  // Edit jobs (refine, inpaint) and re-renders work on a single source image
+  if (jobRecord.sourceImageId) {
+    return [{ imageId: jobRecord.sourceImageId, role: 'source' }];
+  }
+
+  // Older jobs only carry a single outfit image
+  const outfitLayers = jobRecord.outfitLayers?.length
+    ? jobRecord.outfitLayers
+    : [{ imageId: jobRecord.inputOutfitImageId }];
+
+  return [
+    { imageId: jobRecord.inputModelImageId, role: 'model' },
+    ...outfitLayers.map(layer => ({ imageId: layer.imageId, role: 'outfit', slot: layer.slot }))
+  ];
+}
+
+/**
+ * Post-processing steps applied to an output, in order
+ * @param {Object} params
+ * @param {Object} [params.mask] - Inpaint mask the edit was composited through
+ * @param {Object} [params.background] - Result of applyBackground()
+ * @param {Object} [params.resized] - Result of resizeToLongEdge()
+ * @param {string} [params.resolutionTier] - Tier the output was scaled to
+ * @param {Object} [params.watermark] - Watermark info returned by storeOutput()
+ * @returns {Array<{name: string, params: Object}>}
+ */
+export function processingSteps({ mask, background, resized, resolutionTier, watermark } = {}) {
+  const steps = [];
+
+  if (mask) {
+    steps.push({
+      name: 'mask_composite',
+      params: { source: mask.source, storageKey: mask.storageKey, polygons: mask.polygons }
+    });
+  }
+
+  if (background) {
+    steps.push({
+      name: 'background',
+      params: { mode: background.background, keyColor: background.keyColor }
+    });
+  }
+
+  if (resized) {
+    steps.push({
+      name: 'resize',
+      params: {
+        resolutionTier,
+        longEdge: RESOLUTION_TIERS[resolutionTier]?.longEdge,
+        from: `${resized.sourceWidth}x${resized.sourceHeight}`,
+        to: `${resized.width}x${resized.height}`
+      }
+    });
+  }
+
+  if (watermark?.applied) {
+    steps.push({
+      name: 'watermark',
+      params: { position: watermark.position, kind: watermark.kind }
+    });
+  }
+
+  return steps;
+}
+
+/**
+ * Build the derivation graph of an asset
+ *
+ * Nodes are the asset and everything it was derived from; edges point from an
+ * input to the output made from it. Outputs created before provenance was
+ * recorded are described from their job record and metadata instead.
+ *
+ * @param {Object} asset - ImageAsset document
+ * @returns {Promise<{nodes: Object[], edges: Object[], jobs: Object[], truncated: boolean}>}
+ */
+export async function getProvenanceGraph(asset) {
+  const nodes = new Map();
+  const edges = [];
+  const jobIds = new Set();
+  let pending = [asset];
+
+  while (pending.length && nodes.size < MAX_GRAPH_NODES) {
+    const inputIds = [];
+
+    for (const current of pending) {
+      const id = current._id.toString();
+      if (nodes.has(id) || nodes.size >= MAX_GRAPH_NODES) continue;
+
+      const provenance = await resolveProvenance(current);
+      nodes.set(id, await describeNode(current, provenance));
+
+      if (provenance?.jobId) {
+        jobIds.add(provenance.jobId.toString());
+      }
+
+      for (const input of provenance?.inputs || []) {
+        if (!input.imageId) continue;
+        edges.push({
+          from: input.imageId.toString(),
+          to: id,
+          role: input.role,
+          slot: input.slot
+        });
+        inputIds.push(input.imageId);
+      }
+    }
+
+    const unseen = inputIds.filter(inputId => !nodes.has(inputId.toString()));
+    const inputs = unseen.length ? await ImageAsset.find({ _id: { $in: unseen } }) : [];
+
+    // Inputs removed from the database still appear, so the graph shows what is missing
+    for (const inputId of unseen) {
+      const id = inputId.toString();
+      if (!nodes.has(id) && !inputs.some(input => input._id.equals(inputId))) {
+        nodes.set(id, { id, missing: true });
+      }
+    }
+
+    pending = inputs;
+  }
+
+  const jobs = jobIds.size
+    ? await JobRecord.find({ _id: { $in: [...jobIds] } })
+      .select('kind status parentJobId provider attempts requeueCount createdAt completedAt')
+    : [];
+
+  return {
+    nodes: [...nodes.values()],
+    edges,
+    jobs: jobs.map(job => ({
+      id: job._id,
+      kind: job.kind || 'generation',
+      status: job.status,
+      parentJobId: job.parentJobId,
+      provider: job.provider,
+      attempts: job.attempts,
+      requeueCount: job.requeueCount,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt
+    })),
+    truncated: pending.length > 0
+  };
+}
+
+/**
+ * Provenance recorded on an asset, or rebuilt for outputs that predate it
+ * Uploaded inputs have no provenance and return null.
+ */
+async function resolveProvenance(asset) {
+  const { provenance, metadata = {} } = asset.toObject();
+  if (provenance?.recordedAt) {
+    return { ...provenance, legacy: false };
+  }
+
+  if (asset.type !== 'output') {
+    return null;
+  }
+
+  const job = metadata.jobId ? await JobRecord.findById(metadata.jobId) : null;
+
+  let inputs = [];
+  if (metadata.source === 'rerender' && metadata.renderedFrom) {
+    inputs = [{ imageId: metadata.renderedFrom, role: 'source' }];
+  } else if (job) {
+    inputs = jobInputs(job);
+  }
+
+  return {
+    jobId: metadata.source === 'rerender' ? null : job?._id,
+    inputs,
+    provider: metadata.provider,
+    model: metadata.aiModel,
+    promptTemplate: metadata.promptTemplate,
+    prompt: metadata.prompt,
+    seed: metadata.seed,
+    options: metadata.options,
+    steps: [
+      ...(metadata.background ? [{ name: 'background', params: { mode: metadata.background, keyColor: metadata.backgroundKeyColor } }] : []),
+      ...(metadata.resolutionTier ? [{ name: 'resize', params: { resolutionTier: metadata.resolutionTier } }] : []),
+      ...processingSteps({ watermark: asset.watermark })
+    ],
+    legacy: true
+  };
+}
+
+/**
+ * Graph node for an asset
+ */
+async function describeNode(asset, provenance) {
+  return {
+    id: asset._id.toString(),
+    type: asset.type,
+    slot: asset.metadata?.slot,
+    source: asset.metadata?.source,
+    url: await generateDownloadUrl(asset.storageKey, 3600),
+    isDeleted: asset.isDeleted,
+    createdAt: asset.createdAt,
+    provenance
+  };
+}
+
+export default {
+  jobInputs,
+  processingSteps,
+  getProvenanceGraph
+};
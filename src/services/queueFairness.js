@@ -0,0 +1,250 @@
+import JobRecord from '../models/JobRecord.js';
+import User from '../models/User.js';
+import { Queue } from '../config/queue.js';
+import { getRedisClient } from '../config/redis.js';
+import { getPlanLimits } from '../config/plans.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('queue-fairness');
+
+/**
+ * Fair scheduling for the generate queue
+ *
+ * Jobs are served in rounds: each user's next queued job belongs to the next
+ * round, and within a round higher plans go first. A BullMQ priority encodes
+ * both (round * ROUND_STRIDE + plan priority), so a large batch is interleaved
+ * with other users' jobs instead of blocking them.
+ *
+ * A user's jobs are only handed to BullMQ while they have a free concurrency
+ * slot. The rest wait in MongoDB (awaitingSlot) and are dispatched as slots
+ * are released, so jobs over the cap never take a worker or its rate limit.
+ */
+
+// Gap between rounds; must exceed the largest plan queuePriority
+const ROUND_STRIDE = 10;
+
+// BullMQ rejects priorities above 2^21
+const MAX_PRIORITY = 2097152;
+
+// A slot held longer than this belongs to a crashed worker and is reclaimed
+const SLOT_STALE_MS = 30 * 60 * 1000;
+
+// How long a job started without a slot waits before trying again; only jobs
+// whose slot went stale or that were queued before dispatching was gated get here
+export const USER_SLOT_RETRY_MS = 5000;
+
+// How often workers dispatch waiting jobs nobody released a slot for, e.g. after a worker crashed
+export const WAITING_JOBS_SWEEP_MS = 60 * 1000;
+
+// Atomically take a slot in a user's set of running jobs, unless the set is full.
+// Re-acquiring a slot the job already holds (e.g. a retried attempt) always succeeds.
+const ACQUIRE_SLOT_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[3])
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+  return 1
+end
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[4]) then
+  return 0
+end
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return 1
+`;
+
+// Jobs that run on the generate queue; quilt designs have a queue of their own
+const GENERATE_QUEUE_JOBS = { kind: { $ne: 'quilt-design' } };
+
+// Queued jobs held back until their owner has a free slot
+const WAITING_JOBS = { status: 'queued', awaitingSlot: true };
+
+function activeJobsKey(userId) {
+  return `generate:active:${userId}`;
+}
+
+/**
+ * BullMQ priority for a user's job
+ * @param {string} plan - Owner's plan
+ * @param {number} round - How many of the owner's jobs are queued ahead of this one
+ * @returns {number}
+ */
+export function queuePriority(plan, round) {
+  const priority = round * ROUND_STRIDE + getPlanLimits(plan).queuePriority;
+  return Math.min(priority, MAX_PRIORITY);
+}
+
+/**
+ * Set the queue priority of jobs about to be queued for a user
+ * Continues from the user's jobs that are still waiting, so new jobs queue behind them.
+ * @param {Object} user - User document
+ * @param {Object[]} jobRecords - Unsaved JobRecord documents, in submission order
+ */
+export async function assignQueuePriorities(user, jobRecords) {
+  const waiting = await JobRecord.countDocuments({ userId: user._id, status: 'queued', ...GENERATE_QUEUE_JOBS });
+
+  jobRecords.forEach((jobRecord, index) => {
+    jobRecord.priority = queuePriority(user.plan, waiting + index);
+  });
+}
+
+/**
+ * 1-based position of a queued job, counting the jobs the queue will run before it
+ * Equal priorities run in submission order, which ObjectIds preserve.
+ * @param {Object} jobRecord - JobRecord document
+ * @returns {Promise<number|null>} Null when the job is no longer waiting
+ */
+export async function getQueuePosition(jobRecord) {
+  if (jobRecord.status !== 'queued') {
+    return null;
+  }
+
+  const ahead = await JobRecord.countDocuments({
+    status: 'queued',
+    ...GENERATE_QUEUE_JOBS,
+    $or: [
+      { priority: { $lt: jobRecord.priority } },
+      { priority: jobRecord.priority, _id: { $lt: jobRecord._id } }
+    ]
+  });
+
+  return ahead + 1;
+}
+
+/**
+ * Claim one of the user's concurrent job slots for a job
+ * @param {string} userId - Owner of the job
+ * @param {string} jobId - JobRecord ID
+ * @param {number} limit - Jobs the user may run at once
+ * @returns {Promise<boolean>} False when the user is at their limit
+ */
+export async function acquireUserSlot(userId, jobId, limit) {
+  const now = Date.now();
+  const acquired = await getRedisClient().eval(
+    ACQUIRE_SLOT_SCRIPT,
+    1,
+    activeJobsKey(userId),
+    String(jobId),
+    now,
+    now - SLOT_STALE_MS,
+    limit,
+    SLOT_STALE_MS
+  );
+
+  return acquired === 1;
+}
+
+/**
+ * Give back a job's slot once the worker is done with it, and dispatch the owner's next waiting job
+ * @param {string} userId - Owner of the job
+ * @param {string} jobId - JobRecord ID
+ */
+export async function releaseUserSlot(userId, jobId) {
+  try {
+    await removeUserSlot(userId, jobId);
+  } catch (error) {
+    // The slot expires on its own once it goes stale
+    logger.warn('Failed to release user job slot', {
+      userId,
+      jobId,
+      error: error.message
+    });
+    return;
+  }
+
+  try {
+    await dispatchWaitingJobs(userId);
+  } catch (error) {
+    // The jobs keep waiting until the next release or sweep
+    logger.warn('Failed to dispatch waiting jobs', {
+      userId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Hand a user's waiting jobs to the generate queue while they have free slots
+ * Jobs go in priority order; each takes its slot before it is queued, and keeps it until its worker is done.
+ * @param {string} userId - Owner of the jobs
+ * @returns {Promise<number>} Jobs dispatched
+ * @throws {Error} When a job could not be queued; it is left waiting
+ */
+export async function dispatchWaitingJobs(userId) {
+  const user = await User.findById(userId).select('plan');
+  const limit = getPlanLimits(user?.plan).maxConcurrentJobs;
+  let dispatched = 0;
+
+  for (;;) {
+    // Claimed first, so concurrent dispatchers never queue the same job
+    const next = await JobRecord.findOneAndUpdate(
+      { userId, ...WAITING_JOBS },
+      { $set: { awaitingSlot: false } },
+      { sort: { priority: 1, _id: 1 }, projection: { userId: 1, priority: 1, maxAttempts: 1 } }
+    );
+    if (!next) {
+      return dispatched;
+    }
+
+    if (!await acquireUserSlot(userId, next._id, limit)) {
+      await holdJob(next._id);
+      return dispatched;
+    }
+
+    try {
+      await Queue.add('generate', {
+        jobId: next._id.toString(),
+        userId: next.userId
+      }, {
+        jobId: next._id.toString(),
+        priority: next.priority,
+        attempts: next.maxAttempts
+      });
+    } catch (error) {
+      await holdJob(next._id);
+      await removeUserSlot(userId, next._id);
+      throw error;
+    }
+
+    dispatched += 1;
+  }
+}
+
+/**
+ * Dispatch the waiting jobs of every user
+ * Slots are normally handed on when they are released; this catches jobs left waiting when that failed.
+ */
+export async function sweepWaitingJobs() {
+  const userIds = await JobRecord.distinct('userId', WAITING_JOBS);
+
+  for (const userId of userIds) {
+    try {
+      await dispatchWaitingJobs(userId);
+    } catch (error) {
+      logger.warn('Failed to dispatch waiting jobs', {
+        userId,
+        error: error.message
+      });
+    }
+  }
+}
+
+// Put a claimed job back among the waiting ones, unless it was cancelled meanwhile
+function holdJob(jobId) {
+  return JobRecord.updateOne({ _id: jobId, status: 'queued' }, { $set: { awaitingSlot: true } });
+}
+
+function removeUserSlot(userId, jobId) {
+  return getRedisClient().zrem(activeJobsKey(userId), String(jobId));
+}
+
+export default {
+  USER_SLOT_RETRY_MS,
+  WAITING_JOBS_SWEEP_MS,
+  queuePriority,
+  assignQueuePriorities,
+  getQueuePosition,
+  acquireUserSlot,
+  releaseUserSlot,
+  dispatchWaitingJobs,
+  sweepWaitingJobs
+};
@@ -0,0 +1,427 @@
+import sharp from 'sharp';
+
+/**
+ * Printable quilt patterns
+ *
+ * A generated quilt design is sampled block by block and each block is snapped
+ * to the nearest palette colour. The resulting grid drives the colour key,
+ * the cutting list and the fabric yardage, and is rendered as SVG or PDF.
+ */
+
+// Finished quilt sizes in inches
+export const QUILT_SIZES = {
+  crib: { label: 'Crib', width: 36, height: 52 },
+  throw: { label: 'Throw', width: 50, height: 65 },
+  twin: { label: 'Twin', width: 70, height: 90 },
+  full: { label: 'Full', width: 85, height: 108 },
+  queen: { label: 'Queen', width: 90, height: 108 },
+  king: { label: 'King', width: 108, height: 108 }
+};
+
+export const PATTERN_FORMATS = ['svg', 'pdf', 'json'];
+
+// Usable width of fabric off the bolt, in inches
+const FABRIC_WIDTH = 42;
+
+// Quarter-inch seam allowance on every side of a block
+const SEAM_ALLOWANCE = 0.25;
+
+// Extra fabric for shrinkage and cutting mistakes
+const YARDAGE_ALLOWANCE = 0.1;
+
+// Pixels sampled per block edge; each block takes its most common palette colour
+const SAMPLES_PER_BLOCK = 8;
+
+/**
+ * Check that a palette entry is a colour a pattern can use (#rgb or #rrggbb)
+ * @param {*} colour - Palette entry
+ * @returns {boolean}
+ */
+export function isPaletteColour(colour) {
+  return typeof colour === 'string' && parseHex(colour) !== null;
+}
+
+/**
+ * Build a pattern from a quilt design image
+ * @param {Buffer} buffer - Design image
+ * @param {Object} options - Quilt options the design was generated with
+ * @param {string[]} options.colorPalette - Hex colours
+ * @param {number} options.rows - Blocks down
+ * @param {number} options.columns - Blocks across
+ * @param {string} options.size - One of QUILT_SIZES
+ * @param {string} [options.symmetry] - Symmetry the design was asked for
+ * @returns {Promise<Object>} Pattern with grid, colours and cutting sizes
+ * @throws {Error} When the palette has no usable colour; check with isPaletteColour() first
+ */
+export async function buildQuiltPattern(buffer, { colorPalette, rows, columns, size, symmetry }) {
+  const palette = colorPalette.filter(isPaletteColour).map(parseHex);
+  if (!palette.length) {
+    throw new Error('colorPalette has no usable colours');
+  }
+  const quiltSize = QUILT_SIZES[size] || QUILT_SIZES.throw;
+
+  const paletteGrid = await quantizeBlocks(buffer, palette, rows, columns);
+
+  // Number only the colours that are used, in palette order
+  const counts = palette.map((_, index) => paletteGrid.flat().filter(colour => colour === index).length);
+  const used = palette.map((_, index) => index).filter(index => counts[index] > 0);
+  const numbers = new Map(used.map((paletteIndex, position) => [paletteIndex, position + 1]));
+
+  const finishedWidth = quiltSize.width / columns;
+  const finishedHeight = quiltSize.height / rows;
+  const cutWidth = roundToEighth(finishedWidth + SEAM_ALLOWANCE * 2);
+  const cutHeight = roundToEighth(finishedHeight + SEAM_ALLOWANCE * 2);
+
+  return {
+    size: size in QUILT_SIZES ? size : 'throw',
+    sizeLabel: quiltSize.label,
+    finishedWidth: quiltSize.width,
+    finishedHeight: quiltSize.height,
+    rows,
+    columns,
+    symmetry,
+    block: {
+      finishedWidth: roundToEighth(finishedWidth),
+      finishedHeight: roundToEighth(finishedHeight),
+      cutWidth,
+      cutHeight
+    },
+    fabricWidth: FABRIC_WIDTH,
+    grid: paletteGrid.map(row => row.map(paletteIndex => numbers.get(paletteIndex))),
+    colours: used.map(paletteIndex => ({
+      number: numbers.get(paletteIndex),
+      hex: toHex(palette[paletteIndex]),
+      blocks: counts[paletteIndex],
+      yards: fabricYardage(counts[paletteIndex], cutWidth, cutHeight)
+    }))
+  };
+}
+
+/**
+ * Snap every block of the image to its most common palette colour
+ * @returns {Promise<number[][]>} Palette index per block, row by row
+ */
+async function quantizeBlocks(buffer, palette, rows, columns) {
+  const width = columns * SAMPLES_PER_BLOCK;
+  const height = rows * SAMPLES_PER_BLOCK;
+
+  const pixels = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+
+  const grid = [];
+  for (let row = 0; row < rows; row++) {
+    const gridRow = [];
+    for (let column = 0; column < columns; column++) {
+      const votes = new Array(palette.length).fill(0);
+
+      for (let y = row * SAMPLES_PER_BLOCK; y < (row + 1) * SAMPLES_PER_BLOCK; y++) {
+        for (let x = column * SAMPLES_PER_BLOCK; x < (column + 1) * SAMPLES_PER_BLOCK; x++) {
+          const offset = (y * width + x) * 3;
+          votes[nearestColour(palette, pixels[offset], pixels[offset + 1], pixels[offset + 2])] += 1;
+        }
+      }
+
+      gridRow.push(votes.indexOf(Math.max(...votes)));
+    }
+    grid.push(gridRow);
+  }
+
+  return grid;
+}
+
+/**
+ * Index of the palette colour closest to a pixel ("redmean" weighted RGB distance)
+ */
+function nearestColour(palette, r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+
+  palette.forEach((colour, index) => {
+    const redMean = (colour.r + r) / 2;
+    const dr = colour.r - r;
+    const dg = colour.g - g;
+    const db = colour.b - b;
+    const distance = (2 + redMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - redMean) / 256) * db * db;
+
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Yards of fabric needed to cut a number of blocks from width-of-fabric strips
+ * Rounded up to the nearest eighth of a yard.
+ */
+function fabricYardage(pieces, cutWidth, cutHeight) {
+  const piecesPerStrip = Math.max(1, Math.floor(FABRIC_WIDTH / cutWidth));
+  const strips = Math.ceil(pieces / piecesPerStrip);
+  const inches = strips * cutHeight * (1 + YARDAGE_ALLOWANCE);
+  return Math.ceil((inches / 36) * 8) / 8;
+}
+
+/**
+ * Render a pattern as a standalone SVG document
+ * @param {Object} pattern - Result of buildQuiltPattern()
+ * @returns {string}
+ */
+export function renderPatternSvg(pattern) {
+  const cell = 40;
+  const margin = 40;
+  const gridWidth = pattern.columns * cell;
+  const gridHeight = pattern.rows * cell;
+  const keyTop = margin + 50 + gridHeight + 40;
+  const lineHeight = 28;
+  const width = Math.max(gridWidth + margin * 2, 640);
+  const height = keyTop + 60 + pattern.colours.length * lineHeight + margin;
+
+  const elements = [
+    `<text x="${margin}" y="${margin + 10}" font-size="20" font-weight="bold">${escapeXml(patternTitle(pattern))}</text>`,
+    `<text x="${margin}" y="${margin + 34}" font-size="13">${escapeXml(patternSubtitle(pattern))}</text>`
+  ];
+
+  const colourByNumber = new Map(pattern.colours.map(colour => [colour.number, colour]));
+  pattern.grid.forEach((row, rowIndex) => {
+    row.forEach((number, columnIndex) => {
+      const x = margin + columnIndex * cell;
+      const y = margin + 50 + rowIndex * cell;
+      const colour = colourByNumber.get(number);
+      elements.push(
+        `<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="${colour.hex}" stroke="#333" stroke-width="1"/>`,
+        `<text x="${x + cell / 2}" y="${y + cell / 2 + 5}" font-size="14" text-anchor="middle" fill="${labelColour(colour.hex)}">${number}</text>`
+      );
+    });
+  });
+
+  elements.push(
+    `<text x="${margin}" y="${keyTop}" font-size="16" font-weight="bold">Colour key, cutting list and yardage</text>`,
+    `<text x="${margin}" y="${keyTop + 24}" font-size="12">${escapeXml(cuttingSummary(pattern))}</text>`
+  );
+
+  pattern.colours.forEach((colour, index) => {
+    const y = keyTop + 44 + index * lineHeight;
+    elements.push(
+      `<rect x="${margin}" y="${y}" width="20" height="20" fill="${colour.hex}" stroke="#333" stroke-width="1"/>`,
+      `<text x="${margin + 30}" y="${y + 15}" font-size="13">${escapeXml(colourLine(pattern, colour))}</text>`
+    );
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">` +
+    `<rect width="100%" height="100%" fill="#fff"/>${elements.join('')}</svg>`;
+}
+
+/**
+ * Render a pattern as a two-page US Letter PDF: the block grid, then the key and cutting list
+ * @param {Object} pattern - Result of buildQuiltPattern()
+ * @returns {Buffer}
+ */
+export function renderPatternPdf(pattern) {
+  const pageWidth = 612;
+  const pageHeight = 792;
+  const margin = 48;
+
+  // Page 1: block grid scaled to fit below the title
+  const cell = Math.min(
+    (pageWidth - margin * 2) / pattern.columns,
+    (pageHeight - margin * 2 - 60) / pattern.rows
+  );
+  const gridTop = pageHeight - margin - 60;
+  const colourByNumber = new Map(pattern.colours.map(colour => [colour.number, colour]));
+
+  const grid = [
+    pdfText(margin, pageHeight - margin - 12, 18, patternTitle(pattern), true),
+    pdfText(margin, pageHeight - margin - 32, 11, patternSubtitle(pattern))
+  ];
+
+  pattern.grid.forEach((row, rowIndex) => {
+    row.forEach((number, columnIndex) => {
+      const x = margin + columnIndex * cell;
+      const y = gridTop - (rowIndex + 1) * cell;
+      const colour = colourByNumber.get(number);
+      grid.push(pdfRect(x, y, cell, cell, colour.hex));
+
+      const fontSize = Math.max(6, Math.min(12, cell / 3));
+      const label = String(number);
+      grid.push(pdfText(
+        x + cell / 2 - (label.length * fontSize * 0.28),
+        y + cell / 2 - fontSize / 3,
+        fontSize,
+        label,
+        false,
+        labelColour(colour.hex)
+      ));
+    });
+  });
+
+  // Page 2: colour key with cutting list and yardage
+  const key = [
+    pdfText(margin, pageHeight - margin - 12, 16, 'Colour key, cutting list and yardage', true),
+    pdfText(margin, pageHeight - margin - 32, 11, cuttingSummary(pattern))
+  ];
+
+  pattern.colours.forEach((colour, index) => {
+    const y = pageHeight - margin - 64 - index * 26;
+    key.push(
+      pdfRect(margin, y - 4, 18, 18, colour.hex),
+      pdfText(margin + 28, y + 1, 11, colourLine(pattern, colour))
+    );
+  });
+
+  return buildPdf([grid.join('\n'), key.join('\n')], pageWidth, pageHeight);
+}
+
+function patternTitle(pattern) {
+  return `${pattern.sizeLabel} quilt pattern - ${pattern.finishedWidth}" x ${pattern.finishedHeight}"`;
+}
+
+function patternSubtitle(pattern) {
+  return `${pattern.columns} x ${pattern.rows} blocks, ${formatInches(pattern.block.finishedWidth)} x ${formatInches(pattern.block.finishedHeight)} finished` +
+    (pattern.symmetry ? `, ${pattern.symmetry} symmetry` : '');
+}
+
+function cuttingSummary(pattern) {
+  return `Cut every block ${formatInches(pattern.block.cutWidth)} x ${formatInches(pattern.block.cutHeight)} ` +
+    `(includes 1/4" seams) from ${pattern.fabricWidth}" wide fabric.`;
+}
+
+function colourLine(pattern, colour) {
+  return `${colour.number}. ${colour.hex.toUpperCase()} - cut ${colour.blocks} block${colour.blocks === 1 ? '' : 's'} ` +
+    `${formatInches(pattern.block.cutWidth)} x ${formatInches(pattern.block.cutHeight)} - ${formatYards(colour.yards)}`;
+}
+
+/**
+ * Assemble a minimal PDF with one content stream per page and the standard Helvetica fonts
+ */
+function buildPdf(pageContents, pageWidth, pageHeight) {
+  const objects = [];
+  const pageCount = pageContents.length;
+
+  // 1 catalog, 2 page tree, 3-4 fonts, then a page and a content stream per page
+  const pageIds = pageContents.map((_, index) => 5 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  pageContents.forEach((content, index) => {
+    const pageId = pageIds[index];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+function pdfRect(x, y, width, height, hex) {
+  const { r, g, b } = parseHex(hex);
+  return `${pdfColour(r, g, b)} rg 0.2 0.2 0.2 RG 0.5 w ${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re B`;
+}
+
+function pdfText(x, y, size, text, bold = false, hex = '#000000') {
+  const { r, g, b } = parseHex(hex);
+  const escaped = text.replace(/[^\x20-\x7e]/g, '?').replace(/([\\()])/g, '\\$1');
+  return `BT ${pdfColour(r, g, b)} rg /${bold ? 'F2' : 'F1'} ${size.toFixed(1)} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escaped}) Tj ET`;
+}
+
+function pdfColour(r, g, b) {
+  return [r, g, b].map(channel => (channel / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * Black or white, whichever reads better on a block colour
+ */
+function labelColour(hex) {
+  const { r, g, b } = parseHex(hex);
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? '#000000' : '#ffffff';
+}
+
+function parseHex(hex) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!match) {
+    return null;
+  }
+
+  const digits = match[1].length === 3
+    ? match[1].split('').map(digit => digit + digit).join('')
+    : match[1];
+
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16)
+  };
+}
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function roundToEighth(inches) {
+  return Math.round(inches * 8) / 8;
+}
+
+/**
+ * 5.375 -> 5 3/8"
+ */
+function formatInches(inches) {
+  return `${formatEighths(inches)}"`;
+}
+
+/**
+ * 1.25 -> 1 1/4 yd
+ */
+function formatYards(yards) {
+  return `${formatEighths(yards)} yd`;
+}
+
+function formatEighths(value) {
+  const whole = Math.floor(value);
+  let eighths = Math.round((value - whole) * 8);
+  if (eighths === 0) {
+    return String(whole);
+  }
+
+  let denominator = 8;
+  while (eighths % 2 === 0) {
+    eighths /= 2;
+    denominator /= 2;
+  }
+
+  return whole > 0 ? `${whole} ${eighths}/${denominator}` : `${eighths}/${denominator}`;
+}
+
+export default {
+  QUILT_SIZES,
+  PATTERN_FORMATS,
+  isPaletteColour,
+  buildQuiltPattern,
+  renderPatternSvg,
+  renderPatternPdf
+};
@@ -0,0 +1,304 @@
+import User from '../models/User.js';
+import JobRecord from '../models/JobRecord.js';
+import Audit from '../models/Audit.js';
+import { JOB_ERROR_CODES } from './jobErrors.js';
+import { dispatchWaitingJobs } from './queueFairness.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('quota');
+
+// Another request claimed the remaining credits between the pre-check and the reservation
+export const QUOTA_EXCEEDED_MESSAGE = 'Monthly generation quota exceeded. Please upgrade your plan or wait until next month.';
+
+/**
+ * Reserve one credit per job for jobs that are about to be queued
+ *
+ * Credits stay reserved while the jobs are queued or running, so they count
+ * against the quota but are only charged once a job succeeds.
+ *
+ * @param {Object} user - User document that owns the jobs
+ * @param {Object[]} jobRecords - Unsaved or saved JobRecord documents
+ * @returns {Promise<boolean>} False, with nothing reserved, when the quota cannot cover every job
+ */
+export async function reserveJobQuota(user, jobRecords) {
+  const reservedAt = new Date();
+  const amount = jobRecords.reduce((total, jobRecord) => total + (jobRecord.quota?.amount ?? 1), 0);
+
+  if (!await user.reserveQuota(amount)) {
+    return false;
+  }
+
+  for (const jobRecord of jobRecords) {
+    jobRecord.quota = {
+      status: 'reserved',
+      amount: jobRecord.quota?.amount ?? 1,
+      reservedAt,
+      // A requeued job that was refunded before stays refunded
+      refundedAt: jobRecord.quota?.refundedAt
+    };
+  }
+
+  await Promise.all(jobRecords.map(jobRecord => recordTransition(jobRecord, 'quota_reserved')));
+  return true;
+}
+
+/**
+ * Reserve quota for new jobs and save them
+ *
+ * The jobs are validated before anything is reserved. If they cannot be
+ * saved once their credits are held, whatever was written is removed and
+ * the credits are handed back before the error is rethrown, so a failed
+ * request never keeps credits reserved.
+ *
+ * @param {Object} user - User document that owns the jobs
+ * @param {Object[]} jobRecords - Unsaved JobRecord documents, in submission order
+ * @param {Object} [options]
+ * @param {Object} [options.batch] - Unsaved GenerationBatch the jobs belong to, saved with them
+ * @returns {Promise<boolean>} False, with nothing reserved or saved, when the quota cannot cover every job
+ */
+export async function reserveAndSaveJobs(user, jobRecords, { batch } = {}) {
+  await Promise.all([...jobRecords, ...(batch ? [batch] : [])].map(doc => doc.validate()));
+
+  if (!await reserveJobQuota(user, jobRecords)) {
+    return false;
+  }
+
+  try {
+    if (batch) {
+      await batch.save();
+    }
+    await JobRecord.insertMany(jobRecords);
+  } catch (error) {
+    await rollBackReservation(user, jobRecords, batch);
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * Charge a succeeded job's reserved credit
+ * The transition is claimed atomically on the job record, so a credit is never settled twice.
+ * @param {Object} jobRecord - JobRecord document
+ * @returns {Promise<boolean>} Whether a credit was committed
+ */
+export async function commitJobQuota(jobRecord) {
+  const previous = await JobRecord.findOneAndUpdate(
+    { _id: jobRecord._id, 'quota.status': 'reserved' },
+    { $set: { 'quota.status': 'committed', 'quota.settledAt': new Date() } }
+  );
+
+  if (!previous) {
+    return false;
+  }
+
+  const amount = previous.quota.amount;
+  const user = await User.findById(jobRecord.userId);
+  if (user) {
+    await user.commitQuota(amount);
+  }
+
+  syncQuota(jobRecord, { ...previous.toObject().quota, status: 'committed', settledAt: new Date() });
+  await recordTransition(jobRecord, 'quota_committed');
+  return true;
+}
+
+/**
+ * Give back a job's credit when it fails, is cancelled or is blocked by safety filters
+ *
+ * Jobs created before reservations existed were charged up front, so their
+ * usage is refunded instead.
+ *
+ * @param {Object} jobRecord - JobRecord document
+ * @param {string} reason - failed, cancelled, safety_blocked or admin_refund
+ * @returns {Promise<boolean>} Whether a credit was given back
+ */
+export async function releaseJobQuota(jobRecord, reason) {
+  const settledAt = new Date();
+  const previous = await JobRecord.findOneAndUpdate(
+    { _id: jobRecord._id, 'quota.status': { $in: ['reserved', null] } },
+    {
+      $set: {
+        'quota.status': 'released',
+        'quota.settledAt': settledAt,
+        'quota.releaseReason': reason
+      }
+    }
+  );
+
+  if (!previous) {
+    return false;
+  }
+
+  const amount = previous.quota?.amount ?? 1;
+  const user = await User.findById(jobRecord.userId);
+  if (user) {
+    if (previous.quota?.status === 'reserved') {
+      await user.releaseQuota(amount);
+    } else {
+      await user.refundUsage(amount);
+    }
+  }
+
+  syncQuota(jobRecord, { amount, status: 'released', settledAt, releaseReason: reason });
+  await recordTransition(jobRecord, 'quota_released', reason);
+  return true;
+}
+
+/**
+ * Refund a failed job on an admin's behalf
+ *
+ * Failed jobs are never charged, so the refund is a goodwill credit taken off
+ * the owner's usage this month. Jobs created before reservations existed were
+ * charged up front; giving that charge back is their refund. Each job is
+ * refunded at most once.
+ *
+ * @param {Object} jobRecord - Failed JobRecord document
+ * @returns {Promise<boolean>} Whether a credit was given back
+ */
+export async function refundFailedJobQuota(jobRecord) {
+  const refundedAt = new Date();
+  const previous = await JobRecord.findOneAndUpdate(
+    { _id: jobRecord._id, status: 'failed', 'quota.refundedAt': null },
+    { $set: { 'quota.refundedAt': refundedAt } }
+  );
+
+  if (!previous) {
+    return false;
+  }
+
+  if (previous.quota?.status == null) {
+    await releaseJobQuota(jobRecord, 'admin_refund');
+  } else {
+    // A credit the worker never settled is handed back before the goodwill credit is given
+    await releaseJobQuota(jobRecord, 'failed');
+
+    const user = await User.findById(jobRecord.userId);
+    if (user) {
+      await user.refundUsage(jobRecord.quota.amount);
+    }
+    await recordTransition(jobRecord, 'quota_refunded', 'admin_refund');
+  }
+
+  jobRecord.set('quota.refundedAt', refundedAt);
+  jobRecord.unmarkModified('quota.refundedAt');
+  return true;
+}
+
+/**
+ * Queue saved jobs whose quota is already reserved
+ * Jobs wait for a free slot of their owner before they reach the generate queue (see dispatchWaitingJobs).
+ * Jobs that cannot be queued are failed and their credits released before the error is rethrown.
+ * @param {Object[]} jobRecords - Saved JobRecord documents, in submission order
+ */
+export async function enqueueReservedJobs(jobRecords) {
+  await JobRecord.updateMany(
+    { _id: { $in: jobRecords.map(jobRecord => jobRecord._id) } },
+    { $set: { awaitingSlot: true } }
+  );
+
+  const userIds = new Set(jobRecords.map(jobRecord => jobRecord.userId.toString()));
+  try {
+    for (const userId of userIds) {
+      await dispatchWaitingJobs(userId);
+    }
+  } catch (error) {
+    for (const jobRecord of jobRecords) {
+      // Jobs dispatched before the failure stay queued
+      const unqueued = await JobRecord.findOneAndUpdate(
+        { _id: jobRecord._id, status: 'queued', awaitingSlot: true },
+        { $set: { awaitingSlot: false } }
+      );
+      if (!unqueued) continue;
+
+      await jobRecord.markFailed('Could not queue job', { error: error.message }, {
+        code: JOB_ERROR_CODES.INTERNAL_ERROR,
+        retryable: false
+      });
+      await releaseJobQuota(jobRecord, 'failed');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Undo a reservation whose jobs could not be saved
+ * The jobs never reached the database as reserved, so the user's credits are released directly.
+ */
+async function rollBackReservation(user, jobRecords, batch) {
+  const amount = jobRecords.reduce((total, jobRecord) => total + jobRecord.quota.amount, 0);
+
+  try {
+    await JobRecord.deleteMany({ _id: { $in: jobRecords.map(jobRecord => jobRecord._id) } });
+    if (batch) {
+      await batch.constructor.deleteOne({ _id: batch._id });
+    }
+    await user.releaseQuota(amount);
+  } catch (error) {
+    logger.error('Failed to roll back quota reservation', {
+      userId: user._id,
+      jobIds: jobRecords.map(jobRecord => jobRecord._id),
+      amount,
+      error: error.message
+    });
+    return;
+  }
+
+  const settledAt = new Date();
+  for (const jobRecord of jobRecords) {
+    syncQuota(jobRecord, { amount: jobRecord.quota.amount, status: 'released', settledAt, releaseReason: 'failed' });
+    await recordTransition(jobRecord, 'quota_released', 'failed');
+  }
+}
+
+/**
+ * Mirror a settled quota onto the caller's document without marking it modified
+ */
+function syncQuota(jobRecord, quota) {
+  jobRecord.set('quota', quota);
+  jobRecord.unmarkModified('quota');
+}
+
+/**
+ * Write a quota transition to the audit log
+ */
+async function recordTransition(jobRecord, action, reason) {
+  try {
+    await Audit.logUsage({
+      userId: jobRecord.userId,
+      type: 'quota',
+      action,
+      amount: jobRecord.quota.amount,
+      resourceType: 'job',
+      resourceId: jobRecord._id,
+      details: {
+        jobStatus: jobRecord.status,
+        reason
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to audit quota transition', {
+      jobId: jobRecord._id,
+      action,
+      error: error.message
+    });
+  }
+
+  logger.info('Quota transition', {
+    jobId: jobRecord._id,
+    userId: jobRecord.userId,
+    action,
+    amount: jobRecord.quota.amount,
+    reason
+  });
+}
+
+export default {
+  QUOTA_EXCEEDED_MESSAGE,
+  reserveJobQuota,
+  reserveAndSaveJobs,
+  commitJobQuota,
+  releaseJobQuota,
+  refundFailedJobQuota,
+  enqueueReservedJobs
+};
@@ -0,0 +1,63 @@
+import { getPubClient } from '../config/redis.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('realtime');
+
+// Redis channel every API instance subscribes to; workers and routes publish here
+export const REALTIME_CHANNEL = 'realtime:user-events';
+
+export const REALTIME_EVENTS = [
+  'job.progress',
+  'job.succeeded',
+  'job.failed',
+  'job.cancelled',
+  'quota.updated',
+  'subscription.changed'
+];
+
+/**
+ * Socket.IO room holding every connection of a user
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+export function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Publish an event to every realtime connection of a user
+ * Delivery is best-effort: without Redis the event is dropped and clients fall back to polling.
+ * @param {string} userId - Owner of the event
+ * @param {string} event - One of REALTIME_EVENTS
+ * @param {Object} payload - Event data sent to the client
+ * @returns {Promise<boolean>} Whether the event was published
+ */
+export async function publishUserEvent(userId, event, payload = {}) {
+  if (!REALTIME_EVENTS.includes(event)) {
+    throw new Error(`Unknown realtime event: ${event}`);
+  }
+
+  try {
+    const message = JSON.stringify({
+      userId: String(userId),
+      event,
+      payload: { ...payload, timestamp: new Date().toISOString() }
+    });
+    await getPubClient().publish(REALTIME_CHANNEL, message);
+    return true;
+  } catch (error) {
+    logger.debug('Realtime event not published', {
+      userId,
+      event,
+      error: error.message
+    });
+    return false;
+  }
+}
+
+export default {
+  REALTIME_CHANNEL,
+  REALTIME_EVENTS,
+  userRoom,
+  publishUserEvent
+};
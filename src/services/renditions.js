@@ -0,0 +1,194 @@
+import axios from 'axios';
+import sharp from 'sharp';
+import ImageAsset from '../models/ImageAsset.js';
+import { uploadBuffer, generateDownloadUrl } from '../config/storage.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('renditions');
+
+/**
+ * Rendition sizes (longest edge in pixels, null keeps the original size)
+ */
+export const RENDITION_SIZES = {
+  thumbnail: 256,
+  medium: 768,
+  full: null
+};
+
+export const RENDITION_FORMATS = {
+  webp: { mimeType: 'image/webp', options: { quality: 80 } },
+  avif: { mimeType: 'image/avif', options: { quality: 55 } }
+};
+
+// Asset types that get renditions
+export const RENDITION_SOURCE_TYPES = ['model', 'outfit', 'output'];
+
+/**
+ * Create every missing rendition for an image asset
+ * Existing renditions are kept, so the call is safe to repeat on job retries.
+ * @param {Object} asset - Source ImageAsset
+ * @param {Buffer} buffer - Source image bytes
+ * @returns {Promise<Object[]>} Rendition assets created by this call
+ */
+export async function createRenditions(asset, buffer) {
+  const existing = await ImageAsset.find({
+    originalImageId: asset._id,
+    type: 'thumbnail',
+    'rendition.name': { $in: Object.keys(RENDITION_SIZES) }
+  }).select('rendition');
+
+  const done = new Set(existing.map(rendition => `${rendition.rendition.name}:${rendition.rendition.format}`));
+  const created = [];
+
+  for (const [name, size] of Object.entries(RENDITION_SIZES)) {
+    for (const [format, { mimeType, options }] of Object.entries(RENDITION_FORMATS)) {
+      if (done.has(`${name}:${format}`)) {
+        continue;
+      }
+
+      let pipeline = sharp(buffer).rotate();
+      if (size) {
+        pipeline = pipeline.resize(size, size, {
+          fit: 'inside',
+          withoutEnlargement: true
+        });
+      }
+
+      const { data, info } = await pipeline[format](options).toBuffer({ resolveWithObject: true });
+
+      // Deterministic key so a retry overwrites instead of duplicating
+      const storageKey = `renditions/${asset.userId}/${asset._id}-${name}-${format}`;
+      await uploadBuffer(data, storageKey, mimeType);
+
+      const rendition = new ImageAsset({
+        userId: asset.userId,
+        projectId: asset.projectId,
+        type: 'thumbnail',
+        storageKey,
+        url: await generateDownloadUrl(storageKey, 86400), // 24 hours
+        width: info.width,
+        height: info.height,
+        mimeType,
+        sizeBytes: data.length,
+        originalImageId: asset._id,
+        isPublic: asset.isPublic,
+        rendition: { name, format },
+        metadata: {
+          filename: `${asset.metadata?.filename || asset._id}-${name}.${format}`,
+          source: 'rendition'
+        }
+      });
+
+      await rendition.save();
+      created.push(rendition);
+    }
+  }
+
+  logger.info('Renditions created', {
+    imageId: asset._id,
+    created: created.length,
+    skipped: done.size
+  });
+
+  return created;
+}
+
+/**
+ * Download an asset from storage and create its renditions
+ * @param {Object} asset - Source ImageAsset (storageKey must be selected)
+ */
+export async function createRenditionsFromStorage(asset) {
+  const url = await generateDownloadUrl(asset.storageKey, 3600);
+  const response = await axios.get(url, { responseType: 'arraybuffer' });
+  return createRenditions(asset, Buffer.from(response.data));
+}
+
+/**
+ * Replace an asset's renditions, e.g. after its delivered image changed
+ * Storage keys are deterministic, so the new files overwrite the old ones.
+ * @param {Object} asset - Source ImageAsset
+ */
+export async function rebuildRenditions(asset) {
+  await ImageAsset.deleteMany({
+    originalImageId: asset._id,
+    type: 'thumbnail',
+    'rendition.name': { $exists: true }
+  });
+  return createRenditionsFromStorage(asset);
+}
+
+/**
+ * Create renditions without holding up the caller
+ * Failures are logged; the original asset stays usable without renditions.
+ * @param {Object} asset - Source ImageAsset
+ * @param {Buffer} [buffer] - Source bytes, downloaded from storage when omitted
+ */
+export function scheduleRenditions(asset, buffer) {
+  if (!RENDITION_SOURCE_TYPES.includes(asset.type)) {
+    return;
+  }
+
+  const task = buffer ? createRenditions(asset, buffer) : createRenditionsFromStorage(asset);
+  task.catch(error => {
+    logger.warn('Rendition generation failed', {
+      imageId: asset._id,
+      error: error.message
+    });
+  });
+}
+
+/**
+ * Build the renditions map for a list of images
+ * @param {Array} imageIds - Original image IDs
+ * @returns {Promise<Object>} { [imageId]: { thumbnail: { webp: {...}, avif: {...} }, medium: {...}, full: {...} } }
+ */
+export async function getRenditionsMap(imageIds) {
+  if (imageIds.length === 0) {
+    return {};
+  }
+
+  const renditions = await ImageAsset.find({
+    originalImageId: { $in: imageIds },
+    type: 'thumbnail',
+    isDeleted: false,
+    'rendition.name': { $exists: true }
+  });
+
+  const map = {};
+  await Promise.all(renditions.map(async (rendition) => {
+    const imageId = rendition.originalImageId.toString();
+    const { name, format } = rendition.rendition;
+
+    let url = rendition.url;
+    try {
+      url = await generateDownloadUrl(rendition.storageKey, 3600);
+    } catch (error) {
+      logger.error('Error generating URL for rendition', {
+        renditionId: rendition._id,
+        error: error.message
+      });
+    }
+
+    map[imageId] = map[imageId] || {};
+    map[imageId][name] = map[imageId][name] || {};
+    map[imageId][name][format] = {
+      url,
+      width: rendition.width,
+      height: rendition.height,
+      sizeBytes: rendition.sizeBytes
+    };
+  }));
+
+  return map;
+}
+
+export default {
+  RENDITION_SIZES,
+  RENDITION_FORMATS,
+  RENDITION_SOURCE_TYPES,
+  createRenditions,
+  createRenditionsFromStorage,
+  rebuildRenditions,
+  scheduleRenditions,
+  getRenditionsMap
+};
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import ImageAsset from '../models/ImageAsset.js';
+import { getPlanLimits } from '../config/plans.js';
+import { uploadBuffer, generateDownloadUrl, publishObject } from '../config/storage.js';
+import { applyWatermark, WATERMARK_POSITIONS } from './imagePostProcessing.js';
+import { rebuildRenditions } from './renditions.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('watermark');
+
+/**
+ * Watermark settings from the environment
+ * @returns {{text: string, logoPath: string|null, position: string, opacity: number, scale: number}}
+ */
+export function getWatermarkSettings() {
+  const position = process.env.WATERMARK_POSITION || 'bottom-right';
+  const opacity = parseFloat(process.env.WATERMARK_OPACITY);
+  const scale = parseFloat(process.env.WATERMARK_SCALE);
+
+  return {
+    text: process.env.WATERMARK_TEXT || 'PREVIEW',
+    logoPath: process.env.WATERMARK_LOGO_PATH || null,
+    position: WATERMARK_POSITIONS.includes(position) ? position : 'bottom-right',
+    opacity: Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : 0.5,
+    scale: Number.isFinite(scale) ? Math.min(Math.max(scale, 0.05), 0.8) : 0.3
+  };
+}
+
+/**
+ * Check whether outputs for a plan are watermarked
+ * @param {string} plan - User plan
+ * @returns {boolean}
+ */
+export function requiresWatermark(plan) {
+  return getPlanLimits(plan).watermark;
+}
+
+/**
+ * Store a generated output, watermarking the delivered copy when the plan requires it
+ *
+ * Without a watermark the image is written to storageKey. With one, the
+ * watermarked copy is written to storageKey and the clean original is
+ * uploaded privately under an unguessable key, kept on the asset for a later
+ * upgrade. The clean key is never derived from the delivered one, so it
+ * cannot be worked out from a watermarked URL.
+ *
+ * @param {Object} params
+ * @param {Buffer} params.buffer - Clean output bytes
+ * @param {string} params.mimeType - MIME type of the output
+ * @param {string} params.storageKey - Storage key for the delivered output
+ * @param {string} params.plan - Plan of the output's owner
+ * @returns {Promise<{storageKey: string, buffer: Buffer, mimeType: string, url: string, watermark: Object}>}
+ */
+export async function storeOutput({ buffer, mimeType, storageKey, plan }) {
+  if (!requiresWatermark(plan)) {
+    await uploadBuffer(buffer, storageKey, mimeType);
+
+    return {
+      storageKey,
+      buffer,
+      mimeType,
+      url: await generateDownloadUrl(storageKey, 86400), // 24 hours
+      watermark: { applied: false }
+    };
+  }
+
+  const cleanStorageKey = `${storageKey}-original-${crypto.randomBytes(16).toString('hex')}`;
+  await uploadBuffer(buffer, cleanStorageKey, mimeType, { isPrivate: true });
+
+  const settings = getWatermarkSettings();
+  const watermarked = await applyWatermark(buffer, mimeType, settings);
+  await uploadBuffer(watermarked.buffer, storageKey, watermarked.mimeType);
+
+  return {
+    storageKey,
+    buffer: watermarked.buffer,
+    mimeType: watermarked.mimeType,
+    url: await generateDownloadUrl(storageKey, 86400), // 24 hours
+    watermark: {
+      applied: true,
+      cleanStorageKey,
+      cleanMimeType: mimeType,
+      cleanSizeBytes: buffer.length,
+      cleanPrivate: true,
+      position: settings.position,
+      kind: settings.logoPath ? 'logo' : 'text',
+      appliedAt: new Date()
+    }
+  };
+}
+
+/**
+ * Where to read the clean original of an image
+ * Server-side only: watermarked images keep their original in private storage.
+ * @param {Object} image - ImageAsset
+ * @returns {{storageKey: string, mimeType: string, isPrivate: boolean}}
+ */
+export function getCleanSource(image) {
+  if (!image.watermark?.applied) {
+    return { storageKey: image.storageKey, mimeType: image.mimeType, isPrivate: false };
+  }
+
+  return {
+    storageKey: image.watermark.cleanStorageKey,
+    mimeType: image.watermark.cleanMimeType || image.mimeType,
+    isPrivate: Boolean(image.watermark.cleanPrivate)
+  };
+}
+
+/**
+ * Short-lived signed URL for the clean original of an image
+ * @param {Object} image - ImageAsset
+ * @param {number} [expiresIn] - URL lifetime in seconds
+ * @returns {Promise<string>}
+ */
+export function generateCleanDownloadUrl(image, expiresIn = 3600) {
+  const { storageKey, isPrivate } = getCleanSource(image);
+  return generateDownloadUrl(storageKey, expiresIn, { isPrivate });
+}
+
+/**
+ * Switch a user's watermarked outputs to their clean originals
+ * Called after a plan change to a watermark-free plan; renditions are rebuilt from the clean image.
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of outputs unlocked
+ */
+export async function unlockWatermarkedOutputs(userId) {
+  const outputs = await ImageAsset.find({
+    userId,
+    'watermark.applied': true,
+    isDeleted: false
+  });
+
+  let unlocked = 0;
+  for (const output of outputs) {
+    try {
+      // The plan no longer needs a watermark, so the private original becomes the delivered copy
+      if (output.watermark.cleanPrivate) {
+        await publishObject(output.watermark.cleanStorageKey);
+      }
+      output.storageKey = output.watermark.cleanStorageKey;
+      output.mimeType = output.watermark.cleanMimeType || output.mimeType;
+      output.sizeBytes = output.watermark.cleanSizeBytes || output.sizeBytes;
+      output.url = await generateDownloadUrl(output.storageKey, 86400); // 24 hours
+      output.watermark = { applied: false, removedAt: new Date() };
+      await output.save();
+      unlocked += 1;
+
+      await rebuildRenditions(output);
+    } catch (error) {
+      logger.error('Failed to unlock watermarked output', {
+        userId,
+        imageId: output._id,
+        error: error.message
+      });
+    }
+  }
+
+  logger.info('Watermarked outputs unlocked', { userId, unlocked, total: outputs.length });
+
+  return unlocked;
+}
+
+export default {
+  getWatermarkSettings,
+  requiresWatermark,
+  storeOutput,
+  getCleanSource,
+  generateCleanDownloadUrl,
+  unlockWatermarkedOutputs
+};
@@ -0,0 +1,133 @@
+import axios from 'axios';
+import { UnrecoverableError } from 'bullmq';
+import CallbackDelivery from '../models/CallbackDelivery.js';
+import JobRecord from '../models/JobRecord.js';
+import {
+  resolveCallbackUrl,
+  getSigningSecret,
+  signPayload,
+  SIGNATURE_HEADER,
+  EVENT_HEADER,
+  DELIVERY_HEADER
+} from '../services/callbacks.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('callback-processor');
+
+const CALLBACK_TIMEOUT_MS = parseInt(process.env.CALLBACK_TIMEOUT_MS) || 10000;
+
+/**
+ * Deliver one signed job callback
+ * Non-2xx responses and network errors throw so BullMQ retries with backoff.
+ */
+async function processCallbackJob(job) {
+  const { deliveryId } = job.data;
+
+  const delivery = await CallbackDelivery.findById(deliveryId);
+  if (!delivery) {
+    throw new UnrecoverableError(`Callback delivery ${deliveryId} not found`);
+  }
+
+  if (delivery.status === 'delivered') {
+    return { delivered: true, skipped: true };
+  }
+
+  // Signed with the owner's current secret, so a rotation also covers pending retries
+  const secret = await getSigningSecret(delivery.userId);
+  if (!secret) {
+    const message = 'Callback owner no longer exists';
+    await delivery.recordAttempt({ error: message });
+    await delivery.markFailed();
+    throw new UnrecoverableError(message);
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const signature = signPayload(body, secret);
+
+  // Checked again here: the host may have been re-pointed since the callback was registered
+  let addresses;
+  try {
+    addresses = await resolveCallbackUrl(delivery.url);
+  } catch (error) {
+    await delivery.recordAttempt({ error: `Could not resolve callback host: ${error.message}` });
+    await failAttempt(job, delivery, error.message);
+  }
+
+  if (!addresses) {
+    const message = 'Callback URL does not point to a public host';
+    await delivery.recordAttempt({ error: message });
+    await delivery.markFailed();
+    throw new UnrecoverableError(message);
+  }
+
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SwapMyLook-Callbacks/1.0',
+        [SIGNATURE_HEADER]: signature,
+        [EVENT_HEADER]: delivery.event,
+        [DELIVERY_HEADER]: delivery._id.toString()
+      },
+      timeout: CALLBACK_TIMEOUT_MS,
+      maxRedirects: 0,
+      // Connect to the address that was checked, not whatever a second lookup returns
+      lookup: (hostname, options, callback) => callback(null, addresses[0].address, addresses[0].family),
+      // Every status is recorded; retries are decided below
+      validateStatus: () => true
+    });
+  } catch (error) {
+    await delivery.recordAttempt({
+      error: error.message,
+      durationMs: Date.now() - startTime
+    });
+    await failAttempt(job, delivery, error.message);
+  }
+
+  await delivery.recordAttempt({
+    statusCode: response.status,
+    responseBody: typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? ''),
+    durationMs: Date.now() - startTime
+  });
+
+  if (delivery.status !== 'delivered') {
+    await failAttempt(job, delivery, `Callback endpoint responded with ${response.status}`);
+  }
+
+  await JobRecord.updateOne({ _id: delivery.jobId }, { $set: { webhookSent: true } });
+
+  logger.info('Callback delivered', {
+    deliveryId: delivery._id,
+    jobId: delivery.jobId,
+    statusCode: response.status,
+    attempts: delivery.attempts.length
+  });
+
+  return { delivered: true, statusCode: response.status };
+}
+
+/**
+ * Throw so the attempt is retried, marking the delivery failed on the last attempt
+ */
+async function failAttempt(job, delivery, message) {
+  const maxAttempts = job.opts?.attempts || 1;
+  const isLastAttempt = job.attemptsMade + 1 >= maxAttempts;
+
+  logger.warn('Callback attempt failed', {
+    deliveryId: delivery._id,
+    jobId: delivery.jobId,
+    attempt: job.attemptsMade + 1,
+    maxAttempts,
+    error: message
+  });
+
+  if (isLastAttempt) {
+    await delivery.markFailed();
+  }
+
+  throw new Error(message);
+}
+
+export { processCallbackJob };
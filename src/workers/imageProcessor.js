@@ -1,9 +1,38 @@
-import { Worker } from 'bullmq';
+import { Worker, UnrecoverableError, DelayedError } from 'bullmq';
 import ImageAsset from '../models/ImageAsset.js';
 import JobRecord from '../models/JobRecord.js';
 import Audit from '../models/Audit.js';
 import { createLogger } from '../utils/logger.js';
 import axios from 'axios';
+import { getImageProvider } from '../services/imageProviders/index.js';
+import { composeGenerationPrompt } from '../services/promptComposer.js';
+import { resolvePromptTemplate, templateReference } from '../services/promptTemplates.js';
+import User from '../models/User.js';
+import { applyBackground, resizeToLongEdge } from '../services/imagePostProcessing.js';
+import { getPlanLimits, RESOLUTION_TIERS } from '../config/plans.js';
+import { createRenditions, createRenditionsFromStorage } from '../services/renditions.js';
+import { storeOutput, getCleanSource } from '../services/watermark.js';
+import { publishUserEvent } from '../services/realtime.js';
+import { scheduleJobCallback } from '../services/callbacks.js';
+import { commitJobQuota, releaseJobQuota } from '../services/quota.js';
+import { acquireUserSlot, releaseUserSlot, USER_SLOT_RETRY_MS } from '../services/queueFairness.js';
+import { jobInputs, processingSteps } from '../services/provenance.js';
+import { compositeMaskedEdit } from '../services/masks.js';
+import {
+  JOB_ERROR_CODES,
+  JobError,
+  classifyJobError,
+  retryDelay,
+  toStorageError
+} from '../services/jobErrors.js';
+import {
+  JobCancelledError,
+  trackCancellation,
+  untrackCancellation,
+  throwIfCancelled,
+  discardJobOutputs
+} from '../services/jobCancellation.js';
+import { PROVIDER_ERROR_CODES } from '../services/imageProviders/providerError.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -11,150 +40,21 @@ dotenv.config();
 
 const logger = createLogger('image-processor');
 
-// Gemini API configuration
-const GEMINI_CONFIG = {
-  baseURL: 'https://generativelanguage.googleapis.com/v1beta',
-  model: 'gemini-2.5-flash-image',
-  timeout: 120000, // 2 minutes
-  maxRetries: 3
+// Percentage where each stage starts; per-variant stages repeat within each variant's slice
+const STAGE_PERCENT = {
+  downloading: 0,
+  generating: 10,
+  post_processing: 60,
+  uploading: 80,
+  done: 100
 };
-
-/**
- * Call Gemini API for image generation
- */
-async function callGeminiAPI(modelImageBuffer, outfitImageBuffer) {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error('Gemini API key not configured');
-  }
-
-  // Use hardcoded prompt from environment variable
-  const prompt = process.env.GENERATION_PROMPT || "Create a creative fashion composition. Combine elements from both images to create a new artistic fashion concept. Focus on the clothing and style elements rather than realistic human depictions.";
-
-  try {
-    // Convert images to base64
-    const modelImageBase64 = modelImageBuffer.toString('base64');
-    const outfitImageBase64 = outfitImageBuffer.toString('base64');
-
-    // Prepare Gemini API request payload using the correct format
-    const geminiPayload = {
-      contents: [
-        {
-          parts: [
-            {
-              inlineData: {
-                mimeType: 'image/png',
-                data: modelImageBase64
-              }
-            },
-            {
-              inlineData: {
-                mimeType: 'image/png',
-                data: outfitImageBase64
-              }
-            },
-            {
-              text: prompt
-            }
-          ]
-        }
-      ]
-    };
-
-    const apiUrl = `${GEMINI_CONFIG.baseURL}/models/${GEMINI_CONFIG.model}:generateContent`;
-    
-    // Log the API call details
-    // logger.debug('Making Gemini API call', {
-    //   url: apiUrl,
-    //   headers: {
-    //     'x-goog-api-key': `${process.env.GEMINI_API_KEY.substring(0, 10)}...`,
-    //     'Content-Type': 'application/json'
-    //   },
-    //   timeout: GEMINI_CONFIG.timeout
-    // });
-
-    // Debug: Log full payload for troubleshooting
-    // logger.debug('Gemini API Payload', {
-    //   url: apiUrl,
-    //   payload: {
-    //     ...geminiPayload,
-    //     contents: geminiPayload.contents.map(content => ({
-    //       ...content,
-    //       parts: content.parts.map(part => {
-    //         if (part.inlineData) {
-    //           return {
-    //             ...part,
-    //             inlineData: {
-    //               ...part.inlineData,
-    //               data: `${part.inlineData.data.substring(0, 50)}...` // Truncate base64 for readability
-    //             }
-    //           };
-    //         }
-    //         return part;
-    //       })
-    //     }))
-    //   }
-    // });
-
-    const response = await axios.post(
-      apiUrl,
-      geminiPayload,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': process.env.GEMINI_API_KEY
-        },
-        timeout: GEMINI_CONFIG.timeout
-      }
-    );
-
-    // logger.debug('Gemini API response received', {
-    //   status: response.status,
-    //   hasCandidates: !!response.data.candidates,
-    //   responseKeys: Object.keys(response.data)
-    // });
-
-    // Debug: Log full response structure for troubleshooting
-    // logger.debug('Gemini API Response', {
-    //   status: response.status,
-    //   data: response.data
-    // });
-
-    return response.data;
-  } catch (error) {
-    // Enhanced error logging
-    if (error.response) {
-      // API returned error response
-      logger.error('Gemini API error response', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data,
-        url: error.config?.url,
-        method: error.config?.method
-      });
-      throw new Error(`Gemini API error: ${error.response.status} - ${error.response.data?.error?.message || error.response.statusText || 'Unknown error'}`);
-    } else if (error.request) {
-      // Network error
-      logger.error('Gemini API network error', {
-        message: error.message,
-        code: error.code,
-        url: error.config?.url
-      });
-      throw new Error('Gemini API network error: No response received');
-    } else {
-      // Other error
-      logger.error('Gemini API general error', {
-        message: error.message,
-        stack: error.stack
-      });
-      throw new Error(`Gemini API error: ${error.message}`);
-    }
-  }
-}
+const VARIANT_STAGES = ['generating', 'post_processing', 'uploading'];
+const VARIANT_RANGE = [10, 95];
 
 /**
  * Process image generation job
  */
-async function processGenerationJob(job) {
+async function processGenerationJob(job, token) {
   const { jobId, userId } = job.data;
   const startTime = Date.now();
 
@@ -164,195 +64,290 @@ async function processGenerationJob(job) {
   // Get job record from database
   const jobRecord = await JobRecord.findById(jobId);
   if (!jobRecord) {
-    throw new Error(`Job ${jobId} not found`);
+    throw new UnrecoverableError(`Job ${jobId} not found`);
+  }
+
+  // Cancelled while waiting, but picked up before it could be removed from the queue
+  if (jobRecord.status === 'cancelled') {
+    await releaseUserSlot(jobRecord.userId, jobId);
+    job.log('Job was cancelled before processing started');
+    return { success: false, cancelled: true };
+  }
+
+  // The owner's plan decides concurrency and watermarking; preferences feed prompt composition
+  const user = await User.findById(jobRecord.userId).select('plan preferences');
+
+  // Jobs take their owner's slot when they are dispatched, so this only refreshes it; jobs queued
+  // before dispatching was gated, or whose slot went stale, can still find the owner at their limit
+  if (!await acquireUserSlot(jobRecord.userId, jobId, getPlanLimits(user?.plan).maxConcurrentJobs)) {
+    job.log('Owner is at their concurrent job limit, delaying');
+    await job.moveToDelayed(Date.now() + USER_SLOT_RETRY_MS, token);
+    throw new DelayedError();
   }
 
-  // Update job status to processing
-  await jobRecord.markProcessing();
+  // Aborted when the job is cancelled; also checked against the job record between stages
+  let signal = null;
+  const checkpoint = () => throwIfCancelled(jobId, signal);
+
+  // A job that will be retried keeps its slot, so the owner's waiting jobs cannot take it meanwhile
+  let willRetry = false;
 
   try {
-    // Get input images
-    const [modelImage, outfitImage] = await Promise.all([
-      ImageAsset.findById(jobRecord.inputModelImageId),
-      ImageAsset.findById(jobRecord.inputOutfitImageId)
-    ]);
-
-    if (!modelImage || !outfitImage) {
-      throw new Error('Input images not found');
+    // Update job status to processing, unless it was cancelled since it was loaded
+    if (!await jobRecord.markProcessing()) {
+      job.log('Job was cancelled before processing started');
+      return { success: false, cancelled: true };
     }
+    signal = trackCancellation(jobId);
+
+    await checkpoint();
+    await reportProgress(job, jobRecord, 'downloading', { message: 'Downloading input images' });
+
+    const inputs = await loadInputImages(jobRecord);
 
     // Import storage functions
     const { generateDownloadUrl } = await import('../config/storage.js');
-    
-    // Generate signed URLs for input images
-    const [modelUrl, outfitUrl] = await Promise.all([
-      generateDownloadUrl(modelImage.storageKey, 3600),
-      generateDownloadUrl(outfitImage.storageKey, 3600)
-    ]);
-    
-    // Download input images
-    const [modelResponse, outfitResponse] = await Promise.all([
-      axios.get(modelUrl, {
-        responseType: 'arraybuffer'
-      }),
-      axios.get(outfitUrl, {
-        responseType: 'arraybuffer'
-      })
-    ]);
-
-    const modelImageBuffer = Buffer.from(modelResponse.data);
-    const outfitImageBuffer = Buffer.from(outfitResponse.data);
-
-    // logger.debug('Downloaded input images', {
-    //   jobId,
-    //   modelImageSize: modelImageBuffer.length,
-    //   outfitImageSize: outfitImageBuffer.length
-    // });
-    job.log('Downloaded input images');
 
-    // Call Gemini API for generation
-    const geminiResult = await callGeminiAPI(
-      modelImageBuffer,
-      outfitImageBuffer
+    // Download input images through short-lived signed URLs
+    const download = async (storageKey, mimeType, description, isPrivate = false) => {
+      try {
+        const url = await generateDownloadUrl(storageKey, 3600, { isPrivate });
+        const response = await axios.get(url, {
+          responseType: 'arraybuffer',
+          signal
+        });
+        return { buffer: Buffer.from(response.data), mimeType };
+      } catch (error) {
+        throw toStorageError(error, `Failed to download ${description}`);
+      }
+    };
+
+    const inputBuffers = await Promise.all(
+      inputs.map(input => download(input.storageKey, input.mimeType, `input image ${input.imageId}`, input.isPrivate))
     );
-    job.log('Gemini API call completed');
 
-    // Extract the generated image from Gemini response
-    // logger.debug('Checking Gemini response structure', {
-    //   hasCandidates: !!geminiResult.candidates,
-    //   responseKeys: Object.keys(geminiResult)
-    // });
-    
-    if (!geminiResult.candidates || !geminiResult.candidates[0]) {
-      logger.error('No candidates found in response', {
-        fullResponse: geminiResult
-      });
-      throw new Error('Gemini API did not return any candidates');
-    }
+    // Inpaint jobs also need the mask of the region to change
+    const mask = jobRecord.kind === 'inpaint'
+      ? await download(jobRecord.mask.storageKey, 'image/png', 'inpaint mask')
+      : null;
 
-    const candidate = geminiResult.candidates[0];
-    job.log('Candidate keys: ' + Object.keys(candidate).join(', '));
-    job.log('Candidate has content: ' + !!candidate.content);
-    job.log('Candidate finish reason: ' + candidate.finishReason);
-    job.log('Candidate finish message: ' + (candidate.finishMessage || 'none'));
-    
-    // Handle safety filter rejections
-    if (candidate.finishReason === 'IMAGE_OTHER' || candidate.finishReason === 'SAFETY') {
-      const errorMessage = candidate.finishMessage || 'Image generation blocked by content safety filters';
-      job.log('❌ Image generation blocked by safety filters: ' + errorMessage);
-      throw new Error(`Gemini API safety filter: ${errorMessage}`);
-    }
-    
-    if (!candidate.content || !candidate.content.parts) {
-      job.log('❌ Candidate has no content or parts');
-      job.log('📋 Candidate structure: ' + JSON.stringify(candidate, null, 2));
-      throw new Error('Gemini API candidate has no content or parts');
+    job.log('Downloaded input images');
+
+    // Jobs created before prompt composition existed only carry the base prompt
+    if (!jobRecord.composedPrompt && jobRecord.kind !== 'rerender') {
+      const template = await resolvePromptTemplate('generation');
+      jobRecord.composedPrompt = composeGenerationPrompt({
+        template,
+        basePrompt: jobRecord.prompt,
+        options: jobRecord.options,
+        preferences: user?.preferences,
+        layers: jobRecord.outfitLayers
+      }).prompt;
+      jobRecord.promptTemplate = templateReference(template);
+      await jobRecord.save();
     }
+    job.log('Composed prompt: ' + jobRecord.composedPrompt);
+
+    // Admins can requeue a failed job on another provider
+    const provider = getImageProvider(jobRecord.provider || undefined);
+    const variantCount = jobRecord.options?.variants || 1;
+    const outputImages = [];
+    // Bytes of freshly generated outputs, so renditions don't re-download them
+    const outputBuffers = new Map();
+    let lastGenerated = null;
+
+    for (let variantIndex = 0; variantIndex < variantCount; variantIndex++) {
+      const seed = jobRecord.seeds?.[variantIndex] ?? jobRecord.options?.seed;
+      // The first variant keeps the original key so single-output jobs are unchanged
+      const filename = variantIndex === 0 ? `output-${jobId}` : `output-${jobId}-${variantIndex + 1}`;
+
+      // Check if this variant already exists (idempotency check for retries)
+      let outputImage = await ImageAsset.findOne({
+        userId: jobRecord.userId,
+        type: 'output',
+        'metadata.filename': filename
+      });
 
-    job.log('Parts count: ' + candidate.content.parts.length);
-    
-    // Search through all parts to find the image data
-    let generatedImageData = null;
-    candidate.content.parts.forEach((part, index) => {
-      job.log(`Part ${index} type: ${part.text ? 'text' : part.inlineData ? 'inlineData' : 'unknown'}`);
-      if (part.inlineData) {
-        job.log(`Part ${index} inlineData mimeType: ${part.inlineData.mimeType}`);
-        if (!generatedImageData) {
-          generatedImageData = part.inlineData;
-        }
+      if (outputImage) {
+        // Output image already exists - log and reuse it
+        job.log(`✅ Variant ${variantIndex + 1} already exists for this job, reusing existing image`);
+        logger.info('Reusing existing output image for job retry', {
+          jobId,
+          variantIndex,
+          outputImageId: outputImage._id,
+          storageKey: outputImage.storageKey
+        });
+        outputImages.push(outputImage);
+        continue;
       }
-    });
 
-    if (!generatedImageData) {
-      job.log('❌ No image data found in response parts');
-      job.log('📋 Available parts: ' + JSON.stringify(candidate.content.parts.map((part, index) => ({
-        index,
-        type: part.text ? 'text' : part.inlineData ? 'inlineData' : 'unknown',
-        text: part.text ? part.text.substring(0, 100) + '...' : undefined,
-        mimeType: part.inlineData?.mimeType
-      })), null, 2));
-      throw new Error('Gemini API did not return a valid image response - no inlineData found in parts');
-    }
+      const variantProgress = { variantIndex, variantCount };
+      let generated = null;
+      let processed;
+
+      if (jobRecord.kind === 'rerender') {
+        // Re-renders only rescale the clean original of their source
+        await checkpoint();
+        await reportProgress(job, jobRecord, 'post_processing', {
+          ...variantProgress,
+          message: 'Applying resolution'
+        });
+        processed = { ...inputBuffers[0], background: null };
+      } else {
+        // Call the configured image provider for generation
+        await checkpoint();
+        await reportProgress(job, jobRecord, 'generating', {
+          ...variantProgress,
+          message: `Generating variant ${variantIndex + 1} of ${variantCount}`
+        });
+        generated = await runProvider(provider, jobRecord, {
+          inputBuffers,
+          mask,
+          seed,
+          signal
+        });
+        lastGenerated = generated;
+        job.log(`Provider call completed for variant ${variantIndex + 1}/${variantCount} (${generated.provider}/${generated.model})`);
+
+        // Post-process the background as requested in the job options
+        await checkpoint();
+        await reportProgress(job, jobRecord, 'post_processing', {
+          ...variantProgress,
+          message: 'Applying background and resolution'
+        });
+        processed = await applyBackground(
+          generated.buffer,
+          generated.mimeType,
+          jobRecord.options?.background || 'transparent'
+        );
+        job.log(`Applied background "${processed.background}" (${processed.mimeType})`);
+      }
 
-    job.log('✅ Found image data with mimeType: ' + generatedImageData.mimeType);
-    
-    // Convert base64 image to buffer
-    const outputImageBuffer = Buffer.from(generatedImageData.data, 'base64');
-
-    // Check if an output image already exists for this job (idempotency check for retries)
-    let outputImage = await ImageAsset.findOne({
-      userId: jobRecord.userId,
-      type: 'output',
-      'metadata.filename': `output-${jobId}`
-    });
+      // Scale to the requested resolution tier, or the plan's tier by default
+      const resolutionTier = jobRecord.options?.resolution || getPlanLimits(user?.plan).resolutionTier;
+      const resized = await resizeToLongEdge(
+        processed.buffer,
+        processed.mimeType,
+        RESOLUTION_TIERS[resolutionTier].longEdge
+      );
+      job.log(`Scaled ${resized.sourceWidth}x${resized.sourceHeight} to ${resized.width}x${resized.height} (${resolutionTier})`);
+
+      const outputImageBuffer = resized.buffer;
 
-    if (outputImage) {
-      // Output image already exists - log and reuse it
-      job.log('✅ Output image already exists for this job, reusing existing image');
-      logger.info('Reusing existing output image for job retry', {
-        jobId,
-        outputImageId: outputImage._id,
-        storageKey: outputImage.storageKey
-      });
-    } else {
       // Generate deterministic storage key for output (same key for retries)
       // Use jobId in the key to make it deterministic
-      const deterministicKey = `outputs/${jobRecord.userId}/output-${jobId}`;
-      
-      // Import storage functions
-      const { uploadBuffer } = await import('../config/storage.js');
-
-      // Upload output to storage (let Cloudinary detect MIME type)
-      // Cloudinary's overwrite:true will replace if same public_id exists
-      await uploadBuffer(outputImageBuffer, deterministicKey, generatedImageData.mimeType);
-
-      // Generate download URL
-      const downloadUrl = await generateDownloadUrl(deterministicKey, 86400); // 24 hours
+      const deterministicKey = `outputs/${jobRecord.userId}/${filename}`;
+
+      // Upload the clean output, plus a watermarked copy for plans that require one
+      // (Cloudinary's overwrite:true replaces files if the same public_id exists)
+      await checkpoint();
+      await reportProgress(job, jobRecord, 'uploading', {
+        ...variantProgress,
+        message: 'Uploading output'
+      });
+      const stored = await storeOutput({
+        buffer: outputImageBuffer,
+        mimeType: resized.mimeType,
+        storageKey: deterministicKey,
+        plan: user?.plan
+      }).catch(error => {
+        throw toStorageError(error, 'Failed to upload output');
+      });
+      if (stored.watermark.applied) {
+        job.log(`Applied watermark for ${user?.plan || 'free'} plan`);
+      }
 
       // Create output image asset
       outputImage = new ImageAsset({
         userId: jobRecord.userId,
         type: 'output',
-        storageKey: deterministicKey,
-        url: downloadUrl,
-        mimeType: generatedImageData.mimeType,
-        sizeBytes: outputImageBuffer.length,
-        originalImageId: jobRecord.inputModelImageId,
+        storageKey: stored.storageKey,
+        url: stored.url,
+        mimeType: stored.mimeType,
+        sizeBytes: stored.buffer.length,
+        width: resized.width,
+        height: resized.height,
+        // Edited outputs point at the image they were edited from, building the edit chain
+        originalImageId: jobRecord.sourceImageId || jobRecord.inputModelImageId,
+        watermark: stored.watermark,
         metadata: {
-          filename: `output-${jobId}`,
-          prompt: jobRecord.prompt,
+          filename,
+          prompt: jobRecord.composedPrompt,
+          promptTemplate: jobRecord.promptTemplate,
           options: jobRecord.options,
           processingTime: Date.now() - startTime,
-          aiModel: 'gemini-2.5-flash-image',
-          source: 'worker-generation',
-          jobId: jobId
+          aiModel: generated?.model,
+          provider: generated?.provider,
+          source: jobRecord.sourceImageId ? jobRecord.kind : 'worker-generation',
+          renderedFrom: jobRecord.kind === 'rerender' ? jobRecord.sourceImageId : undefined,
+          jobId: jobId,
+          parentJobId: jobRecord.parentJobId?.toString(),
+          variantIndex,
+          seed,
+          background: processed.background,
+          backgroundKeyColor: processed.keyColor,
+          resolutionTier
+        },
+        provenance: {
+          jobId: jobRecord._id,
+          inputs: jobInputs(jobRecord),
+          provider: generated?.provider,
+          model: generated?.model,
+          promptTemplate: jobRecord.promptTemplate,
+          prompt: jobRecord.composedPrompt,
+          seed,
+          options: jobRecord.options,
+          steps: processingSteps({
+            mask: jobRecord.mask?.storageKey ? jobRecord.mask : null,
+            background: generated ? processed : null,
+            resized,
+            resolutionTier,
+            watermark: stored.watermark
+          }),
+          recordedAt: new Date()
         }
       });
 
       await outputImage.save();
-      job.log('✅ Created new output image asset');
+      outputImages.push(outputImage);
+      outputBuffers.set(outputImage._id.toString(), stored.buffer);
+      job.log(`✅ Created output image asset for variant ${variantIndex + 1}`);
     }
 
-    // Update job record with success
+    // Last chance to honour a cancellation before the outputs are published
+    await checkpoint();
+
+    // Update job record with success, unless it stopped processing since the checkpoint
     const processingTime = Date.now() - startTime;
-    jobRecord.status = 'succeeded';
-    jobRecord.outputImageId = outputImage._id;
-    jobRecord.completedAt = new Date();
-    jobRecord.processingTime = processingTime;
-    await jobRecord.save();
-
-    // Thumbnail generation disabled - user only wants the main generated image
-    // Commented out to prevent creating thumbnails
-    /*
-    try {
-      await generateThumbnails(outputImage);
-    } catch (thumbnailError) {
-      logger.warn('Thumbnail generation failed', {
-        jobId,
-        error: thumbnailError.message
-      });
+    const succeeded = await jobRecord.markSucceededIfProcessing({
+      outputImageId: outputImages[0]._id,
+      outputImageIds: outputImages.map(image => image._id),
+      processingTime
+    });
+    if (!succeeded) {
+      // A cancel landed after the checkpoint: its credit is already released, so the outputs are discarded
+      await checkpoint();
+
+      // Otherwise a stalled copy of this attempt already finished the job
+      logger.warn('Job already finished by another attempt', { jobId });
+      return { success: false, duplicate: true };
     }
-    */
+    await commitJobQuota(jobRecord);
+    await reportProgress(job, jobRecord, 'done', { message: 'Completed' });
+
+    // Renditions are best-effort: the job has succeeded even if they fail
+    for (const outputImage of outputImages) {
+      try {
+        await generateThumbnails(outputImage, outputBuffers.get(outputImage._id.toString()));
+      } catch (thumbnailError) {
+        logger.warn('Thumbnail generation failed', {
+          jobId,
+          outputImageId: outputImage._id,
+          error: thumbnailError.message
+        });
+      }
+    }
+    job.log('Generated renditions');
 
     // Log successful generation
     await Audit.logUsage({
@@ -363,32 +358,50 @@ async function processGenerationJob(job) {
       resourceId: jobRecord._id,
       details: {
         processingTime,
-        outputSize: outputImageBuffer.length,
-        aiModel: 'gemini-2.5-flash-image'
+        outputSize: outputImages.reduce((total, image) => total + image.sizeBytes, 0),
+        aiModel: lastGenerated?.model || outputImages[0].metadata?.aiModel
       }
     });
 
+    await notifyCallback(jobRecord);
+
+    await publishUserEvent(jobRecord.userId, 'job.succeeded', {
+      jobId: jobRecord._id,
+      batchId: jobRecord.batchId,
+      outputImageId: jobRecord.outputImageId,
+      outputImageIds: jobRecord.outputImageIds,
+      processingTime
+    });
+
     logger.info('Generation job completed successfully', {
       jobId,
       processingTime,
-      outputImageId: outputImage._id
+      outputImageIds: jobRecord.outputImageIds
     });
 
     return {
       success: true,
-      outputImageId: outputImage._id,
+      outputImageId: jobRecord.outputImageId,
+      outputImageIds: jobRecord.outputImageIds,
       processingTime
     };
 
 
   } catch (error) {
     const processingTime = Date.now() - startTime;
+
+    if (error instanceof JobCancelledError || (signal?.aborted && error.code === PROVIDER_ERROR_CODES.CANCELLED) || axios.isCancel(error)) {
+      return handleCancelledJob(job, jobRecord, processingTime);
+    }
     
+    // Transient failures are retried; safety blocks, bad input and missing assets fail fast
+    const classification = classifyJobError(error);
+
     // Update job record with failure
     await jobRecord.markFailed(error.message, {
       stack: error.stack,
       processingTime
-    });
+    }, classification);
 
     // Log failure
     await Audit.logUsage({
@@ -399,31 +412,228 @@ async function processGenerationJob(job) {
       resourceId: jobRecord._id,
       details: {
         error: error.message,
+        errorCode: classification.code,
         processingTime,
         attempt: jobRecord.attempts
       },
       isSuccess: false
     });
 
+    willRetry = classification.retryable && jobRecord.attempts < (job.opts?.attempts || jobRecord.maxAttempts);
+
+    // Users are only charged for generations that succeed, and partners only
+    // hear about the final outcome, not each retried attempt
+    if (!willRetry) {
+      const reason = classification.code === JOB_ERROR_CODES.SAFETY_BLOCKED ? 'safety_blocked' : 'failed';
+      await releaseJobQuota(jobRecord, reason);
+      await notifyCallback(jobRecord);
+    }
+
+    await publishUserEvent(jobRecord.userId, 'job.failed', {
+      jobId: jobRecord._id,
+      batchId: jobRecord.batchId,
+      error: error.message,
+      errorCode: classification.code,
+      attempt: jobRecord.attempts,
+      willRetry
+    });
+
     logger.error('Generation job failed', {
       jobId,
       error: error.message,
+      errorCode: classification.code,
+      retryAfterMs: classification.retryAfterMs,
       processingTime,
       attempt: jobRecord.attempts
     });
 
-    throw error; // Let BullMQ handle retries
+    if (!classification.retryable) {
+      throw new UnrecoverableError(error.message);
+    }
+
+    // Let BullMQ handle retries; retryDelay reads the provider's Retry-After hint from the error
+    throw new JobError(error.message, { ...classification, cause: error });
+  } finally {
+    untrackCancellation(jobId);
+    if (!willRetry) {
+      await releaseUserSlot(jobRecord.userId, jobId);
+    }
   }
 }
 
 /**
- * Generate thumbnails for output image
- * DISABLED - User only wants the main generated image
+ * Clean up after a job cancelled mid-flight
+ * Quota was refunded by the cancel route; the job completes in BullMQ so it is not retried.
  */
-async function generateThumbnails(outputImage) {
-  // Thumbnail generation is disabled
-  logger.debug('Thumbnail generation is disabled, skipping');
-  return;
+async function handleCancelledJob(job, jobRecord, processingTime) {
+  const discarded = await discardJobOutputs(jobRecord._id, jobRecord.userId);
+  job.log(`Job cancelled, discarded ${discarded} partial output${discarded === 1 ? '' : 's'}`);
+
+  await Audit.logUsage({
+    userId: jobRecord.userId,
+    type: 'generation',
+    action: 'generation_cancelled',
+    resourceType: 'job',
+    resourceId: jobRecord._id,
+    details: {
+      processingTime,
+      attempt: jobRecord.attempts
+    }
+  });
+
+  await publishUserEvent(jobRecord.userId, 'job.cancelled', {
+    jobId: jobRecord._id,
+    batchId: jobRecord.batchId,
+    discardedOutputs: discarded
+  });
+
+  logger.info('Generation job cancelled', {
+    jobId: jobRecord._id,
+    processingTime,
+    discarded
+  });
+
+  return { success: false, cancelled: true, discarded };
+}
+
+/**
+ * Find the images a job is generated from, with where to read each one
+ * Edit jobs (refine, inpaint) and re-renders work on the clean original of their source, never the watermarked copy.
+ */
+async function loadInputImages(jobRecord) {
+  if (jobRecord.sourceImageId) {
+    const source = await ImageAsset.findOne({ _id: jobRecord.sourceImageId, isDeleted: false });
+    if (!source) {
+      throw new JobError('Source image not found', { code: JOB_ERROR_CODES.INPUT_NOT_FOUND });
+    }
+
+    return [{
+      imageId: source._id,
+      ...getCleanSource(source)
+    }];
+  }
+
+  // Older jobs only carry a single outfit image
+  const outfitLayers = jobRecord.outfitLayers?.length
+    ? jobRecord.outfitLayers
+    : [{ imageId: jobRecord.inputOutfitImageId }];
+
+  const [modelImage, outfitAssets] = await Promise.all([
+    ImageAsset.findById(jobRecord.inputModelImageId),
+    ImageAsset.find({ _id: { $in: outfitLayers.map(layer => layer.imageId) } })
+  ]);
+
+  const outfitImages = outfitLayers.map(layer =>
+    outfitAssets.find(asset => asset._id.equals(layer.imageId))
+  );
+
+  if (!modelImage || outfitImages.some(image => !image)) {
+    throw new JobError('Input images not found', { code: JOB_ERROR_CODES.INPUT_NOT_FOUND });
+  }
+
+  return [modelImage, ...outfitImages].map(image => ({
+    imageId: image._id,
+    storageKey: image.storageKey,
+    mimeType: image.mimeType,
+    isPrivate: false
+  }));
+}
+
+/**
+ * Make the provider call for one variant of a job
+ * Inpaint results are composited back onto the source so only the masked region changes.
+ */
+async function runProvider(provider, jobRecord, { inputBuffers, mask, seed, signal }) {
+  switch (jobRecord.kind) {
+    case 'refine':
+      return provider.editImage({
+        image: inputBuffers[0],
+        instruction: jobRecord.composedPrompt,
+        seed,
+        signal
+      });
+    case 'inpaint': {
+      const edited = await provider.inpaintImage({
+        image: inputBuffers[0],
+        mask,
+        instruction: jobRecord.composedPrompt,
+        seed,
+        signal
+      });
+      const composited = await compositeMaskedEdit(inputBuffers[0].buffer, edited.buffer, mask.buffer);
+      return { ...edited, ...composited };
+    }
+    default:
+      return provider.generateFromImages({
+        images: inputBuffers,
+        prompt: jobRecord.composedPrompt,
+        seed,
+        signal
+      });
+  }
+}
+
+/**
+ * Report a progress stage through BullMQ and mirror it onto the job record
+ * @param {Object} job - BullMQ job
+ * @param {Object} jobRecord - JobRecord document
+ * @param {string} stage - One of JOB_STAGES
+ * @param {Object} [options]
+ * @param {number} [options.variantIndex] - Variant the stage applies to (per-variant stages only)
+ * @param {number} [options.variantCount] - Number of variants in the job
+ * @param {string} [options.message] - Human-readable stage description
+ */
+async function reportProgress(job, jobRecord, stage, { variantIndex, variantCount = 1, message } = {}) {
+  let percent = STAGE_PERCENT[stage];
+
+  if (VARIANT_STAGES.includes(stage) && variantIndex !== undefined) {
+    // Each variant gets an equal slice of the variant range and replays its stages within it
+    const [start, end] = VARIANT_RANGE;
+    const slice = (end - start) / variantCount;
+    const offsetInStage = (STAGE_PERCENT[stage] - start) / (end - start);
+    percent = Math.round(start + slice * (variantIndex + offsetInStage));
+  }
+
+  const progress = {
+    stage,
+    percent,
+    variant: variantIndex === undefined ? null : variantIndex + 1,
+    message
+  };
+
+  await job.updateProgress(progress);
+  await jobRecord.setProgress(progress);
+  await publishUserEvent(jobRecord.userId, 'job.progress', {
+    jobId: jobRecord._id,
+    batchId: jobRecord.batchId,
+    ...progress
+  });
+  job.log(`Progress: ${stage} ${percent}%${message ? ` - ${message}` : ''}`);
+}
+
+/**
+ * Queue the job's callback; a queueing failure must not change the job outcome
+ */
+async function notifyCallback(jobRecord) {
+  try {
+    await scheduleJobCallback(jobRecord);
+  } catch (error) {
+    logger.error('Failed to queue job callback', {
+      jobId: jobRecord._id,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Generate thumbnail, medium and full renditions for an output image
+ * Reused outputs from an earlier attempt are downloaded from storage.
+ */
+async function generateThumbnails(outputImage, buffer) {
+  if (buffer) {
+    return createRenditions(outputImage, buffer);
+  }
+  return createRenditionsFromStorage(outputImage);
 }
 
 /**
@@ -435,7 +645,8 @@ function initWorker() {
     limiter: {
       max: 10,
       duration: 60000 // 1 minute
-    }
+    },
+    settings: { backoffStrategy: retryDelay }
   });
 
   logger.info('Image processor worker started', {
@@ -445,20 +656,6 @@ function initWorker() {
   return worker;
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('Shutting down image processor worker...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  logger.info('Shutting down image processor worker...');
-  process.exit(0);
-});
-
-// Start worker if this file is run directly
-logger.info('Starting image processor worker in standalone mode...');
-
 // Import and use shared Redis configuration
 import { connectRedis, getRedisClient } from '../config/redis.js';
 import { initQueues } from '../config/queue.js';
@@ -486,7 +683,8 @@ async function startWorker() {
       limiter: {
         max: 10,
         duration: 60000 // 1 minute
-      }
+      },
+      settings: { backoffStrategy: retryDelay }
     });
 
     worker.on('completed', (job, result) => {
@@ -536,13 +734,27 @@ async function startWorker() {
   }
 }
 
-// Start the worker
-startWorker();
+// Start the worker if this file is run directly; worker.js imports the processor without starting it
+if (import.meta.url === `file://${process.argv[1]}`) {
+  logger.info('Starting image processor worker in standalone mode...');
+
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    logger.info('Shutting down image processor worker...');
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('Shutting down image processor worker...');
+    process.exit(0);
+  });
+
+  startWorker();
+}
 
 // Export for testing or other usage
 export {
   processGenerationJob,
-  callGeminiAPI,
   generateThumbnails,
   initWorker
 };
\ No newline at end of file
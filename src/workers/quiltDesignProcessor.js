@@ -1,10 +1,23 @@
-import { Worker } from 'bullmq';
-import Redis from 'ioredis';
+import { Worker, UnrecoverableError } from 'bullmq';
 import ImageAsset from '../models/ImageAsset.js';
 import JobRecord from '../models/JobRecord.js';
 import Audit from '../models/Audit.js';
+import User from '../models/User.js';
 import { createLogger } from '../utils/logger.js';
-import axios from 'axios';
+import { getImageProvider } from '../services/imageProviders/index.js';
+import { composeQuiltPrompt } from '../services/promptComposer.js';
+import { resolvePromptTemplate, templateReference } from '../services/promptTemplates.js';
+import { storeOutput } from '../services/watermark.js';
+import { jobInputs, processingSteps } from '../services/provenance.js';
+import { commitJobQuota, releaseJobQuota } from '../services/quota.js';
+import { publishUserEvent } from '../services/realtime.js';
+import {
+  JOB_ERROR_CODES,
+  JobError,
+  classifyJobError,
+  toStorageError,
+  retryDelay
+} from '../services/jobErrors.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -12,200 +25,122 @@ dotenv.config();
 
 const logger = createLogger('quilt-design-processor');
 
-// Gemini API configuration for text-to-image
-const GEMINI_CONFIG = {
-  baseURL: 'https://generativelanguage.googleapis.com/v1beta',
-  model: 'gemini-2.5-flash-image',
-  timeout: 120000, // 2 minutes
-  maxRetries: 3
-};
-
-/**
- * Call Gemini API for text-to-image generation
- */
-async function callGeminiTextToImageAPI(prompt, options) {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error('Gemini API key not configured');
-  }
-
-  try {
-    // Create enhanced prompt with quilt design specifics
-    const enhancedPrompt = `Create a quilt design with the following specifications:
-    Style: ${options.style}
-    Colors: ${options.colorPalette.join(', ')}
-    Complexity level: ${options.complexity}/5
-    Size: ${options.size}
-    Grid: ${options.rows} rows x ${options.columns} columns
-    Symmetry: ${options.symmetry}
-    
-    Design description: ${prompt}
-    
-    Generate a visually appealing quilt pattern with geometric shapes, proper symmetry, and the specified color palette.`;
-
-    // Prepare Gemini API request payload for text-to-image
-    const geminiPayload = {
-      contents: [
-        {
-          parts: [
-            { 
-              text: enhancedPrompt
-            }
-          ]
-        }
-      ]
-    };
-
-    const apiUrl = `${GEMINI_CONFIG.baseURL}/models/${GEMINI_CONFIG.model}:generateContent`;
-    
-    logger.debug('Making Gemini API call for text-to-image', {
-      url: apiUrl,
-      promptLength: prompt.length,
-      options
-    });
-
-    const response = await axios.post(
-      apiUrl,
-      geminiPayload,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': process.env.GEMINI_API_KEY
-        },
-        timeout: GEMINI_CONFIG.timeout
-      }
-    );
-
-    logger.debug('Gemini API response received', {
-      status: response.status,
-      hasCandidates: !!response.data.candidates
-    });
-
-    return response.data;
-  } catch (error) {
-    // Enhanced error logging
-    if (error.response) {
-      // API returned error response
-      logger.error('Gemini API error response', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data,
-        url: error.config?.url,
-        method: error.config?.method
-      });
-      throw new Error(`Gemini API error: ${error.response.status} - ${error.response.data?.error?.message || error.response.statusText || 'Unknown error'}`);
-    } else if (error.request) {
-      // Network error
-      logger.error('Gemini API network error', {
-        message: error.message,
-        code: error.code,
-        url: error.config?.url
-      });
-      throw new Error('Gemini API network error: No response received');
-    } else {
-      // Other error
-      logger.error('Gemini API general error', {
-        message: error.message,
-        stack: error.stack
-      });
-      throw new Error(`Gemini API error: ${error.message}`);
-    }
-  }
-}
-
 /**
  * Process quilt design generation job
  */
 async function processQuiltDesignJob(job) {
-  const { jobId, userId, prompt, options } = job.data;
+  const { jobId, userId } = job.data;
   const startTime = Date.now();
 
-  logger.info('Processing quilt design job', { jobId, userId, promptLength: prompt.length });
-
   // Get job record from database
   const jobRecord = await JobRecord.findById(jobId);
   if (!jobRecord) {
-    throw new Error(`Quilt design job ${jobId} not found`);
+    throw new UnrecoverableError(`Quilt design job ${jobId} not found`);
   }
 
-  // Update job status to processing
-  await jobRecord.markProcessing();
+  // Cancelled while waiting in the queue
+  if (jobRecord.status === 'cancelled') {
+    job.log('Job was cancelled before processing started');
+    return { success: false, cancelled: true };
+  }
 
-  try {
-    // Call Gemini API for text-to-image generation
-    const geminiResult = await callGeminiTextToImageAPI(prompt, options);
-    
-    // Extract the generated image from Gemini response
-    if (!geminiResult.candidates || !geminiResult.candidates[0]) {
-      logger.error('No candidates found in response', {
-        fullResponse: geminiResult
-      });
-      throw new Error('Gemini API did not return any candidates');
-    }
+  const { prompt, quiltOptions: options } = jobRecord;
+  logger.info('Processing quilt design job', { jobId, userId, promptLength: prompt.length });
 
-    const candidate = geminiResult.candidates[0];
-    
-    // Handle safety filter rejections
-    if (candidate.finishReason === 'IMAGE_OTHER' || candidate.finishReason === 'SAFETY') {
-      const errorMessage = candidate.finishMessage || 'Image generation blocked by content safety filters';
-      throw new Error(`Gemini API safety filter: ${errorMessage}`);
-    }
-    
-    if (!candidate.content || !candidate.content.parts) {
-      throw new Error('Gemini API candidate has no content or parts');
-    }
+  // Update job status to processing, unless it was cancelled since it was loaded
+  if (!await jobRecord.markProcessing()) {
+    job.log('Job was cancelled before processing started');
+    return { success: false, cancelled: true };
+  }
+  await updateProgress(jobRecord, 'generating', 10, 'Generating quilt design');
 
-    // Search through all parts to find the image data
-    let generatedImageData = null;
-    candidate.content.parts.forEach((part) => {
-      if (part.inline_data) {
-        generatedImageData = part.inline_data;
-      }
+  try {
+    // Call the configured image provider for text-to-image generation
+    const provider = getImageProvider(jobRecord.provider || undefined);
+    const template = await resolvePromptTemplate('quilt-design');
+    const composedPrompt = composeQuiltPrompt({ template, prompt, options });
+    const generated = await provider.textToImage({
+      prompt: composedPrompt,
+      seed: jobRecord.seeds?.[0]
     });
 
-    if (!generatedImageData) {
-      throw new Error('Gemini API did not return a valid image response - no inline_data found in parts');
-    }
-    
-    // Convert base64 image to buffer
-    const outputImageBuffer = Buffer.from(generatedImageData.data, 'base64');
+    const outputImageBuffer = generated.buffer;
+    await updateProgress(jobRecord, 'uploading', 80, 'Uploading quilt design');
 
     // Generate storage key for output
-    const { generateStorageKey, uploadBuffer, generateDownloadUrl } = await import('../config/storage.js');
+    const { generateStorageKey } = await import('../config/storage.js');
     const outputKey = generateStorageKey('quilt-designs', `quilt-design-${jobId}`, jobRecord.userId);
 
-    // Upload output to storage
-    await uploadBuffer(outputImageBuffer, outputKey, generatedImageData.mime_type || 'image/png');
-
-    // Generate download URL
-    const downloadUrl = await generateDownloadUrl(outputKey, 86400); // 24 hours
+    // Upload output to storage, watermarking the delivered copy for plans that require it
+    const owner = await User.findById(jobRecord.userId).select('plan');
+    const stored = await storeOutput({
+      buffer: outputImageBuffer,
+      mimeType: generated.mimeType,
+      storageKey: outputKey,
+      plan: owner?.plan
+    }).catch(error => {
+      throw toStorageError(error, 'Failed to upload quilt design');
+    });
+    // Cancelled while the provider was working; its credit has already been released
+    if (await JobRecord.exists({ _id: jobRecord._id, status: 'cancelled' })) {
+      logger.info('Quilt design job cancelled during processing', { jobId });
+      return { success: false, cancelled: true };
+    }
 
     // Create output image asset
     const outputImage = new ImageAsset({
       userId: jobRecord.userId,
       type: 'quilt-design',
-      storageKey: outputKey,
-      url: downloadUrl,
-      mimeType: generatedImageData.mime_type || 'image/png',
-      sizeBytes: outputImageBuffer.length,
+      storageKey: stored.storageKey,
+      url: stored.url,
+      mimeType: stored.mimeType,
+      sizeBytes: stored.buffer.length,
+      watermark: stored.watermark,
       metadata: {
         filename: `quilt-design-${jobId}`,
         prompt: prompt,
+        promptTemplate: templateReference(template),
         options: options,
         processingTime: Date.now() - startTime,
-        aiModel: 'gemini-2.5-flash-image',
+        aiModel: generated.model,
+        provider: generated.provider,
         source: 'quilt-design-generation'
+      },
+      provenance: {
+        jobId: jobRecord._id,
+        inputs: jobInputs(jobRecord),
+        provider: generated.provider,
+        model: generated.model,
+        promptTemplate: templateReference(template),
+        prompt: composedPrompt,
+        options,
+        steps: processingSteps({ watermark: stored.watermark }),
+        recordedAt: new Date()
       }
     });
 
     await outputImage.save();
 
-    // Update job record with success
+    // Update job record with success, unless it stopped processing since the check above
     const processingTime = Date.now() - startTime;
-    jobRecord.status = 'succeeded';
-    jobRecord.outputImageId = outputImage._id;
-    jobRecord.completedAt = new Date();
-    jobRecord.processingTime = processingTime;
-    await jobRecord.save();
+    const succeeded = await jobRecord.markSucceededIfProcessing({
+      outputImageId: outputImage._id,
+      outputImageIds: [outputImage._id],
+      composedPrompt,
+      promptTemplate: templateReference(template),
+      processingTime
+    });
+    if (!succeeded) {
+      // Cancelled in the meantime, and its credit already released, so the design is discarded
+      await ImageAsset.updateOne(
+        { _id: outputImage._id },
+        { $set: { isDeleted: true, deletedAt: new Date() } }
+      );
+      logger.info('Quilt design job cancelled before it could succeed', { jobId });
+      return { success: false, cancelled: true };
+    }
+    await updateProgress(jobRecord, 'done', 100, 'Completed');
+    await commitJobQuota(jobRecord);
 
     // Log successful generation
     await Audit.logUsage({
@@ -217,11 +152,19 @@ async function processQuiltDesignJob(job) {
       details: {
         processingTime,
         outputSize: outputImageBuffer.length,
-        aiModel: 'gemini-2.5-flash-image',
+        aiModel: generated.model,
         promptLength: prompt.length
       }
     });
 
+    await publishUserEvent(jobRecord.userId, 'job.succeeded', {
+      jobId: jobRecord._id,
+      kind: jobRecord.kind,
+      outputImageId: jobRecord.outputImageId,
+      outputImageIds: jobRecord.outputImageIds,
+      processingTime
+    });
+
     logger.info('Quilt design job completed successfully', {
       jobId,
       processingTime,
@@ -236,12 +179,15 @@ async function processQuiltDesignJob(job) {
 
   } catch (error) {
     const processingTime = Date.now() - startTime;
-    
+
+    // Transient failures are retried; safety blocks and bad prompts fail fast
+    const classification = classifyJobError(error);
+
     // Update job record with failure
     await jobRecord.markFailed(error.message, {
       stack: error.stack,
       processingTime
-    });
+    }, classification);
 
     // Log failure
     await Audit.logUsage({
@@ -252,6 +198,7 @@ async function processQuiltDesignJob(job) {
       resourceId: jobRecord._id,
       details: {
         error: error.message,
+        errorCode: classification.code,
         processingTime,
         attempt: jobRecord.attempts,
         promptLength: prompt.length
@@ -259,17 +206,56 @@ async function processQuiltDesignJob(job) {
       isSuccess: false
     });
 
+    const willRetry = classification.retryable && jobRecord.attempts < (job.opts?.attempts || jobRecord.maxAttempts);
+
+    // Users are only charged for designs that succeed
+    if (!willRetry) {
+      const reason = classification.code === JOB_ERROR_CODES.SAFETY_BLOCKED ? 'safety_blocked' : 'failed';
+      await releaseJobQuota(jobRecord, reason);
+    }
+
+    await publishUserEvent(jobRecord.userId, 'job.failed', {
+      jobId: jobRecord._id,
+      kind: jobRecord.kind,
+      error: error.message,
+      errorCode: classification.code,
+      attempt: jobRecord.attempts,
+      willRetry
+    });
+
     logger.error('Quilt design job failed', {
       jobId,
       error: error.message,
+      errorCode: classification.code,
       processingTime,
       attempt: jobRecord.attempts
     });
 
-    throw error; // Let BullMQ handle retries
+    if (!classification.retryable) {
+      throw new UnrecoverableError(error.message);
+    }
+
+    // Let BullMQ handle retries; retryDelay reads the provider's Retry-After hint from the error
+    throw new JobError(error.message, { ...classification, cause: error });
   }
 }
 
+/**
+ * Record the job's progress stage and tell the owner about it
+ */
+async function updateProgress(jobRecord, stage, percent, message) {
+  // setProgress saves the record itself; a second save here would run in parallel with it
+  await jobRecord.setProgress({ stage, percent, message });
+
+  await publishUserEvent(jobRecord.userId, 'job.progress', {
+    jobId: jobRecord._id,
+    kind: jobRecord.kind,
+    stage,
+    percent,
+    message
+  });
+}
+
 /**
  * Initialize the worker
  */
@@ -279,7 +265,8 @@ function initWorker() {
     limiter: {
       max: 5,
       duration: 60000 // 1 minute
-    }
+    },
+    settings: { backoffStrategy: retryDelay }
   });
 
   logger.info('Quilt design processor worker started', {
@@ -289,23 +276,9 @@ function initWorker() {
   return worker;
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('Shutting down quilt design processor worker...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  logger.info('Shutting down quilt design processor worker...');
-  process.exit(0);
-});
-
-// Start worker if this file is run directly
-logger.info('Starting quilt design processor worker in standalone mode...');
-
 // Import and use shared Redis configuration
 import { connectRedis, getRedisClient } from '../config/redis.js';
-import { initQueues } from '../config/queue.js';
+import { initQueues, createWorker } from '../config/queue.js';
 import mongoose from 'mongoose';
 
 async function startWorker() {
@@ -330,7 +303,8 @@ async function startWorker() {
       limiter: {
         max: 5,
         duration: 60000 // 1 minute
-      }
+      },
+      settings: { backoffStrategy: retryDelay }
     });
 
     worker.on('completed', (job, result) => {
@@ -380,12 +354,26 @@ async function startWorker() {
   }
 }
 
-// Start the worker
-startWorker();
+// Start the worker if this file is run directly; worker.js imports the processor without starting it
+if (import.meta.url === `file://${process.argv[1]}`) {
+  logger.info('Starting quilt design processor worker in standalone mode...');
+
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    logger.info('Shutting down quilt design processor worker...');
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('Shutting down quilt design processor worker...');
+    process.exit(0);
+  });
+
+  startWorker();
+}
 
 // Export for testing or other usage
 export {
   processQuiltDesignJob,
-  callGeminiTextToImageAPI,
   initWorker
 };
\ No newline at end of file
@@ -3,19 +3,23 @@ import mongoose from 'mongoose';
 import { connectRedis, getRedisClient } from '../config/redis.js';
 import { Worker } from 'bullmq';
 import { processGenerationJob } from './imageProcessor.js';
+import { processQuiltDesignJob } from './quiltDesignProcessor.js';
+import { processCallbackJob } from './callbackProcessor.js';
+import { retryDelay } from '../services/jobErrors.js';
+import { sweepWaitingJobs, WAITING_JOBS_SWEEP_MS } from '../services/queueFairness.js';
 
 const logger = createLogger('worker-main');
 
 // Graceful shutdown handler
-function setupGracefulShutdown(worker) {
+function setupGracefulShutdown(...workers) {
   const shutdown = async (signal) => {
     logger.info(`Received ${signal}, shutting down gracefully...`);
     
     try {
-      // Close worker first
-      if (worker) {
+      // Close workers first
+      for (const worker of workers.filter(Boolean)) {
         await worker.close();
-        logger.info('Worker closed');
+        logger.info('Worker closed', { queue: worker.name });
       }
       
       // Close database connections
@@ -61,7 +65,9 @@ async function startWorker() {
       limiter: {
         max: 10,
         duration: 60000 // 1 minute
-      }
+      },
+      // Resolves the generate queue's 'smart' backoff, honouring provider Retry-After hints
+      settings: { backoffStrategy: retryDelay }
     });
 
     // Worker event handlers
@@ -98,14 +104,63 @@ async function startWorker() {
       });
     });
 
+    // Quilt designs run on their own queue so slow text-to-image calls never hold up generations
+    const quiltDesignWorker = new Worker('quilt-design', processQuiltDesignJob, {
+      connection: redisClient,
+      concurrency: parseInt(process.env.QUILT_DESIGN_WORKER_CONCURRENCY) || 1,
+      pollInterval: 5000,
+      limiter: {
+        max: 5,
+        duration: 60000 // 1 minute
+      },
+      settings: { backoffStrategy: retryDelay }
+    });
+
+    quiltDesignWorker.on('failed', (job, error) => {
+      logger.error('Quilt design job failed', {
+        jobId: job?.id,
+        error: error.message
+      });
+    });
+
+    quiltDesignWorker.on('error', (error) => {
+      logger.error('Quilt design worker error', {
+        error: error.message,
+        stack: error.stack
+      });
+    });
+
+    // Generation results are pushed to callbackUrl through the callbacks queue
+    const callbackWorker = new Worker('callbacks', processCallbackJob, {
+      connection: redisClient,
+      concurrency: parseInt(process.env.CALLBACK_CONCURRENCY) || 5,
+      pollInterval: 5000
+    });
+
+    callbackWorker.on('failed', (job, error) => {
+      logger.warn('Callback delivery attempt failed', {
+        jobId: job?.id,
+        attemptsMade: job?.attemptsMade,
+        error: error.message
+      });
+    });
+
+    // Waiting generate jobs are dispatched as their owners' slots are released; this picks up any left behind
+    setInterval(() => {
+      sweepWaitingJobs().catch(error => {
+        logger.warn('Waiting job sweep failed', { error: error.message });
+      });
+    }, WAITING_JOBS_SWEEP_MS).unref();
+
     // Setup graceful shutdown
-    setupGracefulShutdown(worker);
+    setupGracefulShutdown(worker, quiltDesignWorker, callbackWorker);
 
     logger.info('✅ Image processor worker started successfully', {
-      concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 2
+      concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 2,
+      quiltDesignConcurrency: parseInt(process.env.QUILT_DESIGN_WORKER_CONCURRENCY) || 1
     });
 
-    return { worker };
+    return { worker, quiltDesignWorker, callbackWorker };
 
   } catch (error) {
     logger.error('Failed to start image processor worker', {
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+/**
+ * Run a spec file against a throwaway in-memory MongoDB
+ *
+ * Quota and job transitions rely on conditional and pipeline updates, so
+ * they are tested against a real server rather than mocked models. Every
+ * test starts with empty collections.
+ */
+export function useTestDatabase() {
+  let server;
+
+  beforeAll(async () => {
+    server = await MongoMemoryServer.create();
+    await mongoose.connect(server.getUri());
+  });
+
+  afterEach(async () => {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await server?.stop();
+  });
+}
@@ -0,0 +1,45 @@
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+
+const REDIS_CONFIG = fileURLToPath(new URL('../../src/config/redis.js', import.meta.url));
+
+/**
+ * Replace the Redis client with an in-memory stand-in for the per-user job slots
+ * Call before importing anything that uses Redis; publishing stays unavailable, as without a Redis server.
+ * @returns {Map<string, Set<string>>} Slots held per user key
+ */
+export function useFakeRedis() {
+  const slots = new Map();
+
+  // Mirrors ACQUIRE_SLOT_SCRIPT in queueFairness, minus stale slots
+  const client = {
+    eval: async (script, keyCount, key, jobId, now, staleBefore, limit) => {
+      const held = slots.get(key) || new Set();
+      slots.set(key, held);
+      if (held.has(jobId)) return 1;
+      if (held.size >= Number(limit)) return 0;
+      held.add(jobId);
+      return 1;
+    },
+    zrem: async (key, jobId) => (slots.get(key)?.delete(jobId) ? 1 : 0)
+  };
+
+  jest.unstable_mockModule(REDIS_CONFIG, () => {
+    const unavailable = () => {
+      throw new Error('Redis pub client not initialized');
+    };
+    const config = {
+      connectRedis: jest.fn(),
+      disconnectRedis: jest.fn(),
+      getRedisStatus: () => true,
+      getRedisClient: () => client,
+      getPubClient: unavailable,
+      getSubClient: unavailable,
+      healthCheck: jest.fn(),
+      getRedisStats: jest.fn()
+    };
+    return { ...config, default: config };
+  });
+
+  return slots;
+}
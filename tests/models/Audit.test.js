@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import Audit from '../../src/models/Audit.js';
+import { useTestDatabase } from '../helpers/database.js';
+
+useTestDatabase();
+
+function logAdminAction(fields) {
+  const adminId = new mongoose.Types.ObjectId();
+  return Audit.logUsage({
+    userId: adminId,
+    type: 'generation',
+    action: 'admin_jobs_requeued',
+    details: { adminId },
+    ...fields
+  });
+}
+
+describe('Audit.logUsage', () => {
+  test('records the admin who acted', async () => {
+    const audit = await logAdminAction({ amount: 3 });
+
+    const saved = await Audit.findById(audit._id).lean();
+    expect(saved.details.adminId).toEqual(audit.userId);
+  });
+
+  test('records an amount of zero as zero', async () => {
+    const audit = await logAdminAction({ amount: 0 });
+
+    expect((await Audit.findById(audit._id).lean()).amount).toBe(0);
+  });
+
+  test('counts one when no amount is given', async () => {
+    const audit = await logAdminAction({});
+
+    expect((await Audit.findById(audit._id).lean()).amount).toBe(1);
+  });
+});
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import JobRecord from '../../src/models/JobRecord.js';
+import { useTestDatabase } from '../helpers/database.js';
+
+useTestDatabase();
+
+async function createJob(status) {
+  const jobRecord = new JobRecord({
+    userId: new mongoose.Types.ObjectId(),
+    inputModelImageId: new mongoose.Types.ObjectId(),
+    inputOutfitImageId: new mongoose.Types.ObjectId(),
+    status
+  });
+  await jobRecord.save();
+  return jobRecord;
+}
+
+function reload(jobRecord) {
+  return JobRecord.findById(jobRecord._id).lean();
+}
+
+describe('JobRecord status transitions', () => {
+  test('a cancel racing the worker\'s success leaves exactly one outcome', async () => {
+    const outputImageId = new mongoose.Types.ObjectId();
+
+    for (let round = 0; round < 20; round++) {
+      const jobRecord = await createJob('processing');
+      const [worker, route] = await Promise.all([
+        JobRecord.findById(jobRecord._id),
+        JobRecord.findById(jobRecord._id)
+      ]);
+
+      const [succeeded, cancelled] = await Promise.all([
+        worker.markSucceededIfProcessing({ outputImageId, processingTime: 10 }),
+        route.cancel()
+      ]);
+
+      expect(succeeded !== cancelled).toBe(true);
+      expect((await reload(jobRecord)).status).toBe(succeeded ? 'succeeded' : 'cancelled');
+    }
+  });
+
+  test('a job cancelled mid-flight cannot be marked succeeded', async () => {
+    const jobRecord = await createJob('processing');
+    const worker = await JobRecord.findById(jobRecord._id);
+
+    expect(await jobRecord.cancel()).toBe(true);
+    expect(await worker.markSucceededIfProcessing({ outputImageId: new mongoose.Types.ObjectId() })).toBe(false);
+
+    const saved = await reload(jobRecord);
+    expect(saved.status).toBe('cancelled');
+    expect(saved.outputImageId).toBeNull();
+  });
+
+  test('a job that already succeeded cannot be cancelled', async () => {
+    const jobRecord = await createJob('processing');
+    const route = await JobRecord.findById(jobRecord._id);
+
+    expect(await jobRecord.markSucceededIfProcessing({ processingTime: 10 })).toBe(true);
+    expect(await route.cancel()).toBe(false);
+
+    expect((await reload(jobRecord)).status).toBe('succeeded');
+  });
+
+  test('a later save does not write a stale status back', async () => {
+    const jobRecord = await createJob('processing');
+    const route = await JobRecord.findById(jobRecord._id);
+
+    expect(await jobRecord.markSucceededIfProcessing({ processingTime: 10 })).toBe(true);
+    expect(jobRecord.status).toBe('succeeded');
+    expect(jobRecord.modifiedPaths()).toEqual([]);
+
+    // The worker keeps saving progress after the transition
+    await jobRecord.setProgress({ stage: 'done', percent: 100, message: 'Completed' });
+    expect(await route.cancel()).toBe(false);
+
+    const saved = await reload(jobRecord);
+    expect(saved.status).toBe('succeeded');
+    expect(saved.progress.stage).toBe('done');
+  });
+
+  test('a job cancelled before the worker starts it stays cancelled', async () => {
+    const jobRecord = await createJob('queued');
+    const worker = await JobRecord.findById(jobRecord._id);
+
+    expect(await jobRecord.cancel()).toBe(true);
+    expect(await worker.markProcessing()).toBe(false);
+
+    const saved = await reload(jobRecord);
+    expect(saved.status).toBe('cancelled');
+    expect(saved.attempts).toBe(0);
+  });
+
+  test.each(['queued', 'failed'])('a %s job moves to processing and counts the attempt', async status => {
+    const jobRecord = await createJob(status);
+
+    expect(await jobRecord.markProcessing()).toBe(true);
+
+    const saved = await reload(jobRecord);
+    expect(saved.status).toBe('processing');
+    expect(saved.attempts).toBe(1);
+  });
+
+  test('queued jobs can be cancelled', async () => {
+    const jobRecord = await createJob('queued');
+
+    expect(await jobRecord.cancel()).toBe(true);
+
+    const saved = await reload(jobRecord);
+    expect(saved.status).toBe('cancelled');
+    expect(saved.completedAt).toBeInstanceOf(Date);
+  });
+});
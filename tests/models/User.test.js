@@ -0,0 +1,135 @@
+import User from '../../src/models/User.js';
+import { useTestDatabase } from '../helpers/database.js';
+
+// Concurrent requests each load their own copy of the user, like req.user
+const CONCURRENCY = 50;
+
+useTestDatabase();
+
+let sequence = 0;
+
+async function createUser(overrides = {}) {
+  sequence += 1;
+  const user = new User({
+    email: `quota-test-${sequence}@example.com`,
+    name: 'Quota Test',
+    plan: 'basic',
+    ...overrides
+  });
+  await user.save();
+  return user;
+}
+
+function loadCopies(user, count = CONCURRENCY) {
+  return Promise.all(Array.from({ length: count }, () => User.findById(user._id)));
+}
+
+function reload(user) {
+  return User.findById(user._id).lean();
+}
+
+describe('User quota', () => {
+  test('concurrent reservations never exceed the monthly quota', async () => {
+    const user = await createUser({ quota: { monthlyRequests: 10 } });
+    const copies = await loadCopies(user);
+
+    const results = await Promise.all(copies.map(copy => copy.reserveQuota(1)));
+    const saved = await reload(user);
+
+    expect(results.filter(Boolean)).toHaveLength(10);
+    expect(saved.quota.reserved).toBe(10);
+    expect(saved.quota.usedThisMonth).toBe(0);
+  });
+
+  test('concurrent multi-credit reservations are all-or-nothing', async () => {
+    const user = await createUser({ quota: { monthlyRequests: 10 } });
+    const copies = await loadCopies(user);
+
+    const results = await Promise.all(copies.map(copy => copy.reserveQuota(3)));
+    const saved = await reload(user);
+
+    expect(results.filter(Boolean)).toHaveLength(3);
+    expect(saved.quota.reserved).toBe(9);
+  });
+
+  test('concurrent commits and releases lose no updates', async () => {
+    const user = await createUser({ quota: { monthlyRequests: 100 } });
+    expect(await user.reserveQuota(CONCURRENCY)).toBe(true);
+
+    const copies = await loadCopies(user);
+    await Promise.all(copies.map((copy, index) => (
+      index % 2 === 0 ? copy.commitQuota(1) : copy.releaseQuota(1)
+    )));
+    const saved = await reload(user);
+
+    expect(saved.quota.usedThisMonth).toBe(CONCURRENCY / 2);
+    expect(saved.quota.reserved).toBe(0);
+  });
+
+  test('concurrent direct charges are all counted', async () => {
+    const user = await createUser({ quota: { monthlyRequests: 1000 } });
+    const copies = await loadCopies(user);
+
+    await Promise.all(copies.map(copy => copy.incrementUsage(1)));
+    const saved = await reload(user);
+
+    expect(saved.quota.usedThisMonth).toBe(CONCURRENCY);
+  });
+
+  test('the monthly reset happens once, inside the reservation', async () => {
+    const lastMonth = new Date();
+    lastMonth.setMonth(lastMonth.getMonth() - 1);
+
+    const user = await createUser({
+      quota: { monthlyRequests: 10, usedThisMonth: 10, resetDate: lastMonth }
+    });
+    const copies = await loadCopies(user);
+
+    const results = await Promise.all(copies.map(copy => copy.reserveQuota(1)));
+    const saved = await reload(user);
+
+    expect(results.filter(Boolean)).toHaveLength(10);
+    expect(saved.quota.usedThisMonth).toBe(0);
+    expect(saved.quota.reserved).toBe(10);
+    expect(saved.quota.resetDate.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('a free trial can only be claimed once', async () => {
+    const user = await createUser({ plan: 'free' });
+    const copies = await loadCopies(user);
+
+    const results = await Promise.all(copies.map(copy => copy.reserveQuota(1)));
+    expect(results.filter(Boolean)).toHaveLength(1);
+
+    const winner = copies[results.indexOf(true)];
+    await winner.commitQuota(1);
+    const saved = await reload(user);
+
+    expect(saved.quota.usedThisMonth).toBe(1);
+    expect(saved.subscription.trialUsed).toBe(true);
+    expect(saved.subscription.status).toBe('canceled');
+    expect(await winner.reserveQuota(1)).toBe(false);
+  });
+
+  test('refunding a free trial makes it available again', async () => {
+    const user = await createUser({ plan: 'free' });
+    await user.incrementUsage(1);
+    await user.refundUsage(1);
+    const saved = await reload(user);
+
+    expect(saved.quota.usedThisMonth).toBe(0);
+    expect(saved.subscription.trialUsed).toBe(false);
+    expect(saved.subscription.status).toBe('trialing');
+    expect(await user.reserveQuota(1)).toBe(true);
+  });
+
+  test('the in-memory document mirrors atomic updates without pending changes', async () => {
+    const user = await createUser({ quota: { monthlyRequests: 5 } });
+    await user.reserveQuota(2);
+    await user.commitQuota(1);
+
+    expect(user.quota.reserved).toBe(1);
+    expect(user.quota.usedThisMonth).toBe(1);
+    expect(user.modifiedPaths()).toEqual([]);
+  });
+});
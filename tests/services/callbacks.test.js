@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import dns from 'dns';
+import { isPublicAddress, resolveCallbackUrl, signPayload } from '../../src/services/callbacks.js';
+
+describe('isPublicAddress', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '100.64.0.1',
+    '169.254.169.254',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fd00:ec2::254',
+    'fe80::1',
+    '::ffff:10.0.0.1',
+    '::ffff:7f00:1'
+  ])('rejects %s', address => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test.each(['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111'])('accepts %s', address => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  test('rejects anything that is not an IP address', () => {
+    expect(isPublicAddress('example.com')).toBe(false);
+  });
+});
+
+describe('resolveCallbackUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the addresses of a public host', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    expect(await resolveCallbackUrl('https://hooks.example.com/jobs')).toEqual([
+      { address: '93.184.216.34', family: 4 }
+    ]);
+  });
+
+  test('refuses a host with any internal address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.5', family: 4 }
+    ]);
+
+    expect(await resolveCallbackUrl('https://hooks.example.com/jobs')).toBeNull();
+  });
+
+  test.each([
+    'http://127.0.0.1:3001/api/v1/admin',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://[::ffff:192.168.0.1]/'
+  ])('refuses the literal internal address %s', async url => {
+    expect(await resolveCallbackUrl(url)).toBeNull();
+  });
+
+  test('refuses URLs that are not http(s)', async () => {
+    expect(await resolveCallbackUrl('file:///etc/passwd')).toBeNull();
+  });
+
+  test('throws when the host does not resolve', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+
+    await expect(resolveCallbackUrl('https://missing.example.com/')).rejects.toThrow('not found');
+  });
+});
+
+describe('signPayload', () => {
+  test('signs the timestamp and body with the given secret', () => {
+    const body = JSON.stringify({ event: 'job.succeeded' });
+    const expected = crypto.createHmac('sha256', 'whsec_owner').update(`1700000000.${body}`).digest('hex');
+
+    expect(signPayload(body, 'whsec_owner', 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  test('gives different signatures for different secrets', () => {
+    const body = '{}';
+
+    expect(signPayload(body, 'whsec_a', 1700000000)).not.toBe(signPayload(body, 'whsec_b', 1700000000));
+  });
+});
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { useTestDatabase } from '../helpers/database.js';
+import { useFakeRedis } from '../helpers/redis.js';
+
+// Requeued generations are dispatched through their owner's job slots
+useFakeRedis();
+
+const { Queue } = await import('../../src/config/queue.js');
+const { default: User } = await import('../../src/models/User.js');
+const { default: JobRecord } = await import('../../src/models/JobRecord.js');
+const { JOB_ERROR_CODES } = await import('../../src/services/jobErrors.js');
+const { reserveAndSaveJobs, releaseJobQuota } = await import('../../src/services/quota.js');
+const { requeueFailedJob, refundFailedJobs } = await import('../../src/services/deadLetter.js');
+
+useTestDatabase();
+
+const PERMANENT_FAILURE = { code: JOB_ERROR_CODES.INVALID_INPUT, retryable: false };
+
+async function createUser({ monthlyRequests = 10, usedThisMonth = 0 } = {}) {
+  const user = new User({
+    email: `dead-letter-${new mongoose.Types.ObjectId()}@example.com`,
+    name: 'Dead Letter Test',
+    plan: 'basic',
+    quota: { monthlyRequests, usedThisMonth }
+  });
+  await user.save();
+  return user;
+}
+
+function newJob(user) {
+  return new JobRecord({
+    userId: user._id,
+    inputModelImageId: new mongoose.Types.ObjectId(),
+    inputOutfitImageId: new mongoose.Types.ObjectId()
+  });
+}
+
+// A job that failed for good, with its credit released by the worker
+async function deadLetter(user) {
+  const jobRecord = newJob(user);
+  expect(await reserveAndSaveJobs(user, [jobRecord])).toBe(true);
+  await jobRecord.markFailed('Provider rejected the request', {}, PERMANENT_FAILURE);
+  expect(await releaseJobQuota(jobRecord, 'failed')).toBe(true);
+  return jobRecord;
+}
+
+function reloadUser(user) {
+  return User.findById(user._id).lean();
+}
+
+describe('refundFailedJobs', () => {
+  test('gives the owner of a job released by the worker a credit, once', async () => {
+    const user = await createUser({ usedThisMonth: 4 });
+    const jobRecord = await deadLetter(user);
+
+    expect(await refundFailedJobs([jobRecord])).toEqual([{ userId: user._id.toString(), credits: 1 }]);
+    expect((await reloadUser(user)).quota.usedThisMonth).toBe(3);
+
+    const again = await JobRecord.findById(jobRecord._id);
+    expect(await refundFailedJobs([again])).toEqual([]);
+    expect((await reloadUser(user)).quota.usedThisMonth).toBe(3);
+  });
+
+  test('gives back the up-front charge of jobs from before reservations', async () => {
+    const user = await createUser({ usedThisMonth: 2 });
+    const jobRecord = newJob(user);
+    jobRecord.status = 'failed';
+    await jobRecord.save();
+
+    expect(await refundFailedJobs([jobRecord])).toEqual([{ userId: user._id.toString(), credits: 1 }]);
+
+    expect((await reloadUser(user)).quota.usedThisMonth).toBe(1);
+    const saved = await JobRecord.findById(jobRecord._id).lean();
+    expect(saved.quota.status).toBe('released');
+    expect(saved.quota.refundedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('requeueFailedJob', () => {
+  beforeEach(() => {
+    jest.spyOn(Queue, 'getJob').mockResolvedValue(null);
+    jest.spyOn(Queue, 'add').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reserves a credit so a requeued job that succeeds is charged', async () => {
+    const user = await createUser();
+    const jobRecord = await deadLetter(user);
+
+    expect(await requeueFailedJob(jobRecord)).toBe(true);
+
+    const saved = await JobRecord.findById(jobRecord._id).lean();
+    expect(saved.status).toBe('queued');
+    expect(saved.quota.status).toBe('reserved');
+    expect((await reloadUser(user)).quota.reserved).toBe(1);
+    expect(Queue.add).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves the job failed when its owner has no quota left', async () => {
+    const user = await createUser({ monthlyRequests: 1 });
+    const jobRecord = await deadLetter(user);
+    await User.updateOne({ _id: user._id }, { $set: { 'quota.usedThisMonth': 1 } });
+
+    expect(await requeueFailedJob(jobRecord)).toBe(false);
+
+    expect((await JobRecord.findById(jobRecord._id).lean()).status).toBe('failed');
+    expect((await reloadUser(user)).quota.reserved).toBe(0);
+    expect(Queue.add).not.toHaveBeenCalled();
+  });
+
+  test('keeps a refunded job refunded after it is requeued', async () => {
+    const user = await createUser({ usedThisMonth: 1 });
+    const jobRecord = await deadLetter(user);
+    await refundFailedJobs([jobRecord]);
+
+    expect(await requeueFailedJob(jobRecord)).toBe(true);
+    await jobRecord.markFailed('Provider rejected the request', {}, PERMANENT_FAILURE);
+    await releaseJobQuota(jobRecord, 'failed');
+
+    expect(await refundFailedJobs([jobRecord])).toEqual([]);
+    expect((await reloadUser(user)).quota.usedThisMonth).toBe(0);
+  });
+});
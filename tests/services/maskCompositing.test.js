@@ -0,0 +1,56 @@
+import sharp from 'sharp';
+import { parsePolygons, rasterizePolygons, compositeMaskedEdit } from '../../src/services/masks.js';
+
+// Runs on real images, unlike masks.test.js which mocks sharp
+const WIDTH = 64;
+const HEIGHT = 32;
+
+function solid(background) {
+  return sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background } }).png().toBuffer();
+}
+
+async function pixelAt(buffer, x, y) {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [data[offset], data[offset + 1], data[offset + 2]];
+}
+
+describe('compositeMaskedEdit', () => {
+  let source;
+  let edited;
+
+  beforeAll(async () => {
+    source = await solid('#ff0000');
+    edited = await solid('#0000ff');
+  });
+
+  // The left half of the image is masked
+  const LEFT_HALF = parsePolygons([[[0, 0], [0.5, 0], [0.5, 1], [0, 1]]]);
+
+  test.each([
+    ['the source size', WIDTH, HEIGHT],
+    ['the default size, for uploads recorded without dimensions', null, null]
+  ])('takes the masked region from the edit and keeps the rest, with a mask drawn at %s', async (_, width, height) => {
+    const mask = await rasterizePolygons(LEFT_HALF, width, height);
+
+    const { buffer, mimeType } = await compositeMaskedEdit(source, edited, mask);
+
+    expect(mimeType).toBe('image/png');
+    const { width: outputWidth, height: outputHeight } = await sharp(buffer).metadata();
+    expect([outputWidth, outputHeight]).toEqual([WIDTH, HEIGHT]);
+
+    // Well inside each half, clear of the feathered edge
+    expect(await pixelAt(buffer, 4, HEIGHT / 2)).toEqual([0, 0, 255]);
+    expect(await pixelAt(buffer, WIDTH - 5, HEIGHT / 2)).toEqual([255, 0, 0]);
+  });
+
+  test('feathers the edge of the masked region', async () => {
+    const mask = await rasterizePolygons(LEFT_HALF, WIDTH, HEIGHT);
+
+    const { buffer } = await compositeMaskedEdit(source, edited, mask);
+
+    const [red, , blue] = await pixelAt(buffer, WIDTH / 2, HEIGHT / 2);
+    expect(red).toBeGreaterThan(0);
+    expect(blue).toBeGreaterThan(0);
+  });
+});
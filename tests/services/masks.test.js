@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+
+// What the mocked sharp reports, and the inputs it was given
+const images = {
+  inputs: [],
+  flattened: [],
+  metadata: {},
+  stats: {}
+};
+
+jest.unstable_mockModule('sharp', () => {
+  const sharp = input => {
+    images.inputs.push(input);
+
+    const pipeline = {
+      flatten: options => {
+        images.flattened.push(options);
+        return pipeline;
+      },
+      greyscale: () => pipeline,
+      png: () => pipeline,
+      toBuffer: async () => Buffer.from('mask'),
+      metadata: async () => {
+        if (images.metadata instanceof Error) throw images.metadata;
+        return images.metadata;
+      },
+      stats: async () => images.stats
+    };
+    return pipeline;
+  };
+  return { default: sharp };
+});
+
+const {
+  MAX_MASK_POLYGONS,
+  MAX_POLYGON_POINTS,
+  parsePolygons,
+  rasterizePolygons,
+  normalizeMask
+} = await import('../../src/services/masks.js');
+
+const TRIANGLE = [[0, 0], [1, 0], [0.5, 1]];
+
+beforeEach(() => {
+  images.inputs.length = 0;
+  images.flattened.length = 0;
+});
+
+describe('parsePolygons', () => {
+  test('accepts points as pairs or as x/y objects', () => {
+    expect(parsePolygons([TRIANGLE, [{ x: 0.1, y: 0.2 }, { x: '0.3', y: 0.4 }, { x: 0.5, y: 0.6 }]])).toEqual([
+      TRIANGLE,
+      [[0.1, 0.2], [0.3, 0.4], [0.5, 0.6]]
+    ]);
+  });
+
+  test.each([
+    ['no polygons', []],
+    ['a polygon that is not a list', [{ x: 0, y: 0 }]],
+    ['a polygon with two points', [[[0, 0], [1, 1]]]],
+    ['a point outside the image', [[[0, 0], [1.5, 0], [0.5, 1]]]],
+    ['a negative point', [[[0, 0], [1, 0], [0.5, -0.1]]]],
+    ['a point that is not a number', [[[0, 0], [1, 0], ['a', 1]]]],
+    ['a point missing a coordinate', [[{ x: 0, y: 0 }, { x: 1 }, { x: 0.5, y: 1 }]]],
+    ['too many polygons', Array.from({ length: MAX_MASK_POLYGONS + 1 }, () => TRIANGLE)],
+    ['too many points', [Array.from({ length: MAX_POLYGON_POINTS + 1 }, () => [0.5, 0.5])]]
+  ])('rejects %s', (_, polygons) => {
+    expect(parsePolygons(polygons)).toBeNull();
+  });
+
+  test('rejects input that is not a list', () => {
+    expect(parsePolygons(undefined)).toBeNull();
+    expect(parsePolygons('0,0 1,0 1,1')).toBeNull();
+  });
+});
+
+describe('rasterizePolygons', () => {
+  test('draws the polygons in white on black at the image size', async () => {
+    await rasterizePolygons([TRIANGLE], 200, 100);
+
+    const svg = images.inputs[0].toString();
+    expect(svg).toContain('width="200" height="100"');
+    expect(svg).toContain('<rect width="100%" height="100%" fill="#000"/>');
+    expect(svg).toContain('<polygon points="0.0,0.0 200.0,0.0 100.0,100.0" fill="#fff"/>');
+  });
+
+  test('falls back to a square mask when the image size is unknown', async () => {
+    await rasterizePolygons([TRIANGLE]);
+
+    expect(images.inputs[0].toString()).toContain('width="1024" height="1024"');
+  });
+
+  test('falls back to a square mask for uploads recorded without dimensions', async () => {
+    await rasterizePolygons([TRIANGLE], null, null);
+
+    const svg = images.inputs[0].toString();
+    expect(svg).toContain('width="1024" height="1024"');
+    expect(svg).toContain('<polygon points="0.0,0.0 1024.0,0.0 512.0,1024.0" fill="#fff"/>');
+  });
+});
+
+describe('normalizeMask', () => {
+  const MASKED = { channels: [{ max: 255 }] };
+
+  test('converts a PNG mask to greyscale', async () => {
+    images.metadata = { format: 'png', hasAlpha: false };
+    images.stats = MASKED;
+
+    expect((await normalizeMask(Buffer.from('upload'))).toString()).toBe('mask');
+    expect(images.flattened).toEqual([]);
+  });
+
+  test('treats transparent pixels as unmasked', async () => {
+    images.metadata = { format: 'png', hasAlpha: true };
+    images.stats = MASKED;
+
+    expect(await normalizeMask(Buffer.from('upload'))).not.toBeNull();
+    expect(images.flattened).toEqual([{ background: '#000' }]);
+  });
+
+  test('rejects uploads that are not PNGs', async () => {
+    images.metadata = { format: 'jpeg', hasAlpha: false };
+
+    expect(await normalizeMask(Buffer.from('upload'))).toBeNull();
+  });
+
+  test('rejects masks that cover nothing', async () => {
+    images.metadata = { format: 'png', hasAlpha: false };
+    images.stats = { channels: [{ max: 0 }] };
+
+    expect(await normalizeMask(Buffer.from('upload'))).toBeNull();
+  });
+
+  test('rejects uploads that cannot be read', async () => {
+    images.metadata = new Error('Input buffer contains unsupported image format');
+
+    expect(await normalizeMask(Buffer.from('upload'))).toBeNull();
+  });
+});
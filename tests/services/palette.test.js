@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+
+// Raw RGB pixels the mocked sharp pipeline hands to the palette extractor
+let image;
+
+jest.unstable_mockModule('sharp', () => {
+  const pipeline = {
+    rotate: () => pipeline,
+    flatten: () => pipeline,
+    resize: () => pipeline,
+    removeAlpha: () => pipeline,
+    raw: () => pipeline,
+    toBuffer: async () => image
+  };
+  return { default: () => pipeline };
+});
+
+const { extractPalette } = await import('../../src/services/palette.js');
+
+/**
+ * A one-row photo made of the given pixels
+ */
+function photo(pixels) {
+  return {
+    data: Buffer.from(pixels.flat()),
+    info: { width: pixels.length, height: 1, channels: 3 }
+  };
+}
+
+function repeat(pixel, count) {
+  return Array.from({ length: count }, () => pixel);
+}
+
+describe('extractPalette', () => {
+  test('returns the dominant colours with their coverage, largest first', async () => {
+    image = photo([...repeat([0, 0, 255], 4), ...repeat([255, 0, 0], 12)]);
+
+    expect(await extractPalette(Buffer.from('photo'), 2)).toEqual([
+      { hex: '#ff0000', coverage: 75 },
+      { hex: '#0000ff', coverage: 25 }
+    ]);
+  });
+
+  test('averages the shades that fall in one cluster', async () => {
+    image = photo([...repeat([240, 0, 0], 6), ...repeat([250, 0, 0], 6), ...repeat([0, 0, 255], 4)]);
+
+    expect(await extractPalette(Buffer.from('photo'), 2)).toEqual([
+      { hex: '#f50000', coverage: 75 },
+      { hex: '#0000ff', coverage: 25 }
+    ]);
+  });
+
+  test('gives the same palette for the same photo', async () => {
+    image = photo(Array.from({ length: 200 }, (_, index) => [
+      (index * 37) % 256,
+      (index * 91) % 256,
+      (index * 53) % 256
+    ]));
+
+    const first = await extractPalette(Buffer.from('photo'), 5);
+    const second = await extractPalette(Buffer.from('photo'), 5);
+
+    expect(first).toHaveLength(5);
+    expect(second).toEqual(first);
+  });
+
+  test('stops at the number of distinct colours in the photo', async () => {
+    image = photo(repeat([255, 255, 255], 16));
+
+    expect(await extractPalette(Buffer.from('photo'), 5)).toEqual([{ hex: '#ffffff', coverage: 100 }]);
+  });
+
+  test('never asks for more colours than the photo has pixels', async () => {
+    image = photo([[255, 0, 0], [0, 255, 0]]);
+
+    const palette = await extractPalette(Buffer.from('photo'), 10);
+
+    expect(palette.map(colour => colour.hex).sort()).toEqual(['#00ff00', '#ff0000']);
+    expect(palette.every(colour => colour.coverage === 50)).toBe(true);
+  });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { useTestDatabase } from '../helpers/database.js';
+import { useFakeRedis } from '../helpers/redis.js';
+
+const slots = useFakeRedis();
+
+const { Queue } = await import('../../src/config/queue.js');
+const { default: User } = await import('../../src/models/User.js');
+const { default: JobRecord } = await import('../../src/models/JobRecord.js');
+const { reserveAndSaveJobs, enqueueReservedJobs } = await import('../../src/services/quota.js');
+const {
+  assignQueuePriorities,
+  releaseUserSlot,
+  sweepWaitingJobs
+} = await import('../../src/services/queueFairness.js');
+
+useTestDatabase();
+
+async function createUser() {
+  const user = new User({
+    email: `fairness-${new mongoose.Types.ObjectId()}@example.com`,
+    name: 'Fairness Test',
+    plan: 'basic',
+    quota: { monthlyRequests: 50 }
+  });
+  await user.save();
+  return user;
+}
+
+async function submitJobs(user, count) {
+  const jobRecords = Array.from({ length: count }, () => new JobRecord({
+    userId: user._id,
+    inputModelImageId: new mongoose.Types.ObjectId(),
+    inputOutfitImageId: new mongoose.Types.ObjectId()
+  }));
+  await assignQueuePriorities(user, jobRecords);
+  expect(await reserveAndSaveJobs(user, jobRecords)).toBe(true);
+  await enqueueReservedJobs(jobRecords);
+  return jobRecords;
+}
+
+function queuedIds() {
+  return Queue.add.mock.calls.map(([, data]) => data.jobId);
+}
+
+describe('dispatching generate jobs', () => {
+  beforeEach(() => {
+    slots.clear();
+    jest.spyOn(Queue, 'add').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only queues as many of a user\'s jobs as their plan runs at once', async () => {
+    const user = await createUser();
+
+    const jobRecords = await submitJobs(user, 5);
+
+    // Basic runs two jobs at a time
+    expect(queuedIds()).toEqual(jobRecords.slice(0, 2).map(jobRecord => jobRecord._id.toString()));
+    const waiting = await JobRecord.find({ userId: user._id, awaitingSlot: true }).lean();
+    expect(waiting).toHaveLength(3);
+    expect(waiting.every(jobRecord => jobRecord.status === 'queued')).toBe(true);
+  });
+
+  test('queues the next waiting job when a slot is released', async () => {
+    const user = await createUser();
+    const jobRecords = await submitJobs(user, 4);
+
+    await releaseUserSlot(user._id, jobRecords[0]._id);
+
+    expect(queuedIds()).toEqual(jobRecords.slice(0, 3).map(jobRecord => jobRecord._id.toString()));
+  });
+
+  test('one user\'s backlog does not hold back another user', async () => {
+    const [busy, other] = await Promise.all([createUser(), createUser()]);
+    await submitJobs(busy, 10);
+
+    const [otherJob] = await submitJobs(other, 1);
+
+    expect(queuedIds()).toHaveLength(3);
+    expect(queuedIds()).toContain(otherJob._id.toString());
+  });
+
+  test('skips waiting jobs that were cancelled', async () => {
+    const user = await createUser();
+    const [running, other, cancelled, next] = await submitJobs(user, 4);
+    expect(await cancelled.cancel()).toBe(true);
+
+    await releaseUserSlot(user._id, running._id);
+
+    expect(queuedIds()).toEqual([running, other, next].map(jobRecord => jobRecord._id.toString()));
+  });
+
+  test('the sweep queues jobs whose slot was freed without a release', async () => {
+    const user = await createUser();
+    const [, , waiting] = await submitJobs(user, 3);
+
+    // The workers running the first jobs crashed and their slots went stale
+    slots.clear();
+    await sweepWaitingJobs();
+
+    expect(queuedIds()).toHaveLength(3);
+    expect(queuedIds()).toContain(waiting._id.toString());
+  });
+
+  test('fails the jobs that could not be queued and releases their credits', async () => {
+    const user = await createUser();
+    Queue.add.mockRejectedValue(new Error('Redis unavailable'));
+    const jobRecords = [new JobRecord({
+      userId: user._id,
+      inputModelImageId: new mongoose.Types.ObjectId(),
+      inputOutfitImageId: new mongoose.Types.ObjectId()
+    })];
+    expect(await reserveAndSaveJobs(user, jobRecords)).toBe(true);
+
+    await expect(enqueueReservedJobs(jobRecords)).rejects.toThrow('Redis unavailable');
+
+    const saved = await JobRecord.findById(jobRecords[0]._id).lean();
+    expect(saved.status).toBe('failed');
+    expect(saved.awaitingSlot).toBe(false);
+    expect(saved.quota.status).toBe('released');
+    expect(slots.get(`generate:active:${user._id}`)?.size || 0).toBe(0);
+  });
+});
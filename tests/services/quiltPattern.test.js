@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+
+// Raw RGB pixels the mocked sharp pipeline hands to the pattern builder
+let pixels;
+
+jest.unstable_mockModule('sharp', () => {
+  const pipeline = {
+    flatten: () => pipeline,
+    resize: () => pipeline,
+    removeAlpha: () => pipeline,
+    raw: () => pipeline,
+    toBuffer: async () => pixels
+  };
+  return { default: () => pipeline };
+});
+
+const {
+  isPaletteColour,
+  buildQuiltPattern,
+  renderPatternSvg,
+  renderPatternPdf
+} = await import('../../src/services/quiltPattern.js');
+
+// Pixels sampled per block edge by the pattern builder
+const SAMPLES_PER_BLOCK = 8;
+
+const RED = [255, 0, 0];
+const BLUE = [0, 0, 255];
+
+/**
+ * Raw pixels of a design whose blocks are filled with the given colours
+ */
+function design(blocks) {
+  const columns = blocks[0].length;
+  const width = columns * SAMPLES_PER_BLOCK;
+  const height = blocks.length * SAMPLES_PER_BLOCK;
+  const buffer = Buffer.alloc(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const colour = blocks[Math.floor(y / SAMPLES_PER_BLOCK)][Math.floor(x / SAMPLES_PER_BLOCK)];
+      buffer.set(colour, (y * width + x) * 3);
+    }
+  }
+
+  return buffer;
+}
+
+const OPTIONS = {
+  colorPalette: ['#ff0000', '#00ff00', '#0000ff'],
+  rows: 2,
+  columns: 2,
+  size: 'crib',
+  symmetry: 'mirror'
+};
+
+describe('buildQuiltPattern', () => {
+  test('snaps each block to the nearest palette colour and numbers the colours used', async () => {
+    pixels = design([[RED, RED], [BLUE, [250, 10, 10]]]);
+
+    const pattern = await buildQuiltPattern(Buffer.from('design'), OPTIONS);
+
+    expect(pattern.grid).toEqual([[1, 1], [2, 1]]);
+    expect(pattern.colours.map(({ number, hex, blocks }) => ({ number, hex, blocks }))).toEqual([
+      { number: 1, hex: '#ff0000', blocks: 3 },
+      { number: 2, hex: '#0000ff', blocks: 1 }
+    ]);
+  });
+
+  test('sizes blocks with seam allowances and works out the yardage', async () => {
+    pixels = design([[RED, RED], [BLUE, RED]]);
+
+    const pattern = await buildQuiltPattern(Buffer.from('design'), OPTIONS);
+
+    expect(pattern).toMatchObject({ size: 'crib', finishedWidth: 36, finishedHeight: 52 });
+    expect(pattern.block).toEqual({ finishedWidth: 18, finishedHeight: 26, cutWidth: 18.5, cutHeight: 26.5 });
+    // Two 18 1/2" blocks per width-of-fabric strip, 26 1/2" strips plus 10% allowance
+    expect(pattern.colours.map(colour => colour.yards)).toEqual([1.625, 0.875]);
+  });
+
+  test('ignores palette entries that are not colours', async () => {
+    pixels = design([[RED, BLUE], [BLUE, RED]]);
+
+    const pattern = await buildQuiltPattern(Buffer.from('design'), {
+      ...OPTIONS,
+      colorPalette: ['not-a-colour', 42, '#0f0']
+    });
+
+    expect(pattern.grid).toEqual([[1, 1], [1, 1]]);
+    expect(pattern.colours).toHaveLength(1);
+    expect(pattern.colours[0].hex).toBe('#00ff00');
+  });
+
+  test('refuses a palette without a usable colour', async () => {
+    pixels = design([[RED, RED], [RED, RED]]);
+
+    await expect(buildQuiltPattern(Buffer.from('design'), { ...OPTIONS, colorPalette: [] }))
+      .rejects.toThrow('colorPalette has no usable colours');
+    await expect(buildQuiltPattern(Buffer.from('design'), { ...OPTIONS, colorPalette: ['red', ''] }))
+      .rejects.toThrow('colorPalette has no usable colours');
+  });
+});
+
+describe('isPaletteColour', () => {
+  test.each(['#fff', '#FFFFFF', '0a0b0c', ' #123456 '])('accepts %p', colour => {
+    expect(isPaletteColour(colour)).toBe(true);
+  });
+
+  test.each(['red', '#12345', '', null, undefined, 123, ['#fff']])('rejects %p', colour => {
+    expect(isPaletteColour(colour)).toBe(false);
+  });
+});
+
+describe('pattern rendering', () => {
+  let pattern;
+
+  beforeAll(async () => {
+    pixels = design([[RED, RED], [BLUE, RED]]);
+    pattern = await buildQuiltPattern(Buffer.from('design'), OPTIONS);
+  });
+
+  test('draws every block and the colour key as SVG', () => {
+    const svg = renderPatternSvg(pattern);
+
+    expect(svg.startsWith('<?xml')).toBe(true);
+    expect(svg.match(/<rect x="\d+" y="\d+" width="40" height="40" fill="#ff0000"/g)).toHaveLength(3);
+    expect(svg).toContain('1. #FF0000 - cut 3 blocks 18 1/2&quot; x 26 1/2&quot; - 1 5/8 yd');
+    expect(svg).toContain('2. #0000FF - cut 1 block 18 1/2&quot; x 26 1/2&quot; - 7/8 yd');
+  });
+
+  test('writes a two-page PDF with a valid cross-reference table', () => {
+    const pdf = renderPatternPdf(pattern).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/Count 2');
+    expect(pdf).toContain('(Crib quilt pattern - 36" x 52")');
+
+    const xrefOffset = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)[1]);
+    expect(pdf.slice(xrefOffset).startsWith('xref')).toBe(true);
+  });
+});
@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../src/models/User.js';
+import JobRecord from '../../src/models/JobRecord.js';
+import GenerationBatch from '../../src/models/GenerationBatch.js';
+import Audit from '../../src/models/Audit.js';
+import { reserveJobQuota, reserveAndSaveJobs, commitJobQuota, releaseJobQuota } from '../../src/services/quota.js';
+import { useTestDatabase } from '../helpers/database.js';
+
+useTestDatabase();
+
+async function createUser(monthlyRequests = 10) {
+  const user = new User({
+    email: `jobs-${new mongoose.Types.ObjectId()}@example.com`,
+    name: 'Quota Test',
+    plan: 'basic',
+    quota: { monthlyRequests }
+  });
+  await user.save();
+  return user;
+}
+
+function newJob(user, fields = {}) {
+  return new JobRecord({
+    userId: user._id,
+    inputModelImageId: new mongoose.Types.ObjectId(),
+    inputOutfitImageId: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+}
+
+async function reservedJob(user) {
+  const jobRecord = newJob(user);
+  expect(await reserveJobQuota(user, [jobRecord])).toBe(true);
+  await jobRecord.save();
+  return jobRecord;
+}
+
+function reloadUser(user) {
+  return User.findById(user._id).lean();
+}
+
+describe('job quota', () => {
+  test('reserves one credit per job and marks each job reserved', async () => {
+    const user = await createUser();
+    const jobRecords = [newJob(user), newJob(user), newJob(user)];
+
+    expect(await reserveJobQuota(user, jobRecords)).toBe(true);
+
+    expect(jobRecords.map(jobRecord => jobRecord.quota.status)).toEqual(['reserved', 'reserved', 'reserved']);
+    expect((await reloadUser(user)).quota.reserved).toBe(3);
+  });
+
+  test('reserves nothing when the quota cannot cover every job', async () => {
+    const user = await createUser(2);
+    const jobRecords = [newJob(user), newJob(user), newJob(user)];
+
+    expect(await reserveJobQuota(user, jobRecords)).toBe(false);
+
+    expect(jobRecords.every(jobRecord => jobRecord.quota.status === null)).toBe(true);
+    expect((await reloadUser(user)).quota.reserved).toBe(0);
+  });
+
+  test('concurrent batches cannot overspend the quota', async () => {
+    const user = await createUser(10);
+    const copies = await Promise.all(Array.from({ length: 10 }, () => User.findById(user._id)));
+
+    const results = await Promise.all(copies.map(copy => (
+      reserveJobQuota(copy, [newJob(copy), newJob(copy), newJob(copy)])
+    )));
+
+    expect(results.filter(Boolean)).toHaveLength(3);
+    expect((await reloadUser(user)).quota.reserved).toBe(9);
+  });
+
+  test('a commit racing a release settles the credit exactly once', async () => {
+    const user = await createUser();
+    const jobRecord = await reservedJob(user);
+    const [worker, canceller] = await Promise.all([
+      JobRecord.findById(jobRecord._id),
+      JobRecord.findById(jobRecord._id)
+    ]);
+
+    const [committed, released] = await Promise.all([
+      commitJobQuota(worker),
+      releaseJobQuota(canceller, 'cancelled')
+    ]);
+
+    expect(committed !== released).toBe(true);
+
+    const saved = await reloadUser(user);
+    expect(saved.quota.reserved).toBe(0);
+    expect(saved.quota.usedThisMonth).toBe(committed ? 1 : 0);
+
+    const settled = await JobRecord.findById(jobRecord._id).lean();
+    expect(settled.quota.status).toBe(committed ? 'committed' : 'released');
+  });
+
+  test('concurrent releases give the credit back once', async () => {
+    const user = await createUser();
+    await reservedJob(user);
+    const jobRecord = await reservedJob(user);
+    const copies = await Promise.all(Array.from({ length: 10 }, () => JobRecord.findById(jobRecord._id)));
+
+    const results = await Promise.all(copies.map(copy => releaseJobQuota(copy, 'failed')));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect((await reloadUser(user)).quota.reserved).toBe(1);
+  });
+
+  test('a committed credit is never released afterwards', async () => {
+    const user = await createUser();
+    const jobRecord = await reservedJob(user);
+
+    expect(await commitJobQuota(jobRecord)).toBe(true);
+    expect(await releaseJobQuota(jobRecord, 'cancelled')).toBe(false);
+
+    const saved = await reloadUser(user);
+    expect(saved.quota.usedThisMonth).toBe(1);
+    expect(saved.quota.reserved).toBe(0);
+  });
+});
+
+describe('reserveAndSaveJobs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saves the jobs with their credits reserved', async () => {
+    const user = await createUser();
+    const jobRecords = [newJob(user), newJob(user)];
+
+    expect(await reserveAndSaveJobs(user, jobRecords)).toBe(true);
+
+    const saved = await JobRecord.find({ userId: user._id }).lean();
+    expect(saved).toHaveLength(2);
+    expect(saved.every(jobRecord => jobRecord.quota.status === 'reserved')).toBe(true);
+    expect((await reloadUser(user)).quota.reserved).toBe(2);
+  });
+
+  test.each([
+    ['an unknown background', { background: 'red' }],
+    ['an out-of-range strength', { strength: 2 }]
+  ])('rejects %s before reserving anything', async (_, options) => {
+    const user = await createUser();
+
+    await expect(reserveAndSaveJobs(user, [newJob(user, { options })]))
+      .rejects.toThrow(mongoose.Error.ValidationError);
+
+    expect((await reloadUser(user)).quota.reserved).toBe(0);
+    expect(await JobRecord.countDocuments()).toBe(0);
+  });
+
+  test('hands the credits back when the jobs cannot be saved', async () => {
+    const user = await createUser();
+    const jobRecords = [newJob(user), newJob(user)];
+    jest.spyOn(JobRecord, 'insertMany').mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(reserveAndSaveJobs(user, jobRecords)).rejects.toThrow('write failed');
+
+    expect((await reloadUser(user)).quota.reserved).toBe(0);
+    expect(await JobRecord.countDocuments()).toBe(0);
+    expect(jobRecords.map(jobRecord => jobRecord.quota.status)).toEqual(['released', 'released']);
+    expect(await Audit.countDocuments({ action: 'quota_released', 'details.reason': 'failed' })).toBe(2);
+  });
+
+  test('removes the batch when its jobs cannot be saved', async () => {
+    const user = await createUser();
+    const batch = new GenerationBatch({ userId: user._id, mode: 'outfits', total: 2, quotaReserved: 2 });
+    const jobRecords = [newJob(user, { batchId: batch._id }), newJob(user, { batchId: batch._id })];
+    batch.jobIds = jobRecords.map(jobRecord => jobRecord._id);
+    jest.spyOn(JobRecord, 'insertMany').mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(reserveAndSaveJobs(user, jobRecords, { batch })).rejects.toThrow('write failed');
+
+    expect(await GenerationBatch.countDocuments()).toBe(0);
+    expect((await reloadUser(user)).quota.reserved).toBe(0);
+  });
+});
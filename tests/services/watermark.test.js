@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+
+const uploads = [];
+
+jest.unstable_mockModule('sharp', () => ({ default: jest.fn() }));
+
+jest.unstable_mockModule('../../src/config/storage.js', () => {
+  const storage = {
+    initStorage: jest.fn(),
+    generateStorageKey: jest.fn(),
+    generateUploadUrl: jest.fn(),
+    generateDownloadUrl: jest.fn(async (key, expiresIn, { isPrivate = false } = {}) => (
+      isPrivate ? `https://storage.test/private/${key}?signature=test` : `https://storage.test/${key}`
+    )),
+    deleteObject: jest.fn(),
+    objectExists: jest.fn(),
+    getObjectMetadata: jest.fn(),
+    uploadBuffer: jest.fn(async (buffer, key, contentType, { isPrivate = false } = {}) => {
+      uploads.push({ buffer, key, contentType, isPrivate });
+      return true;
+    }),
+    publishObject: jest.fn(async () => true),
+    getStorageStats: jest.fn()
+  };
+  return { ...storage, default: storage };
+});
+
+jest.unstable_mockModule('../../src/services/imagePostProcessing.js', () => {
+  const postProcessing = {
+    BACKGROUND_MODES: ['transparent', 'original', 'white', 'black'],
+    WATERMARK_POSITIONS: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center', 'tile'],
+    applyBackground: jest.fn(),
+    resizeToLongEdge: jest.fn(),
+    applyWatermark: jest.fn(async () => ({ buffer: Buffer.from('watermarked'), mimeType: 'image/png' }))
+  };
+  return { ...postProcessing, default: postProcessing };
+});
+
+const { storeOutput, getCleanSource, generateCleanDownloadUrl } = await import('../../src/services/watermark.js');
+
+const CLEAN = Buffer.from('clean');
+
+describe('storeOutput', () => {
+  beforeEach(() => {
+    uploads.length = 0;
+  });
+
+  test('stores outputs of watermark-free plans once, at the delivered key', async () => {
+    const stored = await storeOutput({ buffer: CLEAN, mimeType: 'image/png', storageKey: 'outputs/u1/a', plan: 'basic' });
+
+    expect(uploads).toEqual([{ buffer: CLEAN, key: 'outputs/u1/a', contentType: 'image/png', isPrivate: false }]);
+    expect(stored.storageKey).toBe('outputs/u1/a');
+    expect(stored.watermark).toEqual({ applied: false });
+  });
+
+  test('delivers the watermarked copy and keeps the clean original private', async () => {
+    const stored = await storeOutput({ buffer: CLEAN, mimeType: 'image/png', storageKey: 'outputs/u1/a', plan: 'free' });
+
+    const delivered = uploads.find(upload => upload.key === 'outputs/u1/a');
+    const original = uploads.find(upload => upload.buffer === CLEAN);
+
+    expect(delivered.buffer.toString()).toBe('watermarked');
+    expect(delivered.isPrivate).toBe(false);
+    expect(original.isPrivate).toBe(true);
+    expect(stored.storageKey).toBe('outputs/u1/a');
+    expect(stored.url).toBe('https://storage.test/outputs/u1/a');
+    expect(stored.watermark).toMatchObject({ applied: true, cleanStorageKey: original.key, cleanPrivate: true });
+  });
+
+  test('does not derive the clean key from the delivered one', async () => {
+    const first = await storeOutput({ buffer: CLEAN, mimeType: 'image/png', storageKey: 'outputs/u1/a', plan: 'free' });
+    const second = await storeOutput({ buffer: CLEAN, mimeType: 'image/png', storageKey: 'outputs/u1/a', plan: 'free' });
+
+    expect(first.watermark.cleanStorageKey).not.toBe('outputs/u1/a-wm');
+    expect(first.watermark.cleanStorageKey).toMatch(/[0-9a-f]{32}$/);
+    expect(first.watermark.cleanStorageKey).not.toBe(second.watermark.cleanStorageKey);
+  });
+});
+
+describe('clean originals', () => {
+  const watermarked = {
+    storageKey: 'outputs/u1/a',
+    mimeType: 'image/png',
+    watermark: {
+      applied: true,
+      cleanStorageKey: 'outputs/u1/a-original-0123',
+      cleanMimeType: 'image/webp',
+      cleanPrivate: true
+    }
+  };
+
+  test('are read from private storage through a signed URL', async () => {
+    expect(getCleanSource(watermarked)).toEqual({
+      storageKey: 'outputs/u1/a-original-0123',
+      mimeType: 'image/webp',
+      isPrivate: true
+    });
+    expect(await generateCleanDownloadUrl(watermarked)).toBe(
+      'https://storage.test/private/outputs/u1/a-original-0123?signature=test'
+    );
+  });
+
+  test('of unwatermarked images are the delivered image', () => {
+    expect(getCleanSource({ storageKey: 'outputs/u1/b', mimeType: 'image/png' })).toEqual({
+      storageKey: 'outputs/u1/b',
+      mimeType: 'image/png',
+      isPrivate: false
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import dns from 'dns';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import { UnrecoverableError } from 'bullmq';
+import User from '../../src/models/User.js';
+import JobRecord from '../../src/models/JobRecord.js';
+import CallbackDelivery from '../../src/models/CallbackDelivery.js';
+import { CallbackQueue } from '../../src/config/queue.js';
+import {
+  getSigningSecret,
+  rotateSigningSecret,
+  scheduleJobCallback,
+  SIGNATURE_HEADER
+} from '../../src/services/callbacks.js';
+import { processCallbackJob } from '../../src/workers/callbackProcessor.js';
+import { useTestDatabase } from '../helpers/database.js';
+
+useTestDatabase();
+
+const PUBLIC_ADDRESS = { address: '93.184.216.34', family: 4 };
+
+async function createUser() {
+  const user = new User({
+    email: `partner-${new mongoose.Types.ObjectId()}@example.com`,
+    name: 'Callback Test',
+    plan: 'basic'
+  });
+  await user.save();
+  return user;
+}
+
+async function finishedJob(user) {
+  const jobRecord = new JobRecord({
+    userId: user._id,
+    inputModelImageId: new mongoose.Types.ObjectId(),
+    inputOutfitImageId: new mongoose.Types.ObjectId(),
+    callbackUrl: 'https://hooks.example.com/jobs',
+    status: 'failed',
+    error: 'Provider unavailable',
+    completedAt: new Date()
+  });
+  await jobRecord.save();
+  return jobRecord;
+}
+
+function bullJob(delivery) {
+  return {
+    data: { deliveryId: delivery._id.toString() },
+    opts: { attempts: 8 },
+    attemptsMade: 0
+  };
+}
+
+function verify(signatureHeader, body, secret) {
+  const [, timestamp, signature] = signatureHeader.match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return signature === expected;
+}
+
+describe('callback signing secrets', () => {
+  test('are issued once per user, even to concurrent callers', async () => {
+    const user = await createUser();
+
+    const secrets = await Promise.all(Array.from({ length: 10 }, () => getSigningSecret(user._id)));
+
+    expect(new Set(secrets).size).toBe(1);
+    expect(secrets[0]).toMatch(/^whsec_[0-9a-f]{64}$/);
+    expect(await getSigningSecret(user._id)).toBe(secrets[0]);
+  });
+
+  test('differ between users', async () => {
+    const [first, second] = await Promise.all([createUser(), createUser()]);
+
+    expect(await getSigningSecret(first._id)).not.toBe(await getSigningSecret(second._id));
+  });
+
+  test('are never serialised with the user', async () => {
+    const user = await createUser();
+    await getSigningSecret(user._id);
+
+    const loaded = await User.findById(user._id).select('+callbackSigningSecret');
+    expect(loaded.toJSON().callbackSigningSecret).toBeUndefined();
+  });
+
+  test('can be rotated', async () => {
+    const user = await createUser();
+    const original = await getSigningSecret(user._id);
+
+    const rotated = await rotateSigningSecret(user._id);
+
+    expect(rotated).not.toBe(original);
+    expect(await getSigningSecret(user._id)).toBe(rotated);
+  });
+});
+
+describe('processCallbackJob', () => {
+  let posts;
+
+  beforeEach(() => {
+    posts = [];
+    jest.spyOn(CallbackQueue, 'add').mockResolvedValue({});
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([PUBLIC_ADDRESS]);
+    jest.spyOn(axios, 'post').mockImplementation(async (url, body, config) => {
+      posts.push({ url, body, config });
+      return { status: 200, data: 'ok' };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('signs the delivery with its owner\'s secret', async () => {
+    const [owner, other] = await Promise.all([createUser(), createUser()]);
+    const delivery = await scheduleJobCallback(await finishedJob(owner));
+
+    const result = await processCallbackJob(bullJob(delivery));
+
+    expect(result).toMatchObject({ delivered: true, statusCode: 200 });
+    const [{ body, config }] = posts;
+    expect(verify(config.headers[SIGNATURE_HEADER], body, await getSigningSecret(owner._id))).toBe(true);
+    expect(verify(config.headers[SIGNATURE_HEADER], body, await getSigningSecret(other._id))).toBe(false);
+    expect((await CallbackDelivery.findById(delivery._id)).status).toBe('delivered');
+  });
+
+  test('connects to the address that was checked', async () => {
+    const owner = await createUser();
+    const delivery = await scheduleJobCallback(await finishedJob(owner));
+
+    await processCallbackJob(bullJob(delivery));
+
+    const pinned = await new Promise(resolve => {
+      posts[0].config.lookup('hooks.example.com', {}, (error, address, family) => resolve({ address, family }));
+    });
+    expect(pinned).toEqual(PUBLIC_ADDRESS);
+  });
+
+  test('redelivers the same result signed with the rotated secret', async () => {
+    const owner = await createUser();
+    const jobRecord = await finishedJob(owner);
+    const original = await scheduleJobCallback(jobRecord);
+    await processCallbackJob(bullJob(original));
+
+    const rotated = await rotateSigningSecret(owner._id);
+    const redelivery = await scheduleJobCallback(jobRecord, { redeliveryOf: original });
+    await processCallbackJob(bullJob(redelivery));
+
+    expect(redelivery.redeliveryOf).toEqual(original._id);
+    expect(redelivery.payload.data).toEqual(original.payload.data);
+    const { body, config } = posts[1];
+    expect(verify(config.headers[SIGNATURE_HEADER], body, rotated)).toBe(true);
+  });
+
+  test('gives up on a host that now resolves to an internal address', async () => {
+    const owner = await createUser();
+    const delivery = await scheduleJobCallback(await finishedJob(owner));
+    dns.promises.lookup.mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+
+    await expect(processCallbackJob(bullJob(delivery))).rejects.toThrow(UnrecoverableError);
+
+    expect(posts).toHaveLength(0);
+    const saved = await CallbackDelivery.findById(delivery._id).lean();
+    expect(saved.status).toBe('failed');
+    expect(saved.attempts[0].error).toBe('Callback URL does not point to a public host');
+  });
+});
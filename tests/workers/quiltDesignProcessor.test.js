@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { useTestDatabase } from '../helpers/database.js';
+
+// Outputs are stored in memory instead of S3 or Cloudinary
+const stored = new Map();
+
+jest.unstable_mockModule('../../src/config/storage.js', () => {
+  const storage = {
+    initStorage: jest.fn(),
+    generateStorageKey: (prefix, filename, userId) => `${prefix}/${userId}/${filename}`,
+    generateUploadUrl: jest.fn(),
+    generateDownloadUrl: async key => `https://storage.test/${key}`,
+    deleteObject: async key => stored.delete(key),
+    objectExists: async key => stored.has(key),
+    getObjectMetadata: jest.fn(),
+    uploadBuffer: async (buffer, key) => {
+      stored.set(key, buffer);
+      return true;
+    },
+    getStorageStats: jest.fn()
+  };
+  return { ...storage, default: storage };
+});
+
+const { processQuiltDesignJob } = await import('../../src/workers/quiltDesignProcessor.js');
+const { getImageProvider } = await import('../../src/services/imageProviders/index.js');
+const { reserveAndSaveJobs, releaseJobQuota } = await import('../../src/services/quota.js');
+const { default: User } = await import('../../src/models/User.js');
+const { default: JobRecord } = await import('../../src/models/JobRecord.js');
+const { default: ImageAsset } = await import('../../src/models/ImageAsset.js');
+
+useTestDatabase();
+
+const QUILT_OPTIONS = {
+  style: 'modern',
+  colorPalette: ['#1f3a5f', '#f2e8cf', '#bc4749'],
+  complexity: 3,
+  size: 'throw',
+  rows: 8,
+  columns: 8,
+  symmetry: 'mirror'
+};
+
+async function queueQuiltJob() {
+  const user = new User({
+    email: `quilter-${new mongoose.Types.ObjectId()}@example.com`,
+    name: 'Quilt Test',
+    plan: 'basic',
+    quota: { monthlyRequests: 10 }
+  });
+  await user.save();
+
+  const jobRecord = new JobRecord({
+    userId: user._id,
+    kind: 'quilt-design',
+    prompt: 'Ocean waves in log cabin blocks',
+    quiltOptions: QUILT_OPTIONS,
+    provider: 'mock'
+  });
+  expect(await reserveAndSaveJobs(user, [jobRecord])).toBe(true);
+
+  return { user, jobRecord };
+}
+
+function bullJob(jobRecord) {
+  return {
+    data: { jobId: jobRecord._id.toString(), userId: jobRecord.userId },
+    opts: { attempts: jobRecord.maxAttempts },
+    log: jest.fn()
+  };
+}
+
+describe('processQuiltDesignJob', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    stored.clear();
+  });
+
+  test('generates the design with the mock provider and charges the credit', async () => {
+    const { user, jobRecord } = await queueQuiltJob();
+
+    const result = await processQuiltDesignJob(bullJob(jobRecord));
+
+    expect(result.success).toBe(true);
+
+    const saved = await JobRecord.findById(jobRecord._id).lean();
+    expect(saved.status).toBe('succeeded');
+    expect(saved.progress).toMatchObject({ stage: 'done', percent: 100 });
+    expect(saved.quota.status).toBe('committed');
+    expect(saved.outputImageId).toEqual(result.outputImageId);
+
+    const design = await ImageAsset.findById(result.outputImageId).lean();
+    expect(design.type).toBe('quilt-design');
+    expect(design.provenance.provider).toBe('mock');
+    expect(stored.has(design.storageKey)).toBe(true);
+
+    const owner = await User.findById(user._id).lean();
+    expect(owner.quota.usedThisMonth).toBe(1);
+    expect(owner.quota.reserved).toBe(0);
+  });
+
+  test('does not start a job cancelled after the worker picked it up', async () => {
+    const { user, jobRecord } = await queueQuiltJob();
+    const findById = JobRecord.findById.bind(JobRecord);
+    const provider = getImageProvider('mock');
+    jest.spyOn(provider, 'textToImage');
+
+    // The owner cancels through the API between the worker loading the job and starting it
+    jest.spyOn(JobRecord, 'findById').mockImplementationOnce(async id => {
+      const loaded = await findById(id);
+      const route = await findById(id);
+      expect(await route.cancel()).toBe(true);
+      await releaseJobQuota(route, 'cancelled');
+      return loaded;
+    });
+
+    const result = await processQuiltDesignJob(bullJob(jobRecord));
+
+    expect(result).toEqual({ success: false, cancelled: true });
+    expect(provider.textToImage).not.toHaveBeenCalled();
+
+    const saved = await JobRecord.findById(jobRecord._id).lean();
+    expect(saved.status).toBe('cancelled');
+    expect(saved.quota.status).toBe('released');
+
+    const owner = await User.findById(user._id).lean();
+    expect(owner.quota.usedThisMonth).toBe(0);
+    expect(owner.quota.reserved).toBe(0);
+  });
+
+  test('discards the design of a job cancelled while it was generating', async () => {
+    const { user, jobRecord } = await queueQuiltJob();
+    const provider = getImageProvider('mock');
+    const textToImage = provider.textToImage.bind(provider);
+
+    // The owner cancels through the API while the provider is working
+    jest.spyOn(provider, 'textToImage').mockImplementation(async params => {
+      const route = await JobRecord.findById(jobRecord._id);
+      expect(await route.cancel()).toBe(true);
+      await releaseJobQuota(route, 'cancelled');
+      return textToImage(params);
+    });
+
+    const result = await processQuiltDesignJob(bullJob(jobRecord));
+
+    expect(result).toEqual({ success: false, cancelled: true });
+    expect((await JobRecord.findById(jobRecord._id).lean()).status).toBe('cancelled');
+    expect(await ImageAsset.countDocuments({ isDeleted: false })).toBe(0);
+
+    const owner = await User.findById(user._id).lean();
+    expect(owner.quota.usedThisMonth).toBe(0);
+    expect(owner.quota.reserved).toBe(0);
+  });
+});